@@ -0,0 +1,43 @@
+/**
+ * @fileoverview This file contains the logic to "translate" each CSV record from input file
+ * into Cloudinary Admin API payload for deleting the asset (used by the `delete` command).
+ */
+
+
+/**
+ * Converts a CSV record from delete input file to a Cloudinary Admin API payload.
+ *
+ * 💡Customize this function to suit your needs as per the Cloudinary Admin API specs:
+ * https://cloudinary.com/documentation/admin_api#delete_resources
+ *
+ * Consider below implementation as a "starter".
+ *
+ * Typically you'd customize this module to:
+ *  - Define which field from the input CSV record to use for the public_id of the asset to delete
+ *  - Define the resource type and the delivery type of the assets to delete
+ *
+ * ⚠️ Deleted assets can not be recovered (unless backups are enabled for your Cloudinary account)
+ *
+ * @async (allows to perform async operations such as pulling data from external API sources)
+ * @param {Object} csvRec - CSV record from the delete input file
+ * @returns {Object} - parameters for Cloudinary API call
+ *  - publicId: the public_id of the asset to delete
+ *  - options: options for the Cloudinary Admin API call (only `resource_type`, `type` and `invalidate` are applied)
+ */
+exports.input2ApiPayload_Async = async function(csvRec) {
+    // Which asset to delete
+    const publicId = csvRec['Asset Public_ID CSV Column Name'];
+
+    // Parameters for the Cloudinary API
+    const options = {
+        resource_type: 'image',     // Resource type of the asset to delete (image, video or raw)
+        type:          'upload',    // Delivery type of the asset to delete
+        invalidate:    false,       // Set to true to invalidate CDN cached copies of the asset (and its derived assets)
+    };
+
+    // Returning the payload and the trace of the plugins applied. They will also be included in the operation log.
+    return {
+        "payload"       : { publicId, options }, // Payload for Cloudinary API call
+        "plugins_trace" : []                     // Output produced by plugins to include in the log. Return empty object if no plugins are used.
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview This file contains the logic to "translate" each CSV record from input file
+ * into Cloudinary Upload API payload for renaming the asset (used by the `rename` command).
+ */
+
+
+// Timeout for the network operations performed by the Cloudinary SDK. (Think "how long do I wait for Rename API response?")
+const SDK_NETWORK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Converts a CSV record from rename input file to a Cloudinary Upload API payload.
+ *
+ * 💡Customize this function to suit your needs as per the Cloudinary Upload API specs:
+ * https://cloudinary.com/documentation/image_upload_api_reference#rename
+ *
+ * Default implementation reads the columns of the reverse rename input file produced by the `rename` command
+ * (so that the rename can be rolled back with the same module).
+ *
+ * Typically you'd customize this module to:
+ *  - Define which fields from the input CSV record to use for the current and the new public_id of the asset
+ *  - Define the asset folder to move the asset to (for the Cloudinary accounts using dynamic folders)
+ *
+ * ⚠️ Setting `overwrite` to true replaces the existing asset with the new public_id (if any)
+ *
+ * @async (allows to perform async operations such as pulling data from external API sources)
+ * @param {Object} csvRec - CSV record from the rename input file
+ * @returns {Object} - parameters for Cloudinary API call
+ *  - fromPublicId: the current public_id of the asset
+ *  - toPublicId: the new public_id of the asset
+ *  - options: options for the Cloudinary Rename API call (and `asset_folder` to move the asset to via Explicit API)
+ */
+exports.input2ApiPayload_Async = async function(csvRec) {
+    // Which asset to rename and how
+    const fromPublicId = csvRec['from_public_id'];
+    const toPublicId = csvRec['to_public_id'];
+
+    // Parameters for the Cloudinary API
+    const options = {
+        resource_type: csvRec['resource_type'] || 'image',  // Resource type of the asset (image, video or raw)
+        type:          csvRec['type'] || 'upload',          // Delivery type of the asset
+        overwrite:     false,                               // Do not replace the existing asset with the new public_id (reported with TARGET_EXISTS status)
+        invalidate:    false,                               // Set to true to invalidate CDN cached copies of the asset with the current public_id
+
+        timeout: SDK_NETWORK_TIMEOUT_MS,
+    };
+
+    // Delivery type to change the asset to (leave empty to keep the delivery type)
+    if (csvRec['to_type']) {
+        options.to_type = csvRec['to_type'];
+    }
+
+    // Asset folder to move the asset to (for the accounts using dynamic folders, leave empty to keep the asset folder)
+    // With `restore_asset_folder` set (in the reverse rename input file) empty value moves the asset back to the root asset folder
+    if (csvRec['asset_folder'] || csvRec['restore_asset_folder'] === 'true') {
+        options.asset_folder = csvRec['asset_folder'] || '';
+    }
+
+    // Returning the payload and the trace of the plugins applied. They will also be included in the operation log.
+    return {
+        "payload"       : { fromPublicId, toPublicId, options }, // Payload for Cloudinary API call
+        "plugins_trace" : []                                     // Output produced by plugins to include in the log. Return empty object if no plugins are used.
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview This file contains the logic to "translate" each CSV record from input file
+ * into Cloudinary Explicit API payload (used by the `update` command).
+ */
+
+
+// Loading plugin manager.
+// Consult readme/plugins.md for more details
+const pluginManager = require('./lib/plugins/plugin-manager');
+
+
+// Timeout for the network operations performed by the Cloudinary SDK. (Think "how long do I wait for Explicit API response?")
+// Applied via the `timeout` parameter in explicit options (see the input2ApiPayload_Async implementation)
+// You can set it to a higher value (for example when generating eager transformations for large videos)
+const SDK_NETWORK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Converts a CSV record from update input file to a Cloudinary Explicit API payload.
+ *
+ * 💡Customize this function to suit your needs as per the Cloudinary Explicit API specs:
+ * https://cloudinary.com/documentation/image_upload_api_reference#explicit
+ *
+ * Consider below implementation as a "starter".
+ *
+ * Typically you'd customize this module to:
+ *  - Define which field from the input CSV record to use for the public_id of an existing asset
+ *  - Define which of the asset's taxonomy (tags, metadata, access control etc.) to apply from the input CSV record fields
+ *
+ * ⚠️ Explicit API replaces values of the parameters passed (for example, `tags` passed will replace all existing tags of the asset)
+ *
+ * @async (allows to perform async operations such as pulling data from external API sources)
+ * @param {Object} csvRec - CSV record from the update input file
+ * @returns {Object} - parameters for Cloudinary API call
+ *  - publicId: the public_id of the existing asset to update
+ *  - options: options for the Cloudinary Explicit API call
+ */
+exports.input2ApiPayload_Async = async function(csvRec) {
+    // Which existing asset to update
+    const publicId = csvRec['Asset Public_ID CSV Column Name'];
+
+    // Parameters for the Cloudinary API
+    const options = {
+        resource_type:   'image',                                   // Explicit API requires resource type of the existing asset (image, video or raw)
+        type:            'upload',                                  // Delivery type of the existing asset
+        tags:            csvRec['Asset Tags CSV Column Name'],      // Pass value to be set as tags on the asset (addressed by column name from the input CSV file)
+
+
+        timeout: SDK_NETWORK_TIMEOUT_MS,                            // See `timeout` parameter in Upload API docs: https://cloudinary.com/documentation/image_upload_api_reference#explicit
+
+
+        // Example: Assigning contextual metadata
+        // See specs at https://cloudinary.com/documentation/contextual_metadata
+        context: {
+            caption: csvRec['Asset Description CSV Column Name'],   // Pass value to be set as caption field in contextual metadata (addressed by column name from the input CSV file)
+        },
+
+        // Example: Restricting access to the asset
+        // See specs at https://cloudinary.com/documentation/control_access_to_media#access_controlled_media_assets
+        // access_control: [{ access_type: 'token' }],
+
+        // Example: Generating derived assets for the asset
+        // See specs at https://cloudinary.com/documentation/eager_and_incoming_transformations#eager_transformations
+        // eager: [{ width: 400, height: 300, crop: 'fill' }],
+        // eager_async: true,
+    };
+
+    // Applying plugins and collecting their output in order they are applied
+    const plugins_trace = [];
+    const smdPluginTrace = await applyStructuredMetadataMapperPlugin_Async(options, csvRec);
+    plugins_trace.push(smdPluginTrace);
+
+    // Returning the payload and the trace of the plugins applied. They will also be included in the operation log.
+    return {
+        "payload"       : { publicId, options }, // Payload for Cloudinary API call
+        "plugins_trace" : plugins_trace          // Output produced by plugins to include in the log. Return empty object if no plugins are used.
+    };
+}
+
+
+/**
+ * Applies the structured metadata mapper plugin to the Explicit API options.
+ *
+ * @param {Object} options - The options for the Cloudinary Explicit API call
+ * @param {Object} csvRec - The CSV record from the update input file
+ * @returns {Object} - The trace of the plugin applied
+ */
+async function applyStructuredMetadataMapperPlugin_Async(options, csvRec) {
+    // Example: Using plugin to map "business" values from CSV file to external_id values for Cloudinary API
+    //          (see the same example in the `__input-to-api-payload.js` module for details)
+    const smdPluginName = 'cld-structured-metadata-mapper';
+    const CloudinaryStructuredMetadataMapper = pluginManager.getPlugin(smdPluginName);
+    const smdMappingTrace = await CloudinaryStructuredMetadataMapper.process_Async(options, csvRec, {
+        mapping : {
+            'SMD Text CSV Column Name': 'smd_text_field_external_id', // Map text values from CSV file to 'smd_text_field_external_id' SMD field
+            'SMD SSL CSV Column Name' : 'smd_ssl_field_external_id',  // Map single-select values (assumed to be labels) from CSV file to 'smd_ssl_field_external_id' SMD field
+        },
+        separator: ','  // Optional separator to use for multi-select value parsing (default is comma)
+     });
+
+    // Storing output of the plugin to include in the combined log record
+    return { name: smdPluginName, trace: smdMappingTrace };
+}
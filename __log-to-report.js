@@ -3,10 +3,21 @@
  * Uses stream processing to avoid loading the entire log file into memory.
  */
 const fs = require('node:fs');
+const {pipeline} = require('node:stream/promises');
 const split2 = require('split2');
 const path = require('node:path');
+const readline = require('node:readline');
 const {stringify} = require('csv-stringify');
 const logging = require('./lib/output/logging');
+const reporting = require('./lib/output/reporting');
+const logFileReader = require('./lib/input/log-file-reader');
+const resumeHelpers = require('./lib/input/resume-helpers');
+const renameReversal = require('./lib/output/rename-reversal');
+
+// Statuses reported for successful operations (see STATUS in the modules under lib/payload and ROLLBACK_STATUS in lib/rollback-loop.js)
+const SUCCEEDED_STATUSES = ['MIGRATED', 'UPDATED', 'DELETED', 'RENAMED'];
+// Statuses reported for the dry run (payload is only produced, not sent to Cloudinary)
+const DRY_RUN_STATUSES = ['DRY_RUN', 'INVALID'];
 
 /**
  * 💡Customize this function to suit your needs (e.g. add more fields to the report).
@@ -19,40 +30,75 @@ const logging = require('./lib/output/logging');
  * Default implementation always includes the input record (from the CSV file) that
  * was used as input for migration operation. This allows to filter the report file
  * and re-use it as input for a subsequent "retry" migration operation for previously
- * failed assets.
+ * failed assets. Nested input values (for example, from JSON Lines input) are flattened
+ * into separate columns (see `reporting.flattenRecord`).
+ *
+ * Rows resolving to the same asset as an earlier row have the `Cld_DuplicateOfRow` and `Cld_DuplicateAsset` columns set.
+ * Rows of the `rename` operation have the `Cld_FromPublicId` column set (`Cld_PublicId` is the new public_id).
  * 
  * @param {*} logLine 
  * @returns {Object} - JS object that represets a CSV row in the migration report
  */
 function extractMigrationFlowRecord(logLine) {
+    // Skipping blank lines and the partially written last line (when the log file is still being written)
+    let logRec = null;
     try {
-        const logRec = JSON.parse(logLine);
+        logRec = JSON.parse(logLine);
+    } catch (err) {
+        return undefined;
+    }
 
+    try {
         if (logRec.flow !== 'payload') { return undefined; }
 
-        const inputRec = logRec.input;
+        const inputRec = reporting.flattenRecord(logRec.input);
         const status = logRec.summary.status;
         let migrationSummaryRec = {
-            Cld_Status    : status,
-            Cld_Operation : null,
-            Cld_Error     : null,
-            Cld_PublicId  : null,
-            Cld_Etag      : null,
+            Cld_Status       : status,
+            Cld_Operation    : null,
+            Cld_Error        : null,
+            Cld_PublicId     : null,
+            Cld_ResourceType : null,
+            Cld_Type         : null,
+            Cld_Etag         : null,
+            Cld_Attempts     : logRec.attempts ? logRec.attempts.length : 0,
         };
-        if (status !== 'MIGRATED') {
+        if (logRec.duplicate) {
+            migrationSummaryRec.Cld_DuplicateOfRow = logRec.duplicate.first_row;
+            migrationSummaryRec.Cld_DuplicateAsset = logRec.duplicate.asset_key;
+        }
+        if (logRec.payload && logRec.payload.fromPublicId !== undefined) {
+            migrationSummaryRec.Cld_FromPublicId = logRec.payload.fromPublicId;
+        }
+        if (DRY_RUN_STATUSES.includes(status)) {
+            // Including the payload that would have been sent to Cloudinary
+            migrationSummaryRec.Cld_Payload = logRec.payload ? JSON.stringify(logRec.payload) : null;
+        }
+        if (status === 'DRY_RUN') {
+            // Nothing else to report: the operation was not performed
+        } else if (!SUCCEEDED_STATUSES.includes(status)) {
             let errInfo = logRec.summary.err;
             if (logRec.summary.err.message) {
                 errInfo = logRec.summary.err.message;
             }
             migrationSummaryRec.Cld_Error = errInfo;
+            // Asset renamed, but not moved to another asset folder (see `AssetFolderNotUpdatedError`)
+            if (logRec.summary.err.renamed) {
+                migrationSummaryRec.Cld_PublicId = logRec.summary.err.renamed.public_id;
+            }
         } else {
             // Resolving operation
             let resolvedMigrationOp = 'Uploaded';
+            if (status === 'UPDATED')                 { resolvedMigrationOp = 'Updated' }
+            if (status === 'DELETED')                 { resolvedMigrationOp = 'Deleted' }
+            if (status === 'RENAMED')                 { resolvedMigrationOp = 'Renamed' }
             if (logRec.response.existing    === true) { resolvedMigrationOp = 'SkippedAlreadyExists' }
             if (logRec.response.overwritten === true) { resolvedMigrationOp = 'Overwritten' }
  
             migrationSummaryRec.Cld_Operation = resolvedMigrationOp;
             migrationSummaryRec.Cld_PublicId = logRec.response.public_id;
+            migrationSummaryRec.Cld_ResourceType = logRec.response.resource_type;
+            migrationSummaryRec.Cld_Type = logRec.response.type;
             migrationSummaryRec.Cld_Etag = logRec.response.etag;
         }
         return {...inputRec, ...migrationSummaryRec};
@@ -62,22 +108,162 @@ function extractMigrationFlowRecord(logLine) {
 }
 
 /**
- * Processes the migration log file (JSONL) and produces the migration report file (CSV).
+ * Collects indexes (in order of appearance in the log file) of the latest `payload` record for each input row.
+ * Used when the log file contains records from several runs (for example, when the operation was resumed).
+ *
+ * @param {string} logFilePath - Path to the log file.
+ * @param {string} [rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the log file (entire file if not provided).
+ * @returns {Promise<Set<number>>} - Indexes of the `payload` records to be reported.
+ */
+async function collectLatestPayloadRecIndexes_Async(logFilePath, rowKeyColumn, logFileSize = undefined) {
+    const rowKey2PayloadRecIndex = new Map();
+    let payloadRecIndex = -1;
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath, logFileSize)) {
+        payloadRecIndex += 1;
+        rowKey2PayloadRecIndex.set(resumeHelpers.getRowKey(logRec.row, logRec.input, rowKeyColumn), payloadRecIndex);
+    }
+    return new Set(rowKey2PayloadRecIndex.values());
+}
+
+/**
+ * Collects columns of all the report records (in order of appearance).
+ * Input records do not necessarily share the same fields (for example, JSON Lines input),
+ * so columns of the first record are not enough for the report header.
+ *
+ * @param {string} logFilePath - Path to the log file.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the log file (entire file if not provided).
+ * @returns {Promise<string[]>} - The report columns.
+ */
+async function collectReportColumns_Async(logFilePath, logFileSize = undefined) {
+    const columns = new Set();
+    for await (const migrationRec of getReportRecordGenerator_Async(logFilePath, logFileSize)) {
+        Object.keys(migrationRec).forEach(column => columns.add(column));
+    }
+    return [...columns];
+}
+
+/**
+ * Processes the migration log file (JSONL) from the script output folder
+ * and produces the migration report file (CSV) into the same folder.
+ *
+ * Rows resolving to the same asset as an earlier row are also listed in the duplicates report file
+ * (produced only if there are such rows). Assets renamed by the `rename` operation are listed in the reverse rename input file
+ * (produced only if there are such assets), so that the rename can be rolled back.
+ *
+ * @param {string} outputFolder - The script output folder.
+ * @param {Object} [options] - See `logFile2ReportFile_Async`.
+ * @returns {Promise<string>} - Path to the report file.
  */
-function log2Report(outputFolder) {
+async function log2Report(outputFolder, options = {}) {
     const logFilePath = logging.getLogFilePath(outputFolder);
+    // All the files are produced for the same records, even if the log file is still being written
+    const logFileSize = await logFileReader.getLogFileSize_Async(logFilePath);
     const reportFilePath = path.join(outputFolder, 'report.csv');
+    await logFile2ReportFile_Async(logFilePath, reportFilePath, {...options, logFileSize});
 
+    const duplicatesReportFilePath = reporting.getDuplicatesReportFilePath(outputFolder);
+    const duplicatesCount = await logFile2ReportFile_Async(logFilePath, duplicatesReportFilePath, {...options, logFileSize, duplicatesOnly: true});
+    if (duplicatesCount === 0) {
+        // Not leaving the empty file (or the one produced before the operation was resumed)
+        fs.rmSync(duplicatesReportFilePath, { force: true });
+    }
+
+    const reverseRenameInputFilePath = reporting.getReverseRenameInputFilePath(outputFolder);
+    const renamedCount = await renameReversal.writeReverseRenameInputFile_Async(logFilePath, reverseRenameInputFilePath, logFileSize);
+    if (renamedCount === 0) {
+        fs.rmSync(reverseRenameInputFilePath, { force: true });
+    }
+    return reportFilePath;
+}
+
+/**
+ * Processes the log file (JSONL) and produces the report file (CSV).
+ * Resolves once the report file is completely written.
+ *
+ * Log file may still be being written: only the records persisted by the time the reading started are reported
+ * (each pass over the log file reads up to the size of the file at that time).
+ *
+ * @param {string} logFilePath - Path to the log file.
+ * @param {string} reportFilePath - Path to the report file.
+ * @param {Object} [options]
+ * @param {boolean} [options.latestPerRow] - Only report the latest `payload` record for each input row.
+ * @param {string} [options.rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @param {string[]} [options.statuses] - Only report records with these `Cld_Status` values.
+ * @param {string[]} [options.operations] - Only report records with these `Cld_Operation` values.
+ * @param {boolean} [options.duplicatesOnly] - Only report records for the rows resolving to the same asset as an earlier row.
+ * @param {number} [options.logFileSize] - Only read this many bytes from the start of the log file
+ *                                         (the size of the file when the reading started if not provided).
+ * @returns {Promise<number>} - Number of the reported records.
+ */
+async function logFile2ReportFile_Async(logFilePath, reportFilePath, options = {}) {
+    const logFileSize = options.logFileSize !== undefined
+        ? options.logFileSize
+        : await logFileReader.getLogFileSize_Async(logFilePath);
+
+    let isReported = () => true;
+    if (options.latestPerRow) {
+        const latestPayloadRecIndexes = await collectLatestPayloadRecIndexes_Async(logFilePath, options.rowKeyColumn, logFileSize);
+        isReported = (payloadRecIndex) => latestPayloadRecIndexes.has(payloadRecIndex);
+    }
+
+    const matchesFilters = (migrationRec) =>
+        (!options.statuses   || options.statuses.includes(migrationRec.Cld_Status)) &&
+        (!options.operations || options.operations.includes(migrationRec.Cld_Operation)) &&
+        (!options.duplicatesOnly || migrationRec.Cld_DuplicateOfRow !== undefined);
+
+    let payloadRecIndex = -1;
+    let reportedCount = 0;
+    const extractReportedRecord = (logLine) => {
+        const migrationRec = extractMigrationFlowRecord(logLine);
+        if (migrationRec === undefined) { return undefined; }
+        payloadRecIndex += 1;
+        if (!isReported(payloadRecIndex) || !matchesFilters(migrationRec)) { return undefined; }
+        reportedCount += 1;
+        return migrationRec;
+    };
+
+    const columns = await collectReportColumns_Async(logFilePath, logFileSize);
     const csvStringifier = stringify({
-        header: true
+        header: true,
+        columns: columns.length > 0 ? columns : undefined
     });
 
-    fs.createReadStream(logFilePath)
-        .pipe(split2(extractMigrationFlowRecord))
-        .pipe(csvStringifier)
-        .pipe(fs.createWriteStream(reportFilePath));
+    await pipeline(
+        logFileReader.createLogReadStream(logFilePath, logFileSize),
+        split2(extractReportedRecord),
+        csvStringifier,
+        fs.createWriteStream(reportFilePath)
+    );
 
-    return reportFilePath;
+    return reportedCount;
+}
+
+/**
+ * Asynchronously generates report records from the log file (one per `payload` record).
+ *
+ * @async
+ * @generator
+ * @param {string} logFilePath - Path to the log file.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the log file (entire file if not provided).
+ * @yields {Object} - The report record (see `extractMigrationFlowRecord`).
+ */
+async function* getReportRecordGenerator_Async(logFilePath, logFileSize = undefined) {
+    const lineReader = readline.createInterface({
+        input: logFileReader.createLogReadStream(logFilePath, logFileSize),
+        crlfDelay: Infinity
+    });
+    for await (const logLine of lineReader) {
+        const migrationRec = extractMigrationFlowRecord(logLine);
+        if (migrationRec !== undefined) {
+            yield migrationRec;
+        }
+    }
 }
 
-module.exports = {log2Report};
\ No newline at end of file
+module.exports = {
+    log2Report,
+    logFile2ReportFile_Async,
+    getReportRecordGenerator_Async,
+    SUCCEEDED_STATUSES
+};
\ No newline at end of file
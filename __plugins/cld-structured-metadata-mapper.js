@@ -31,6 +31,7 @@
 const path = require('path');
 const logging = require('../lib/output/logging');
 const cloudinary = require('cloudinary').v2;
+const rateLimiter = require('../lib/rate-limiter');
 
 const PLUGIN_NAME = path.parse(__filename).name;
 
@@ -116,6 +117,7 @@ class CloudinaryMetadataMapper {
      * @throws {Error} If Cloudinary API call fails
      */
     async init_Async(initLog) {
+        await rateLimiter.acquire_Async();
         const metadataResult = await cloudinary.api.list_metadata_fields();
         this.#metadata_structure = metadataResult.metadata_fields;
         initLog.info({metadata_fields:metadataResult.metadata_fields}, `Fetched Cloudinary metadata definitions from target product environment`);
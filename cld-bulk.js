@@ -3,6 +3,9 @@
  * @fileoverview This is the main entry point for the CLI tool.
  * 
  * 💡 Edit the `__input-to-api-payload.js` module to customize how CSV input is "translated" to Cloudinary API payload
+ * 💡 Edit the `__input-to-update-payload.js` module to customize the same for the `update` command
+ * 💡 Edit the `__input-to-delete-payload.js` module to customize the same for the `delete` command
+ * 💡 Edit the `__input-to-rename-payload.js` module to customize the same for the `rename` command
  * 
  * Parses command line parameters and invokes the main processing loop.
  * 💡 Should you need to edit processing loop - edit the `./lib/main-loop.js` module
@@ -18,11 +21,36 @@
  * 
  * `payload` records from the log file are then used to produce the operation report.
  */
-const { Command } = require('commander');
+const fs = require('node:fs');
+const { Command, Option } = require('commander');
 const mainLoop = require('./lib/main-loop');
+const validationLoop = require('./lib/validation-loop');
+const verificationLoop = require('./lib/verification-loop');
+const retryFailedLoop = require('./lib/retry-failed-loop');
+const rollbackLoop = require('./lib/rollback-loop');
+const inventoryLoop = require('./lib/inventory-loop');
 const cliHelpers = require('./lib/input/cli-helpers');
 const migrateAssetPayload = require('./lib/payload/migrate');
+const updateAssetPayload = require('./lib/payload/update');
+const deleteAssetPayload = require('./lib/payload/delete');
+const renameAssetPayload = require('./lib/payload/rename');
 const confirmationRoutines = require('./lib/input/confirmation-routines');
+const recoveryInput = require('./lib/input/recovery-input');
+const resumeHelpers = require('./lib/input/resume-helpers');
+const payloadPreview = require('./lib/input/payload-preview');
+const directoryInventory = require('./lib/input/directory-inventory');
+const inputReader = require('./lib/input/input-file-reader');
+const csvReader = require('./lib/input/csv-file-reader');
+const reportConsolidation = require('./lib/output/report-consolidation');
+const reporting = require('./lib/output/reporting');
+const retryPolicy = require('./lib/payload/retry-policy');
+const shutdownHandler = require('./lib/shutdown-handler');
+const circuitBreaker = require('./lib/circuit-breaker');
+const adaptiveConcurrency = require('./lib/adaptive-concurrency');
+const duplicateDetection = require('./lib/duplicate-detection');
+
+/* ℹ️ 👇 Module intended to be customized */
+const logToReport = require('./__log-to-report');
 
 const __program = new Command();
 
@@ -33,18 +61,166 @@ function yieldDefaultArgsCommand(program) {
     const defaultArgsCommand = program.createCommand()
         .requiredOption(
             '-f, --from-csv-file <path>', 
-            'CSV file detailing assets to import',
-            cliHelpers.inputFileMustExist)
+            'Input file (CSV, JSON Lines, JSON array or Excel workbook) detailing assets to import',
+            cliHelpers.inputFileMustExist);
+    addInputArgs(defaultArgsCommand);
+    addOperationArgs(defaultArgsCommand)
+        .option(
+            '--resume',
+            'Resume interrupted operation using the log file in the output folder (rows that already succeeded are skipped)')
+        .option(
+            '--row-key-column <column>',
+            'Input column uniquely identifying each row when resuming (row number is used by default)')
+        .option(
+            '--start-row <number>',
+            'First input row to process (1-based, header excluded). Rows before it are not processed nor reported',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--end-row <number>',
+            'Last input row to process (1-based, header excluded). Rows after it are not processed nor reported',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--limit <number>',
+            'Max number of input rows to process (counting the rows selected by --start-row and --where)',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--where <expression>',
+            "Process only the rows matching the condition: 'Column==value', 'Column!=value', 'Column~=regex' or path to a JS module exporting (input, row) => boolean. Can be repeated (all conditions must match)",
+            cliHelpers.collectWhereConditions)
+        .hook('preAction', cliHelpers.validateRowRangeOptions)
+        .hook('preAction', cliHelpers.validateOutputFolderOption)
+        .helpOption('-h, --help', 'Display help for command');
+    return defaultArgsCommand;
+}
+
+
+//
+// Configure command line arguments controlling how the input file is read
+// (shared by the commands reading the input file provided via --from-csv-file)
+//
+function addInputArgs(command) {
+    return command
+        .addOption(
+            new Option('--input-format <format>', 'Input file format (resolved by the file extension by default: .jsonl/.ndjson - JSON Lines, .json - JSON array, .xlsx - Excel workbook, CSV otherwise)')
+                .choices(Object.values(inputReader.INPUT_FORMAT)))
+        .option(
+            '--sheet <name>',
+            'Excel workbook worksheet to read the input from (the first worksheet by default)')
+        .option(
+            '--csv-delimiter <delimiter>',
+            `CSV field delimiter, use 'tab' for tab-delimited files (default: '${csvReader.DEFAULT_CSV_DIALECT.delimiter}')`,
+            cliHelpers.parseCsvDelimiter)
+        .option(
+            '--csv-quote <char>',
+            `CSV quote character (default: '${csvReader.DEFAULT_CSV_DIALECT.quote}')`,
+            cliHelpers.ensureSingleCharacter)
+        .option(
+            '--csv-escape <char>',
+            `CSV escape character for the quote character inside quoted fields (default: '${csvReader.DEFAULT_CSV_DIALECT.escape}')`,
+            cliHelpers.ensureSingleCharacter)
+        .option(
+            '--encoding <encoding>',
+            `CSV file encoding, the file is transcoded when reading (for example 'windows-1252', default: '${csvReader.DEFAULT_CSV_DIALECT.encoding}')`,
+            cliHelpers.ensureSupportedEncoding)
+        .option(
+            '--no-strip-bom',
+            'Do not strip the byte order mark from the beginning of CSV file')
+        .option(
+            '--csv-comment <char>',
+            'Skip CSV lines starting with this character',
+            cliHelpers.ensureSingleCharacter)
+        .option(
+            '--csv-relax-column-count',
+            'Allow CSV records with the number of fields not matching the header')
+        .option(
+            '--csv-trim',
+            'Trim whitespace around CSV fields');
+}
+
+
+//
+// Configure command line arguments controlling how the operations are performed
+// (shared by the commands that run the main loop, regardless of where the input comes from)
+//
+function addOperationArgs(command) {
+    return command
         .requiredOption(
             '-o, --output-folder <path>', 
-            'Folder name for the migration log and report files',
-            cliHelpers.exitIfAlreadyExistsOrCreateNew)
+            'Folder name for the migration log and report files')
         .requiredOption(
             '-c, --max-concurrent-uploads <number>', 
             'Max number of concurrent uploads',
             cliHelpers.ensureDoesNotExceedMax)
-        .helpOption('-h, --help', 'Display help for command');
-    return defaultArgsCommand;
+        .option(
+            '--adaptive-concurrency',
+            `Start with ${adaptiveConcurrency.DEFAULT_INITIAL_CONCURRENCY} concurrent operations, ramp up while healthy and back off when rate limited or timed out (never exceeding --max-concurrent-uploads)`)
+        .option(
+            '--max-ops-per-minute <number>',
+            'Max number of API operations per minute, including re-attempts and API calls made by plugins (regardless of the concurrency)',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '-m, --mapping-file <path>',
+            'JSON or YAML file defining how input rows map to Cloudinary API payload (instead of the customizable JS module)',
+            cliHelpers.mappingFileMustBeValid)
+        .option(
+            '--max-attempts <number>',
+            `Max number of attempts for each operation failing due to transient issues (default: ${retryPolicy.DEFAULT_MAX_ATTEMPTS})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--retry-base-delay-ms <number>',
+            `Base delay before re-attempting an operation, doubled on each attempt with random jitter applied (default: ${retryPolicy.DEFAULT_BASE_DELAY_MS})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--retry-max-delay-ms <number>',
+            `Max delay before re-attempting an operation (default: ${retryPolicy.DEFAULT_MAX_DELAY_MS})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--retry-on-http-codes <codes>',
+            `Comma-separated HTTP status codes to re-attempt operations for (default: ${retryPolicy.DEFAULT_RETRYABLE_HTTP_CODES.join(',')})`,
+            cliHelpers.parseHttpCodesList)
+        .option(
+            '--retry-on-error-message <regex>',
+            'Error message (regular expression) to re-attempt operations for. Can be repeated. Replaces the default list of known transient error messages',
+            cliHelpers.collectRegExps)
+        .option(
+            '--max-failures <number>',
+            'Abort the operation once the number of failed operations reaches this value (rest of the rows are reported as NOT_ATTEMPTED)',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--max-failure-rate <percent>',
+            'Abort the operation once the percentage of failed operations among the latest ones reaches this value (rest of the rows are reported as NOT_ATTEMPTED)',
+            cliHelpers.ensurePercentage)
+        .option(
+            '--failure-rate-window <number>',
+            `Number of the latest operations to evaluate the failure rate for (default: ${circuitBreaker.DEFAULT_FAILURE_RATE_WINDOW})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--drain-timeout-ms <number>',
+            `Max time to wait for in-flight operations to complete when interrupted with SIGINT/SIGTERM (default: ${shutdownHandler.DEFAULT_DRAIN_TIMEOUT_MS})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--preview-rows <number>',
+            `Number of sample payloads to preview before confirming the operation (default: ${payloadPreview.DEFAULT_PREVIEW_ROWS})`,
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '--preview-full-scan',
+            'Build payloads for all the rows (not only for the sample ones) to count payload errors and effective options in the preview')
+        .option(
+            '--no-preview',
+            'Do not produce payloads preview before confirming the operation')
+        .option(
+            '-y, --yes',
+            'Proceed without prompting for confirmation (for unattended runs). Requires --expect-cloud')
+        .option(
+            '--expect-cloud <name>',
+            'Cloud name the operation is expected to be performed for (the operation is not performed for any other cloud)')
+        .addOption(
+            new Option('--on-duplicate-public-id <policy>', `What to do with the rows resolving to the same asset (public_id, resource_type and type) as an earlier row: allow, skip (reported as ${duplicateDetection.DUPLICATE_IN_INPUT_STATUS}) or fail. Such rows are also listed in the duplicates.csv file`)
+                .choices(Object.values(duplicateDetection.DUPLICATE_POLICY))
+                .default(duplicateDetection.DEFAULT_DUPLICATE_POLICY))
+        .option(
+            '--dry-run',
+            'Produce payload for each input row (applying plugins) without sending it to Cloudinary. Reported with DRY_RUN or INVALID status');
 }
 
 
@@ -68,15 +244,328 @@ function configureCommands(program) {
         .addHelpCommand(false)
         .showHelpAfterError()
         .allowUnknownOption(false)
-        .action(async (cliArgs, cliCommand) => {
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs, cliCommand) => {
             await mainLoop.loopOverCsvInput_Async(
                 cliArgs,
                 cliCommand,
                 migrateAssetPayload,
                 confirmationRoutines
             );
-        });
+        }));
     program.addCommand(migrateCmd);
+
+    const updateCmd = yieldDefaultArgsCommand(program);
+    updateCmd.name('update')
+        .description('Update existing Cloudinary assets in bulk (tags, metadata, access control, eager transformations etc.)')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs, cliCommand) => {
+            await mainLoop.loopOverCsvInput_Async(
+                cliArgs,
+                cliCommand,
+                updateAssetPayload,
+                confirmationRoutines
+            );
+        }));
+    program.addCommand(updateCmd);
+
+    const deleteCmd = yieldDefaultArgsCommand(program);
+    deleteCmd.name('delete')
+        .description(`Delete Cloudinary assets in bulk (up to ${deleteAssetPayload.MAX_ROWS_PER_API_CALL} assets per Admin API call, outcome is reported for each row)`)
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs, cliCommand) => {
+            await mainLoop.loopOverCsvInput_Async(
+                cliArgs,
+                cliCommand,
+                deleteAssetPayload,
+                confirmationRoutines
+            );
+        }));
+    program.addCommand(deleteCmd);
+
+    const renameCmd = yieldDefaultArgsCommand(program);
+    renameCmd.name('rename')
+        .description('Rename (change public_id) and move (change asset folder) Cloudinary assets in bulk. Input to rename the assets back is produced along with the report')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs, cliCommand) => {
+            await mainLoop.loopOverCsvInput_Async(
+                cliArgs,
+                cliCommand,
+                renameAssetPayload,
+                confirmationRoutines
+            );
+        }));
+    program.addCommand(renameCmd);
+
+    const retryFailedCmd = addOperationArgs(program.createCommand()
+        .requiredOption(
+            '--from-output-folder <path>',
+            'Output folder of the previous run to re-attempt the rows that did not succeed for',
+            cliHelpers.previousRunLogFileMustExist))
+        .option(
+            '--status <statuses>',
+            `Only re-attempt rows with these statuses (comma-separated, can be repeated, default: ${recoveryInput.DEFAULT_RECOVERY_STATUSES.join(',')})`,
+            cliHelpers.collectCommaSeparated)
+        .option(
+            '--error-matching <regex>',
+            'Only re-attempt rows with error message matching this regular expression (case-insensitive)',
+            cliHelpers.ensureRegExp)
+        .hook('preAction', cliHelpers.validateOutputFolderOption)
+        .helpOption('-h, --help', 'Display help for command');
+    retryFailedCmd.name('retry-failed')
+        .description('Re-attempt the rows that did not succeed in the previous run (performing the same operation)')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs) => {
+            await retryFailedLoop.retryFailedRows_Async(
+                cliArgs,
+                {migrate: migrateAssetPayload, update: updateAssetPayload, delete: deleteAssetPayload, rename: renameAssetPayload},
+                confirmationRoutines
+            );
+        }));
+    program.addCommand(retryFailedCmd);
+
+    program.command('rollback')
+        .description('Delete the assets created by the migration run (assets overwritten by the run can not be restored and are not deleted)')
+        .requiredOption(
+            '--from-output-folder <path>',
+            'Output folder of the migration run to roll back',
+            cliHelpers.previousRunLogFileMustExist)
+        .requiredOption(
+            '-o, --output-folder <path>',
+            'Folder name for the rollback log and report files',
+            cliHelpers.exitIfAlreadyExistsOrCreateNew)
+        .option(
+            '-c, --max-concurrent-batches <number>',
+            `Max number of concurrent Admin API calls, each deleting up to ${rollbackLoop.MAX_BATCH_SIZE} assets (default: ${rollbackLoop.DEFAULT_MAX_CONCURRENT_BATCHES})`,
+            cliHelpers.ensureDoesNotExceedMax)
+        .option(
+            '--max-ops-per-minute <number>',
+            'Max number of Admin API calls per minute (Admin API calls count towards the hourly rate limit)',
+            cliHelpers.ensurePositiveInteger)
+        .option(
+            '-y, --yes',
+            'Proceed without prompting for confirmation (for unattended runs). Requires --expect-cloud')
+        .option(
+            '--expect-cloud <name>',
+            'Cloud name the rollback is expected to be performed for (the rollback is not performed for any other cloud)')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(async (cliArgs) => {
+            await rollbackLoop.rollbackOutputFolder_Async(cliArgs, confirmationRoutines);
+        });
+
+    program.command('consolidate-reports')
+        .description('Consolidate reports of the initial run and the recovery runs into the final report with the latest outcome for each input row')
+        .argument('<folders...>', 'Output folders of the runs: the initial run first, then the recovery runs in the order they were performed')
+        .requiredOption(
+            '--key-column <column>',
+            'Input column uniquely identifying each row across the runs')
+        .requiredOption(
+            '--to <path>',
+            'Final report file (CSV) to produce',
+            cliHelpers.outputFileMustNotExist)
+        .option(
+            '--summary-to <path>',
+            'Summary file (CSV) to produce with the number of rows fixed by each recovery run (default: next to the final report)',
+            cliHelpers.outputFileMustNotExist)
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(async (folders, cliArgs, cliCommand) => {
+            const summaryFilePath = cliArgs.summaryTo || cliArgs.to.replace(/(\.csv)?$/i, '.summary.csv');
+            if (fs.existsSync(summaryFilePath)) {
+                cliCommand.error(`error: summary file '${summaryFilePath}' already exists. Please specify a different file with --summary-to or move/rename the existing one`);
+            }
+            console.log(`📋 Consolidating reports of ${folders.length} run(s)`);
+            let summary = null;
+            try {
+                summary = await reportConsolidation.consolidateReports_Async(folders, cliArgs.keyColumn, cliArgs.to);
+            } catch (err) {
+                if (!(err instanceof reportConsolidation.InvalidRunReportError)) {
+                    throw err;
+                }
+                console.error(`🛑 Reports can not be consolidated. ${err.message}`);
+                process.exitCode = 1;
+                return;
+            }
+            await reportConsolidation.writeSummaryFile_Async(summary, summaryFilePath);
+            console.table(summary, ['run', 'rows', 'succeeded', 'failed', 'fixed']);
+            console.log(`🏁 Final report persisted to the file: '${cliArgs.to}'`);
+            console.log(`📊 Summary persisted to the file: '${summaryFilePath}'`);
+        });
+
+    program.command('inventory')
+        .description('Produce migration input file (CSV) listing the files of a local directory tree. Nothing is sent to Cloudinary')
+        .requiredOption(
+            '--from-dir <path>',
+            'Directory to list the files of (including subdirectories)',
+            cliHelpers.inputDirectoryMustExist)
+        .requiredOption(
+            '--to <path>',
+            'Migration input file (CSV) to produce',
+            cliHelpers.outputFileMustNotExist)
+        .option(
+            '--include <glob>',
+            'Only list the files matching the glob pattern (can be repeated). Patterns with no "/" are matched against the file name',
+            cliHelpers.collectGlobPatterns)
+        .option(
+            '--exclude <glob>',
+            'Do not list the files matching the glob pattern (can be repeated). Patterns with no "/" are matched against the file name',
+            cliHelpers.collectGlobPatterns)
+        .addOption(
+            new Option('--sanitize <mode>', 'How the directory and file names are sanitized for the public_id and folder values')
+                .choices(Object.values(directoryInventory.SANITIZE_MODE))
+                .default(directoryInventory.DEFAULT_SANITIZE_MODE))
+        .option(
+            '--keep-extension',
+            'Keep the file extension in the public_id (as expected for raw assets)')
+        .option(
+            '--no-md5',
+            'Do not compute MD5 digest of the files (faster, but duplicate files are not detected)')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(async (cliArgs) => {
+            await inventoryLoop.inventoryDirectory_Async(cliArgs);
+        });
+
+    const validateCommand = program.command('validate')
+        .description('Validate input file (and mapping file) before running the bulk operation. Nothing is sent to Cloudinary')
+        .requiredOption(
+            '-f, --from-csv-file <path>',
+            'Input file (CSV, JSON Lines, JSON array or Excel workbook) detailing assets to validate',
+            cliHelpers.inputFileMustExist);
+    addInputArgs(validateCommand)
+        .requiredOption(
+            '-o, --output-folder <path>',
+            'Folder name for the validation log and report files',
+            cliHelpers.exitIfAlreadyExistsOrCreateNew)
+        .option(
+            '-m, --mapping-file <path>',
+            'JSON or YAML file defining how input rows map to Cloudinary API payload (instead of the customizable JS module)',
+            cliHelpers.mappingFileMustBeValid)
+        .addOption(
+            new Option('--operation <name>', 'Operation to validate the input for')
+                .choices(['migrate', 'update', 'delete', 'rename'])
+                .default('migrate'))
+        .option(
+            '--required-columns <columns>',
+            'Comma-separated input columns that must be present (columns referenced in the mapping file are always required)',
+            cliHelpers.parseColumnsList)
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(cliHelpers.exitOnInvalidInputFile(async (cliArgs) => {
+            const payloadModule = {migrate: migrateAssetPayload, update: updateAssetPayload, delete: deleteAssetPayload, rename: renameAssetPayload}[cliArgs.operation];
+            const stats = await validationLoop.validateCsvInput_Async(cliArgs, cliArgs.operation, payloadModule);
+            if (stats.problems > 0) {
+                process.exitCode = 1;
+            }
+        }));
+
+    program.command('verify')
+        .description('Verify the assets produced by the operations that succeeded as per the report (exist in Cloudinary with the expected metadata, tags and folder). Nothing is changed in Cloudinary')
+        .option(
+            '--from-output-folder <path>',
+            'Output folder of the run to verify the assets for (as per the report.csv in the folder)',
+            cliHelpers.previousRunReportFileMustExist)
+        .addOption(
+            new Option('--from-report <path>', 'Report file (CSV) to verify the assets for, for example the edited or the consolidated report')
+                .argParser(cliHelpers.inputFileMustExist)
+                .conflicts('fromOutputFolder'))
+        .requiredOption(
+            '--to <path>',
+            'Verification report file (CSV) to produce',
+            cliHelpers.outputFileMustNotExist)
+        .option(
+            '-m, --mapping-file <path>',
+            'JSON or YAML mapping file the operation was run with (expected tags, metadata and folder are taken from the payload produced for the input columns of the report)',
+            cliHelpers.mappingFileMustBeValid)
+        .addOption(
+            new Option('--operation <name>', 'Operation the report was produced by')
+                .choices(['migrate', 'update', 'rename'])
+                .default('migrate'))
+        .option(
+            '-c, --max-concurrent-checks <number>',
+            `Max number of concurrent Admin API calls (default: ${verificationLoop.DEFAULT_MAX_CONCURRENT_CHECKS})`,
+            cliHelpers.ensureDoesNotExceedMax)
+        .option(
+            '--max-ops-per-minute <number>',
+            'Max number of Admin API calls per minute (Admin API calls count towards the hourly rate limit)',
+            cliHelpers.ensurePositiveInteger)
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .hook('preAction', cliHelpers.validateReportSourceOptions)
+        .action(async (cliArgs) => {
+            const payloadModule = {migrate: migrateAssetPayload, update: updateAssetPayload, rename: renameAssetPayload}[cliArgs.operation];
+            const stats = await verificationLoop.verifyReport_Async(cliArgs, cliArgs.operation, payloadModule);
+            if (stats.verified < stats.checked) {
+                process.exitCode = 1;
+            }
+        });
+
+    program.command('report')
+        .description('Produce report from the log file (may still be being written). Filtered report can be used as input for a recovery run')
+        .requiredOption(
+            '--from-log <path>',
+            'Log file (log.jsonl) to produce the report from',
+            cliHelpers.inputFileMustExist)
+        .requiredOption(
+            '--to <path>',
+            'Report file (CSV) to produce',
+            cliHelpers.outputFileMustNotExist)
+        .option(
+            '--status <statuses>',
+            'Only report records with these Cld_Status values (comma-separated, can be repeated)',
+            cliHelpers.collectCommaSeparated)
+        .option(
+            '--operation <operations>',
+            'Only report records with these Cld_Operation values (comma-separated, can be repeated)',
+            cliHelpers.collectCommaSeparated)
+        .option(
+            '--latest-per-row',
+            'Only report the latest outcome for each input row (for the log of a resumed operation)')
+        .option(
+            '--duplicates-only',
+            'Only report the rows resolving to the same asset (public_id, resource_type and type) as an earlier row')
+        .option(
+            '--row-key-column <column>',
+            'Input column uniquely identifying each row for --latest-per-row (row number is used by default)')
+        .addHelpCommand(false)
+        .showHelpAfterError()
+        .allowUnknownOption(false)
+        .action(async (cliArgs) => {
+            console.log(`📋 Producing report from the log file '${cliArgs.fromLog}'`);
+            let reportedCount = 0;
+            try {
+                reportedCount = await logToReport.logFile2ReportFile_Async(cliArgs.fromLog, cliArgs.to, {
+                    latestPerRow   : cliArgs.latestPerRow === true,
+                    rowKeyColumn   : cliArgs.rowKeyColumn,
+                    statuses       : cliArgs.status,
+                    operations     : cliArgs.operation,
+                    duplicatesOnly : cliArgs.duplicatesOnly === true,
+                });
+            } catch (err) {
+                if (!(err instanceof resumeHelpers.InvalidRowKeyError)) {
+                    throw err;
+                }
+                // Not leaving the partially written report
+                fs.rmSync(cliArgs.to, { force: true });
+                console.error(`🛑 Report can not be produced. ${err.message}`);
+                process.exitCode = 1;
+                return;
+            }
+            console.log(`🏁 ${reportedCount} record(s) reported to the file: '${cliArgs.to}'`);
+        });
 }
 
 
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Implements adaptive concurrency limit for the bulk operation ("additive increase, multiplicative decrease"):
+ *  - starts with a low limit and increases it by one after each "round" of operations (as many as the current limit)
+ *    completed with healthy latency
+ *  - halves the limit when rate limited (HTTP 420, 429) or timed out
+ *  - decreases the limit by one when latency degrades
+ *
+ * Operations started before the limit was decreased are not taken into account for the next decrease
+ * (they reflect the load before the decrease).
+ */
+
+const apiErrors = require('./payload/api-errors');
+
+const DEFAULT_INITIAL_CONCURRENCY = 2;
+const MIN_CONCURRENCY = 1;
+
+// HTTP status codes indicating that the load should be reduced
+//  - 420, 429 : rate limiting
+//  - 499      : request timeout (reported by Cloudinary SDK)
+const THROTTLING_HTTP_CODES = [420, 429, 499];
+const THROTTLING_ERROR_MESSAGE_REGEX = /timed out|ETIMEDOUT|ESOCKETTIMEDOUT/i;
+
+// Latency is considered degraded when its moving average exceeds the lowest one observed by this factor
+const LATENCY_DEGRADATION_FACTOR = 2;
+// Weight of the latest latency in the moving average
+const LATENCY_EWMA_ALPHA = 0.2;
+
+
+/**
+ * Checks if the error indicates that the load should be reduced (rate limiting or timeout).
+ *
+ * @param {Object} err - The error raised by the operation.
+ * @returns {boolean} - True for rate limiting and timeout errors.
+ */
+function isThrottlingError(err) {
+    if (!err) {
+        return false;
+    }
+    return THROTTLING_HTTP_CODES.includes(apiErrors.getHttpCode(err)) ||
+        THROTTLING_ERROR_MESSAGE_REGEX.test(apiErrors.getMessage(err));
+}
+
+
+/**
+ * Creates concurrency limiter adapting the limit to the outcomes of the operations.
+ *
+ * @param {Object} options
+ * @param {number} options.maxConcurrency - The limit is never increased above this value.
+ * @param {number} [options.initialConcurrency] - The initial limit.
+ * @param {function} [onLimitChange] - Invoked with `{from, to, reason}` whenever the limit changes.
+ * @returns {Object} - The limiter exposing `acquire_Async()`, `release(outcome)` and `getLimit()`.
+ */
+function createAdaptiveConcurrencyLimiter(options, onLimitChange = () => {}) {
+    const maxConcurrency = options.maxConcurrency;
+    let limit = Math.min(options.initialConcurrency || DEFAULT_INITIAL_CONCURRENCY, maxConcurrency);
+    let active = 0;
+    const waiting = [];
+
+    let completedInRound = 0;
+    let lastDecreaseAt = 0;
+    let latencyEwmaMs = null;
+    let lowestLatencyEwmaMs = null;
+
+    const changeLimit = (newLimit, reason) => {
+        newLimit = Math.max(MIN_CONCURRENCY, Math.min(maxConcurrency, newLimit));
+        completedInRound = 0;
+        if (newLimit === limit) {
+            return;
+        }
+        const from = limit;
+        limit = newLimit;
+        if (newLimit < from) {
+            lastDecreaseAt = Date.now();
+        }
+        onLimitChange({ from, to: newLimit, reason });
+    };
+
+    const dispatchWaiting = () => {
+        while (active < limit && waiting.length > 0) {
+            active += 1;
+            waiting.shift()();
+        }
+    };
+
+    /**
+     * Waits until the operation can be started within the current limit.
+     *
+     * @returns {Promise<void>} - Resolves once the operation can be started.
+     */
+    async function acquire_Async() {
+        if (active < limit) {
+            active += 1;
+            return;
+        }
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    /**
+     * Releases the slot of the completed operation and adapts the limit to its outcome.
+     *
+     * @param {Object|null} outcome - Null if the operation was not performed (the limit is then left as is).
+     * @param {number|null} outcome.startedAt - Time (ms since epoch) the operation was started at (null if not sent to Cloudinary).
+     * @param {boolean} outcome.throttled - True if the operation (or any of its attempts) was rate limited or timed out.
+     * @param {number} [outcome.latencyMs] - Latency of the operation (only for operations succeeded on the first attempt).
+     */
+    function release(outcome) {
+        active -= 1;
+
+        if (outcome === null) {
+            dispatchWaiting();
+            return;
+        }
+
+        if (outcome.throttled) {
+            if (outcome.startedAt !== null && outcome.startedAt >= lastDecreaseAt) {
+                changeLimit(Math.floor(limit / 2), 'throttled');
+            }
+        } else {
+            if (outcome.latencyMs !== undefined && outcome.latencyMs !== null) {
+                latencyEwmaMs = latencyEwmaMs === null
+                    ? outcome.latencyMs
+                    : LATENCY_EWMA_ALPHA * outcome.latencyMs + (1 - LATENCY_EWMA_ALPHA) * latencyEwmaMs;
+                lowestLatencyEwmaMs = lowestLatencyEwmaMs === null ? latencyEwmaMs : Math.min(lowestLatencyEwmaMs, latencyEwmaMs);
+            }
+            completedInRound += 1;
+            if (completedInRound >= limit) {
+                const latencyDegraded = latencyEwmaMs !== null && latencyEwmaMs > LATENCY_DEGRADATION_FACTOR * lowestLatencyEwmaMs;
+                if (latencyDegraded) {
+                    if (outcome.startedAt >= lastDecreaseAt) {
+                        changeLimit(limit - 1, 'latency_degraded');
+                    }
+                } else {
+                    changeLimit(limit + 1, 'healthy');
+                }
+            }
+        }
+
+        dispatchWaiting();
+    }
+
+    return {
+        acquire_Async,
+        release,
+        getLimit: () => limit,
+    };
+}
+
+
+/**
+ * Invokes the operation within the current limit of the concurrency limiter and adapts the limit to its outcome.
+ * Intended for the API calls made on behalf of several rows (rows are then not limited individually).
+ *
+ * @param {Object|null} limiter - The limiter created with `createAdaptiveConcurrencyLimiter` (operation is invoked as is if null).
+ * @param {function} operation_Async - The operation to invoke.
+ * @returns {Promise<*>} - Resolves (or rejects) as the operation does.
+ */
+async function invokeWithinLimit_Async(limiter, operation_Async) {
+    if (!limiter) {
+        return await operation_Async();
+    }
+    await limiter.acquire_Async();
+    const startedAt = Date.now();
+    try {
+        const result = await operation_Async();
+        limiter.release({ startedAt, throttled: false, latencyMs: Date.now() - startedAt });
+        return result;
+    } catch (err) {
+        limiter.release({ startedAt, throttled: isThrottlingError(err), latencyMs: null });
+        throw err;
+    }
+}
+
+module.exports = {
+    isThrottlingError,
+    createAdaptiveConcurrencyLimiter,
+    invokeWithinLimit_Async,
+    DEFAULT_INITIAL_CONCURRENCY
+}
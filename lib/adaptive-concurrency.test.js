@@ -0,0 +1,153 @@
+const {
+    isThrottlingError,
+    createAdaptiveConcurrencyLimiter,
+    invokeWithinLimit_Async,
+    DEFAULT_INITIAL_CONCURRENCY
+} = require('./adaptive-concurrency');
+
+
+describe('isThrottlingError', () => {
+    it.each([
+        [{ http_code: 420, message: 'Rate Limited' }],
+        [{ http_code: 429, message: 'Too Many Requests' }],
+        [{ error: { http_code: 499, message: 'Request Timeout', name: 'TimeoutError' } }],
+        [{ message: 'connect ETIMEDOUT 1.2.3.4:443' }],
+    ])('should detect throttling error %j', (err) => {
+        expect(isThrottlingError(err)).toBe(true);
+    });
+
+    it.each([
+        [null],
+        [{ http_code: 400, message: 'Invalid image file' }],
+        [{ http_code: 404, message: 'Resource not found' }],
+    ])('should not treat %j as throttling error', (err) => {
+        expect(isThrottlingError(err)).toBe(false);
+    });
+});
+
+
+describe('createAdaptiveConcurrencyLimiter', () => {
+    const healthy = (latencyMs = 100) => ({ startedAt: Date.now(), throttled: false, latencyMs });
+
+    it('should start with the default initial limit', () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20 });
+        expect(limiter.getLimit()).toBe(DEFAULT_INITIAL_CONCURRENCY);
+    });
+
+    it('should not start above the max concurrency', () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 1 });
+        expect(limiter.getLimit()).toBe(1);
+    });
+
+    it('should increase the limit after a round of healthy operations and report the change', async () => {
+        const changes = [];
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 2 }, change => changes.push(change));
+        for (let i = 0; i < 2; i++) {
+            await limiter.acquire_Async();
+            limiter.release(healthy());
+        }
+        expect(limiter.getLimit()).toBe(3);
+        expect(changes).toEqual([{ from: 2, to: 3, reason: 'healthy' }]);
+    });
+
+    it('should never increase the limit above the max concurrency', async () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 4, initialConcurrency: 2 });
+        for (let i = 0; i < 50; i++) {
+            await limiter.acquire_Async();
+            limiter.release(healthy());
+        }
+        expect(limiter.getLimit()).toBe(4);
+    });
+
+    it('should halve the limit on throttling', async () => {
+        const changes = [];
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 8 }, change => changes.push(change));
+        await limiter.acquire_Async();
+        limiter.release({ startedAt: Date.now(), throttled: true, latencyMs: null });
+        expect(limiter.getLimit()).toBe(4);
+        expect(changes).toEqual([{ from: 8, to: 4, reason: 'throttled' }]);
+    });
+
+    it('should ignore throttling of the operations started before the latest decrease', async () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 8 });
+        const startedBeforeDecrease = Date.now() - 1000;
+        for (let i = 0; i < 3; i++) {
+            await limiter.acquire_Async();
+        }
+        for (let i = 0; i < 3; i++) {
+            limiter.release({ startedAt: startedBeforeDecrease, throttled: true, latencyMs: null });
+        }
+        expect(limiter.getLimit()).toBe(4);
+    });
+
+    it('should never decrease the limit below 1', async () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 1 });
+        await limiter.acquire_Async();
+        limiter.release({ startedAt: Date.now(), throttled: true, latencyMs: null });
+        expect(limiter.getLimit()).toBe(1);
+    });
+
+    it('should decrease the limit when latency degrades', async () => {
+        const changes = [];
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 2 }, change => changes.push(change));
+        for (let i = 0; i < 2; i++) {
+            await limiter.acquire_Async();
+            limiter.release(healthy(100));
+        }
+        for (let i = 0; i < 10; i++) {
+            await limiter.acquire_Async();
+            limiter.release(healthy(2000));
+        }
+        expect(changes).toContainEqual(expect.objectContaining({ reason: 'latency_degraded' }));
+        expect(limiter.getLimit()).toBeLessThan(3);
+    });
+
+    it('should hold operations above the limit until a slot is released', async () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 1 });
+        await limiter.acquire_Async();
+
+        let acquired = false;
+        const pending = limiter.acquire_Async().then(() => { acquired = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(acquired).toBe(false);
+
+        limiter.release(healthy());
+        await pending;
+        expect(acquired).toBe(true);
+    });
+
+    it('should release the slot of the operation not performed without changing the limit', async () => {
+        const changes = [];
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 1 }, change => changes.push(change));
+        await limiter.acquire_Async();
+        const pending = limiter.acquire_Async();
+
+        limiter.release(null);
+        await pending;
+        limiter.release(null);
+        expect(limiter.getLimit()).toBe(1);
+        expect(changes).toEqual([]);
+    });
+});
+
+
+describe('invokeWithinLimit_Async', () => {
+    it('should invoke the operation as is when no limiter provided', async () => {
+        await expect(invokeWithinLimit_Async(null, async () => 'done')).resolves.toEqual('done');
+    });
+
+    it('should release the slot with the outcome of the operation', async () => {
+        const limiter = createAdaptiveConcurrencyLimiter({ maxConcurrency: 20, initialConcurrency: 2 });
+        const releaseSpy = jest.spyOn(limiter, 'release');
+        const throttlingError = { message: 'Rate Limit Exceeded', http_code: 420 };
+
+        await expect(invokeWithinLimit_Async(limiter, async () => 'done')).resolves.toEqual('done');
+        await expect(invokeWithinLimit_Async(limiter, async () => { throw throttlingError; })).rejects.toEqual(throttlingError);
+
+        expect(releaseSpy.mock.calls).toEqual([
+            [{ startedAt: expect.any(Number), throttled: false, latencyMs: expect.any(Number) }],
+            [{ startedAt: expect.any(Number), throttled: true, latencyMs: null }],
+        ]);
+        expect(limiter.getLimit()).toEqual(1);
+    });
+});
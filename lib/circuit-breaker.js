@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Implements circuit breaker to abort the bulk operation when operations keep failing
+ * (for example, due to wrong Cloudinary credentials, assets source host being down or misconfigured upload preset).
+ *
+ * The circuit breaker trips when either:
+ *  - total number of failed operations reaches the max failures threshold
+ *  - share of failed operations among the latest ones (sliding window) reaches the max failure rate
+ */
+
+const DEFAULT_FAILURE_RATE_WINDOW = 100;
+
+
+/**
+ * Resolves the circuit breaker options from the command line arguments.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @returns {Object} - The circuit breaker options (thresholds not provided are not applied).
+ */
+function resolveCircuitBreakerOptions(cliArgs) {
+    return {
+        max_failures         : cliArgs.maxFailures        || null,
+        max_failure_rate_pct : cliArgs.maxFailureRate     || null,
+        failure_rate_window  : cliArgs.failureRateWindow  || DEFAULT_FAILURE_RATE_WINDOW,
+    };
+}
+
+
+/**
+ * Creates circuit breaker tracking outcomes of the operations.
+ *
+ * @param {Object} options - The circuit breaker options (see `resolveCircuitBreakerOptions`).
+ * @returns {Object} - The circuit breaker exposing `recordOutcome(failed)`, `isTripped()` and `getTripReason()`.
+ */
+function createCircuitBreaker(options) {
+    let failures = 0;
+    let tripReason = null;
+    // Outcomes of the latest operations (true for failed ones)
+    const window = [];
+    let windowFailures = 0;
+
+    /**
+     * Records outcome of the operation and trips the circuit breaker if any threshold is reached.
+     *
+     * @param {boolean} failed - True if the operation failed.
+     * @returns {string|null} - The reason the circuit breaker tripped (null if it is not tripped).
+     */
+    function recordOutcome(failed) {
+        if (failed) {
+            failures += 1;
+        }
+        window.push(failed);
+        windowFailures += failed ? 1 : 0;
+        if (window.length > options.failure_rate_window) {
+            windowFailures -= window.shift() ? 1 : 0;
+        }
+
+        if (tripReason) {
+            return tripReason;
+        }
+        if (options.max_failures && failures >= options.max_failures) {
+            tripReason = `${failures} operations failed (max failures: ${options.max_failures})`;
+        } else if (options.max_failure_rate_pct && window.length >= options.failure_rate_window) {
+            const failureRatePct = 100 * windowFailures / window.length;
+            if (failureRatePct >= options.max_failure_rate_pct) {
+                tripReason = `${windowFailures} of the latest ${window.length} operations failed (max failure rate: ${options.max_failure_rate_pct}%)`;
+            }
+        }
+        return tripReason;
+    }
+
+    return {
+        recordOutcome,
+        isTripped     : () => tripReason !== null,
+        getTripReason : () => tripReason,
+    };
+}
+
+module.exports = {
+    resolveCircuitBreakerOptions,
+    createCircuitBreaker,
+    DEFAULT_FAILURE_RATE_WINDOW
+}
@@ -0,0 +1,69 @@
+const {
+    resolveCircuitBreakerOptions,
+    createCircuitBreaker,
+    DEFAULT_FAILURE_RATE_WINDOW
+} = require('./circuit-breaker');
+
+
+describe('resolveCircuitBreakerOptions', () => {
+    it('should not apply thresholds unless provided', () => {
+        expect(resolveCircuitBreakerOptions({})).toEqual({
+            max_failures         : null,
+            max_failure_rate_pct : null,
+            failure_rate_window  : DEFAULT_FAILURE_RATE_WINDOW,
+        });
+    });
+
+    it('should resolve provided thresholds', () => {
+        expect(resolveCircuitBreakerOptions({ maxFailures: 10, maxFailureRate: 50, failureRateWindow: 20 })).toEqual({
+            max_failures         : 10,
+            max_failure_rate_pct : 50,
+            failure_rate_window  : 20,
+        });
+    });
+});
+
+
+describe('createCircuitBreaker', () => {
+    it('should never trip when no thresholds are set', () => {
+        const circuitBreaker = createCircuitBreaker(resolveCircuitBreakerOptions({}));
+        for (let i = 0; i < 1000; i++) {
+            expect(circuitBreaker.recordOutcome(true)).toBeNull();
+        }
+        expect(circuitBreaker.isTripped()).toBe(false);
+    });
+
+    it('should trip once max failures is reached', () => {
+        const circuitBreaker = createCircuitBreaker(resolveCircuitBreakerOptions({ maxFailures: 3 }));
+        [true, false, true].forEach(failed => circuitBreaker.recordOutcome(failed));
+        expect(circuitBreaker.isTripped()).toBe(false);
+
+        expect(circuitBreaker.recordOutcome(true)).toMatch(/3 operations failed/);
+        expect(circuitBreaker.isTripped()).toBe(true);
+    });
+
+    it('should not evaluate failure rate until the window is filled', () => {
+        const circuitBreaker = createCircuitBreaker(resolveCircuitBreakerOptions({ maxFailureRate: 50, failureRateWindow: 4 }));
+        [true, true, true].forEach(failed => circuitBreaker.recordOutcome(failed));
+        expect(circuitBreaker.isTripped()).toBe(false);
+
+        circuitBreaker.recordOutcome(false);
+        expect(circuitBreaker.getTripReason()).toMatch(/3 of the latest 4 operations failed/);
+    });
+
+    it('should evaluate failure rate over the latest operations only', () => {
+        const circuitBreaker = createCircuitBreaker(resolveCircuitBreakerOptions({ maxFailureRate: 75, failureRateWindow: 4 }));
+        [true, true, false, false, false, true, true].forEach(failed => circuitBreaker.recordOutcome(failed));
+        expect(circuitBreaker.isTripped()).toBe(false);
+
+        circuitBreaker.recordOutcome(true);
+        expect(circuitBreaker.isTripped()).toBe(true);
+    });
+
+    it('should keep the first trip reason', () => {
+        const circuitBreaker = createCircuitBreaker(resolveCircuitBreakerOptions({ maxFailures: 1 }));
+        const tripReason = circuitBreaker.recordOutcome(true);
+        circuitBreaker.recordOutcome(true);
+        expect(circuitBreaker.getTripReason()).toEqual(tripReason);
+    });
+});
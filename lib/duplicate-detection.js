@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Implements detection of the input rows resolving to the same asset (`public_id` + `resource_type` + `type`),
+ * so that the later rows do not overwrite (or update again) the asset produced by an earlier row.
+ *
+ * Assets are tracked in memory up to a threshold. Beyond it, tracked assets are spilled to bucket files on disk
+ * (so that very large inputs do not exhaust memory), with a Bloom filter to avoid reading the files for the new assets.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const inputValidation = require('./input/input-validation');
+const logFileReader = require('./input/log-file-reader');
+
+/**
+ * Policies for the later rows resolving to the same asset as an earlier row
+ * @readonly
+ * @enum {string}
+ */
+const DUPLICATE_POLICY = {
+    SKIP  : 'skip',   // not processed, reported with DUPLICATE_IN_INPUT status
+    FAIL  : 'fail',   // reported as failed
+    ALLOW : 'allow',  // processed (only listed among the duplicates in the report)
+};
+
+// Rows are processed as before unless skipping or failing the duplicates is explicitly requested
+const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICY.ALLOW;
+
+// Status reported for the duplicates skipped
+const DUPLICATE_IN_INPUT_STATUS = 'DUPLICATE_IN_INPUT';
+
+// Resource types not resolving to a concrete one (Cloudinary detects it on upload): such rows may produce an asset of any resource type
+const UNRESOLVED_RESOURCE_TYPES = [undefined, null, '', 'auto'];
+// Resource type segment of the key for the rows with unresolved resource type
+const ANY_RESOURCE_TYPE = '*';
+// Resource type segment of the key each row is also tracked with (regardless of its resource type)
+const ALL_RESOURCE_TYPES = '**';
+
+// Max number of assets tracked in memory before spilling them to disk
+const DEFAULT_MAX_IN_MEMORY_KEYS = 1000000;
+// Tracked assets are spread across the bucket files by the hash of the asset key
+const BUCKET_COUNT = 256;
+// Bloom filter size (16MB) and number of hash functions (~0.2% false positives for 10M assets)
+const BLOOM_FILTER_BITS = 2 ** 27;
+const BLOOM_FILTER_HASHES = 7;
+
+
+/**
+ * Custom error class representing input row resolving to the same asset as an earlier row.
+ *
+ * @class DuplicateInInputError
+ * @extends {Error}
+ */
+class DuplicateInInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DuplicateInInputError';
+    }
+}
+
+
+/**
+ * Custom error class representing input row targeting the asset another row of the input changes
+ * (for example, renaming an asset to the current public_id of the asset renamed by another row).
+ * Not sent to Cloudinary: the outcome would depend on the order the rows are processed in.
+ *
+ * @class TargetIsSourceError
+ * @extends {Error}
+ */
+class TargetIsSourceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TargetIsSourceError';
+    }
+}
+
+
+/**
+ * Resolves the key identifying the asset the payload is produced for.
+ *
+ * @param {Object} payload - The payload produced for the input row.
+ * @param {Object} [response] - Cloudinary API response for the payload (resolves the resource type detected on upload).
+ * @returns {string|null} - The key ('resource_type/type/public_id', with '*' resource type if it is `auto` or not set),
+ *                          null if the payload does not set the public_id (Cloudinary assigns unique one).
+ */
+function resolveAssetKey(payload, response) {
+    const publicId = payload ? inputValidation.resolvePayloadPublicId(payload) : undefined;
+    if (!publicId) {
+        return null;
+    }
+    const options = payload.options || {};
+    let resourceType = response && response.resource_type ? response.resource_type : options.resource_type;
+    if (UNRESOLVED_RESOURCE_TYPES.includes(resourceType)) {
+        resourceType = ANY_RESOURCE_TYPE;
+    }
+    return `${resourceType}/${options.type || 'upload'}/${publicId}`;
+}
+
+
+/**
+ * Tracks the asset the input row resolves to.
+ * Asset with unresolved resource type ('*') is the same as the asset of any resource type with the same type and public_id.
+ *
+ * @param {Object} tracker - The tracker (see `createDuplicateTracker`).
+ * @param {string} assetKey - The asset key (see `resolveAssetKey`).
+ * @param {number} row - The input row number.
+ * @returns {Promise<number|null>} - The row the asset was first seen at (null if this is the first one).
+ */
+async function trackAsset_Async(tracker, assetKey, row) {
+    const separatorIndex = assetKey.indexOf('/');
+    const resourceType = assetKey.slice(0, separatorIndex);
+    const typeAndPublicId = assetKey.slice(separatorIndex + 1);
+    const anyResourceTypeKey = `${ANY_RESOURCE_TYPE}/${typeAndPublicId}`;
+    const allResourceTypesKey = `${ALL_RESOURCE_TYPES}/${typeAndPublicId}`;
+
+    if (resourceType === ANY_RESOURCE_TYPE) {
+        return await tracker.trackKeys_Async([allResourceTypesKey], [anyResourceTypeKey, allResourceTypesKey], row);
+    }
+    return await tracker.trackKeys_Async([assetKey, anyResourceTypeKey], [assetKey, allResourceTypesKey], row);
+}
+
+
+/**
+ * Creates Bloom filter telling whether the asset key may have been added.
+ *
+ * @returns {Object} - The filter exposing `add(digest)` and `mightContain(digest)` for the SHA-1 digest of the key.
+ */
+function _createBloomFilter() {
+    const bits = new Uint8Array(BLOOM_FILTER_BITS / 8);
+    const bitIndexes = (digest) => {
+        const h1 = digest.readUInt32BE(0);
+        const h2 = digest.readUInt32BE(4);
+        return Array.from({ length: BLOOM_FILTER_HASHES }, (_, i) => (h1 + i * h2) % BLOOM_FILTER_BITS);
+    };
+    return {
+        add          : (digest) => bitIndexes(digest).forEach(index => { bits[index >>> 3] |= 1 << (index & 7); }),
+        mightContain : (digest) => bitIndexes(digest).every(index => (bits[index >>> 3] & (1 << (index & 7))) !== 0),
+    };
+}
+
+
+/**
+ * Creates tracker of the assets the input rows resolve to.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxInMemoryKeys] - Max number of assets tracked in memory before spilling them to disk.
+ * @returns {Object} - The tracker exposing `track_Async(key, row)`, `trackKeys_Async(lookupKeys, trackedKeys, row)` and `close()`.
+ */
+function createDuplicateTracker(options = {}) {
+    const maxInMemoryKeys = options.maxInMemoryKeys || DEFAULT_MAX_IN_MEMORY_KEYS;
+    // Row each asset was first seen at (for the assets not spilled to disk yet)
+    const inMemoryKey2Row = new Map();
+    let spillFolder = null;
+    let bloomFilter = null;
+    // Operations are serialized, so that concurrent rows with the same asset are not both tracked as the first one
+    let queue = Promise.resolve();
+
+    const digestOf = (assetKey) => crypto.createHash('sha1').update(assetKey).digest();
+    const bucketFilePath = (digest) => path.join(spillFolder, `${digest[8].toString(16).padStart(2, '0')}.jsonl`);
+
+    /**
+     * Moves the assets tracked in memory to the bucket files.
+     */
+    function _spill() {
+        if (!spillFolder) {
+            spillFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-duplicates-'));
+            bloomFilter = _createBloomFilter();
+        }
+        const bucketLines = new Map();
+        for (const [assetKey, row] of inMemoryKey2Row) {
+            const digest = digestOf(assetKey);
+            bloomFilter.add(digest);
+            const filePath = bucketFilePath(digest);
+            bucketLines.set(filePath, (bucketLines.get(filePath) || '') + JSON.stringify([assetKey, row]) + '\n');
+        }
+        for (const [filePath, lines] of bucketLines) {
+            fs.appendFileSync(filePath, lines);
+        }
+        inMemoryKey2Row.clear();
+    }
+
+    /**
+     * Looks up the asset among the ones spilled to disk.
+     *
+     * @param {string} assetKey - The asset key.
+     * @returns {Promise<number|null>} - The row the asset was first seen at (null if not seen yet).
+     */
+    async function _findSpilledRow_Async(assetKey) {
+        const digest = digestOf(assetKey);
+        if (!bloomFilter || !bloomFilter.mightContain(digest)) {
+            return null;
+        }
+        const linePrefix = JSON.stringify([assetKey]).slice(0, -1) + ',';
+        const lines = (await fs.promises.readFile(bucketFilePath(digest), 'utf8')).split('\n');
+        const line = lines.find(bucketLine => bucketLine.startsWith(linePrefix));
+        return line ? JSON.parse(line)[1] : null;
+    }
+
+    /**
+     * Looks up the row the key was first seen at.
+     *
+     * @param {string} key - The key.
+     * @returns {Promise<number|null>} - The row (null if not seen yet).
+     */
+    async function _findRow_Async(key) {
+        if (inMemoryKey2Row.has(key)) {
+            return inMemoryKey2Row.get(key);
+        }
+        return await _findSpilledRow_Async(key);
+    }
+
+    /**
+     * Looks up the keys and tracks the row with the other keys (as a single operation).
+     * Keys already seen keep the row they were first seen at.
+     *
+     * @param {string[]} lookupKeys - The keys to look up.
+     * @param {string[]} trackedKeys - The keys to track the row with.
+     * @param {number} row - The input row number.
+     * @returns {Promise<number|null>} - The earliest row any of the lookup keys was first seen at (null if none was seen).
+     */
+    function trackKeys_Async(lookupKeys, trackedKeys, row) {
+        const tracked_Async = queue.then(async () => {
+            let firstRow = null;
+            for (const key of lookupKeys) {
+                const keyRow = await _findRow_Async(key);
+                if (keyRow !== null && (firstRow === null || keyRow < firstRow)) {
+                    firstRow = keyRow;
+                }
+            }
+            for (const key of trackedKeys) {
+                if (await _findRow_Async(key) === null) {
+                    inMemoryKey2Row.set(key, row);
+                }
+            }
+            if (inMemoryKey2Row.size >= maxInMemoryKeys) {
+                _spill();
+            }
+            return firstRow;
+        });
+        queue = tracked_Async.catch(() => {});
+        return tracked_Async;
+    }
+
+    /**
+     * Tracks the key (for example, the asset the input row resolves to).
+     *
+     * @param {string} key - The key.
+     * @param {number} row - The input row number.
+     * @returns {Promise<number|null>} - The row the key was first seen at (null if this is the first one).
+     */
+    function track_Async(key, row) {
+        return trackKeys_Async([key], [key], row);
+    }
+
+    /**
+     * Removes the bucket files (if any).
+     */
+    function close() {
+        if (spillFolder) {
+            fs.rmSync(spillFolder, { recursive: true, force: true });
+            spillFolder = null;
+        }
+    }
+
+    return { track_Async, trackKeys_Async, close };
+}
+
+
+/**
+ * Tracks the assets produced by the succeeded rows of the log file (for example, when resuming the operation),
+ * so that the rows processed in this run are checked against them too.
+ *
+ * @param {Object} tracker - The tracker (see `createDuplicateTracker`).
+ * @param {string} logFilePath - Path to the log file.
+ * @param {string} succeededStatus - The status reported for the rows that succeeded (e.g. 'MIGRATED').
+ */
+async function trackSucceededFromLog_Async(tracker, logFilePath, succeededStatus) {
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath)) {
+        const assetKey = logRec.summary && logRec.summary.status === succeededStatus ? resolveAssetKey(logRec.payload, logRec.response) : null;
+        if (assetKey) {
+            await trackAsset_Async(tracker, assetKey, logRec.row);
+        }
+    }
+}
+
+/**
+ * Tracks the source assets of the input rows (for example, the assets renamed by the `rename` operation) before any row is processed,
+ * so that the rows targeting the source asset of another row are detected regardless of the order the rows are processed in.
+ * Rows the payload can not be produced for are not tracked (they fail when processed).
+ *
+ * @param {Object} tracker - The tracker (see `createDuplicateTracker`).
+ * @param {AsyncGenerator<Object>} rowsGeneratorAsync - Generator of the input rows to be processed (`row` and `input`).
+ * @param {Function} input2Payload_Async - Produces the payload (and the plugins trace) for the input record.
+ * @param {function(Object): (string|null)} resolveSourceAssetKey - Resolves the key of the source asset from the payload.
+ * @returns {Promise<number>} - Number of the rows tracked.
+ */
+async function trackSourceAssets_Async(tracker, rowsGeneratorAsync, input2Payload_Async, resolveSourceAssetKey) {
+    let trackedCount = 0;
+    for await (const {row, input} of rowsGeneratorAsync) {
+        let sourceAssetKey = null;
+        try {
+            const {payload} = await input2Payload_Async(input);
+            sourceAssetKey = resolveSourceAssetKey(payload);
+        } catch (err) {
+            continue;
+        }
+        if (sourceAssetKey) {
+            await tracker.track_Async(sourceAssetKey, row);
+            trackedCount += 1;
+        }
+    }
+    return trackedCount;
+}
+
+
+/**
+ * Looks up another input row with the source asset being the target asset of the row (see `trackSourceAssets_Async`).
+ *
+ * @param {Object} tracker - The tracker of the source assets.
+ * @param {string|null} targetAssetKey - The key of the asset the row targets.
+ * @param {number} row - The input row number.
+ * @returns {Promise<number|null>} - The row the asset is the source asset of, null if there is no such row.
+ */
+async function findSourceRow_Async(tracker, targetAssetKey, row) {
+    if (!targetAssetKey) {
+        return null;
+    }
+    const sourceRow = await tracker.trackKeys_Async([targetAssetKey], [], row);
+    return sourceRow !== row ? sourceRow : null;
+}
+
+module.exports = {
+    resolveAssetKey,
+    trackAsset_Async,
+    createDuplicateTracker,
+    trackSucceededFromLog_Async,
+    trackSourceAssets_Async,
+    findSourceRow_Async,
+    DuplicateInInputError,
+    TargetIsSourceError,
+    DUPLICATE_POLICY,
+    DEFAULT_DUPLICATE_POLICY,
+    DUPLICATE_IN_INPUT_STATUS
+};
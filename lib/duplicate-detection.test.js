@@ -0,0 +1,175 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    resolveAssetKey,
+    trackAsset_Async,
+    createDuplicateTracker,
+    trackSucceededFromLog_Async,
+    trackSourceAssets_Async,
+    findSourceRow_Async
+} = require('./duplicate-detection');
+
+
+// Lists the spill folders of the duplicate trackers in the OS temp folder
+function listSpillFolders() {
+    return fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('cld-bulk-duplicates-'));
+}
+
+
+describe('resolveAssetKey', () => {
+    it.each([
+        [{ file: 'a.jpg', options: { public_id: 'a', resource_type: 'image' } }, 'image/upload/a'],
+        [{ file: 'a.jpg', options: { public_id: 'a' } }, '*/upload/a'],
+        [{ file: 'a.jpg', options: { public_id: 'a', resource_type: 'auto' } }, '*/upload/a'],
+        [{ file: 'a.mp4', options: { public_id: 'a', resource_type: 'video', type: 'private' } }, 'video/private/a'],
+        [{ publicId: 'a', options: { resource_type: 'raw' } }, 'raw/upload/a'],
+        [{ file: 'a.jpg', options: {} }, null],
+        [null, null],
+    ])('should resolve key for %j', (payload, expected) => {
+        expect(resolveAssetKey(payload)).toEqual(expected);
+    });
+});
+
+
+describe('resolveAssetKey with response', () => {
+    it('should resolve the resource type detected on upload', () => {
+        const payload = { file: 'a.mp4', options: { public_id: 'a', resource_type: 'auto' } };
+        expect(resolveAssetKey(payload, { public_id: 'a', resource_type: 'video' })).toEqual('video/upload/a');
+        expect(resolveAssetKey(payload, null)).toEqual('*/upload/a');
+    });
+});
+
+
+describe('trackAsset_Async', () => {
+    it('should tell apart the assets of different resource types', async () => {
+        const tracker = createDuplicateTracker();
+        await expect(trackAsset_Async(tracker, 'image/upload/a', 1)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, 'video/upload/a', 2)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, 'video/private/a', 3)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, 'video/upload/a', 4)).resolves.toEqual(2);
+        tracker.close();
+    });
+
+    it('should match unresolved resource type against any resource type', async () => {
+        const tracker = createDuplicateTracker();
+        await expect(trackAsset_Async(tracker, 'video/upload/a', 1)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, '*/upload/a', 2)).resolves.toEqual(1);
+        await expect(trackAsset_Async(tracker, 'image/upload/a', 3)).resolves.toEqual(2);
+        await expect(trackAsset_Async(tracker, '*/upload/b', 4)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, 'raw/upload/b', 5)).resolves.toEqual(4);
+        await expect(trackAsset_Async(tracker, '*/upload/b', 6)).resolves.toEqual(4);
+        tracker.close();
+    });
+
+    it('should track only one of the concurrent rows as the first one', async () => {
+        const tracker = createDuplicateTracker();
+        const firstRows = await Promise.all([
+            trackAsset_Async(tracker, '*/upload/a', 1),
+            trackAsset_Async(tracker, 'image/upload/a', 2),
+        ]);
+        expect(firstRows).toEqual([null, 1]);
+        tracker.close();
+    });
+});
+
+
+describe('createDuplicateTracker', () => {
+    it('should report the row the asset was first seen at', async () => {
+        const tracker = createDuplicateTracker();
+        await expect(tracker.track_Async('image/upload/a', 1)).resolves.toBeNull();
+        await expect(tracker.track_Async('video/upload/a', 2)).resolves.toBeNull();
+        await expect(tracker.track_Async('image/upload/a', 3)).resolves.toEqual(1);
+        await expect(tracker.track_Async('image/upload/a', 4)).resolves.toEqual(1);
+        tracker.close();
+    });
+
+    it('should track only one of the concurrent rows as the first one', async () => {
+        const tracker = createDuplicateTracker({ maxInMemoryKeys: 2 });
+        const firstRows = await Promise.all([1, 2, 3, 4].map(row => tracker.track_Async(`image/upload/${row % 2}`, row)));
+        expect(firstRows).toEqual([null, null, 1, 2]);
+        tracker.close();
+    });
+
+    it('should keep tracking the assets spilled to disk and remove the spilled files once closed', async () => {
+        const spillFoldersBefore = listSpillFolders();
+        const tracker = createDuplicateTracker({ maxInMemoryKeys: 10 });
+        for (let row = 1; row <= 100; row++) {
+            await expect(tracker.track_Async(`image/upload/${row}`, row)).resolves.toBeNull();
+        }
+        expect(listSpillFolders().length).toEqual(spillFoldersBefore.length + 1);
+
+        await expect(tracker.track_Async('image/upload/7', 101)).resolves.toEqual(7);
+        await expect(tracker.track_Async('image/upload/"quoted"', 102)).resolves.toBeNull();
+        await expect(tracker.track_Async('image/upload/100', 103)).resolves.toEqual(100);
+
+        tracker.close();
+        expect(listSpillFolders()).toEqual(spillFoldersBefore);
+    });
+});
+
+
+describe('trackSucceededFromLog_Async', () => {
+    let tmpFolder = null;
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-log-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should track the assets of the succeeded rows only', async () => {
+        const logFilePath = path.join(tmpFolder, 'log.jsonl');
+        fs.writeFileSync(logFilePath, [
+            { flow: 'payload', row: 1, payload: { options: { public_id: 'a' } }, response: { resource_type: 'image' }, summary: { status: 'MIGRATED' } },
+            { flow: 'payload', row: 2, payload: { options: { public_id: 'b' } }, summary: { status: 'FAILED' } },
+            { flow: 'script', msg: 'Routine complete' },
+        ].map(logRec => JSON.stringify(logRec)).join('\n'));
+
+        const tracker = createDuplicateTracker();
+        await trackSucceededFromLog_Async(tracker, logFilePath, 'MIGRATED');
+        await expect(trackAsset_Async(tracker, 'image/upload/a', 3)).resolves.toEqual(1);
+        await expect(trackAsset_Async(tracker, 'video/upload/a', 4)).resolves.toBeNull();
+        await expect(trackAsset_Async(tracker, '*/upload/b', 5)).resolves.toBeNull();
+        tracker.close();
+    });
+});
+
+
+describe('trackSourceAssets_Async', () => {
+    async function* yieldRows(inputs) {
+        for (const [index, input] of inputs.entries()) {
+            yield { row: index + 1, input };
+        }
+    }
+
+    const input2Payload_Async = async (input) => {
+        if (!input.from) {
+            throw new Error('Missing from');
+        }
+        return { payload: { fromPublicId: input.from, toPublicId: input.to }, plugins_trace: [] };
+    };
+    const resolveSourceAssetKey = (payload) => `image/upload/${payload.fromPublicId}`;
+
+    it('should find the rows targeting the source asset of another row', async () => {
+        const tracker = createDuplicateTracker();
+        const trackedCount = await trackSourceAssets_Async(
+            tracker,
+            yieldRows([{ from: 'a', to: 'b' }, { from: 'b', to: 'c' }, { from: 'c', to: 'a' }, { to: 'x' }, { from: 'd', to: 'd' }]),
+            input2Payload_Async,
+            resolveSourceAssetKey
+        );
+
+        expect(trackedCount).toEqual(4);
+        await expect(findSourceRow_Async(tracker, 'image/upload/b', 1)).resolves.toEqual(2);
+        await expect(findSourceRow_Async(tracker, 'image/upload/a', 3)).resolves.toEqual(1);
+        await expect(findSourceRow_Async(tracker, 'image/upload/x', 4)).resolves.toBeNull();
+        await expect(findSourceRow_Async(tracker, 'video/upload/a', 6)).resolves.toBeNull();
+        // The row renaming the asset to its own public_id is not targeting another row
+        await expect(findSourceRow_Async(tracker, 'image/upload/d', 5)).resolves.toBeNull();
+        await expect(findSourceRow_Async(tracker, null, 6)).resolves.toBeNull();
+        tracker.close();
+    });
+});
@@ -6,6 +6,9 @@ const fs = require('node:fs');
 const commander = require('commander');
 const logging = require('../output/logging');
 const reporting = require('../output/reporting');
+const mappingConfig = require('./mapping-config');
+const rowSelection = require('./row-selection');
+const jsonReader = require('./json-file-reader');
 
 
 const MIN_CONCURRENT_OPERATIONS = 1;
@@ -45,6 +48,108 @@ function exitIfAlreadyExistsOrCreateNew(cliOptionValue) {
 }
 
 
+/**
+ * Ensures the provided output folder contains the log file of an operation to be resumed.
+ *
+ * @param {string} cliOptionValue - The output folder path passed via CLI argument.
+ * @returns {string} - The same output folder path.
+ * @throws {commander.InvalidOptionArgumentError} - If the log file does not exist.
+ */
+function resumableLogFileMustExist(cliOptionValue) {
+    const folder = cliOptionValue;
+    const logFilePath = logging.getLogFilePath(folder);
+    if (!fs.existsSync(logFilePath)) {
+        throw new commander.InvalidOptionArgumentError(`Migration log file ${logFilePath} to resume from does not exist`);
+    }
+    return folder;
+}
+
+
+/**
+ * Checks if the log file exists in the provided output folder of the previous run.
+ *
+ * @param {string} cliOptionValue - The output folder path passed via CLI argument.
+ * @returns {string} - The same output folder path.
+ * @throws {commander.InvalidOptionArgumentError} - If log file does not exist.
+ */
+function previousRunLogFileMustExist(cliOptionValue) {
+    const folder = cliOptionValue;
+    const logFilePath = logging.getLogFilePath(folder);
+    if (!fs.existsSync(logFilePath)) {
+        throw new commander.InvalidOptionArgumentError(`Log file ${logFilePath} of the previous run does not exist`);
+    }
+    return folder;
+}
+
+
+/**
+ * Ensures the report file of the previous run exists in the provided output folder.
+ *
+ * @param {string} cliOptionValue - The output folder of the previous run provided via CLI argument.
+ * @returns {string} - The same folder path.
+ * @throws {commander.InvalidOptionArgumentError} - If the report file does not exist.
+ */
+function previousRunReportFileMustExist(cliOptionValue) {
+    const folder = cliOptionValue;
+    const reportFilePath = reporting.getReportFilePath(folder);
+    if (!fs.existsSync(reportFilePath)) {
+        throw new commander.InvalidOptionArgumentError(`Report file ${reportFilePath} of the previous run does not exist`);
+    }
+    return folder;
+}
+
+
+/**
+ * Ensures the report to verify is provided either as the report file or as the output folder of the run.
+ * Intended to be used as the `preAction` hook, because the outcome depends on more than one option.
+ *
+ * @param {commander.Command} thisCommand - The command being invoked.
+ */
+function validateReportSourceOptions(thisCommand) {
+    const { fromOutputFolder, fromReport } = thisCommand.opts();
+    if (!fromOutputFolder && !fromReport) {
+        thisCommand.error(`error: either option '--from-report <path>' or option '--from-output-folder <path>' must be specified`);
+    }
+}
+
+
+/**
+ * Validates the output folder option depending on whether the operation is resumed.
+ * Intended to be used as the `preAction` hook, because the outcome depends on more than one option.
+ *
+ * @param {commander.Command} thisCommand - The command being invoked.
+ */
+function validateOutputFolderOption(thisCommand) {
+    const { outputFolder, resume } = thisCommand.opts();
+    const validateFolder = resume ? resumableLogFileMustExist : exitIfAlreadyExistsOrCreateNew;
+    try {
+        validateFolder(outputFolder);
+    } catch (err) {
+        if (!(err instanceof commander.InvalidOptionArgumentError)) {
+            throw err;
+        }
+        // Reporting the same way as commander does for the option argument parsers
+        thisCommand.error(`error: option '-o, --output-folder <path>' argument '${outputFolder}' is invalid. ${err.message}`, { code: err.code });
+    }
+}
+
+
+/**
+ * Ensures the output file does not exist yet (to prevent unintentional data loss).
+ *
+ * @param {string} cliOptionValue - The output file path provided via CLI argument.
+ * @returns {string} - The same file path.
+ * @throws {commander.InvalidOptionArgumentError} - If the output file already exists.
+ */
+function outputFileMustNotExist(cliOptionValue) {
+    const path = cliOptionValue;
+    if (fs.existsSync(path)) {
+        throw new commander.InvalidOptionArgumentError('File already exists. Please specify a different file or move/rename the existing one');
+    }
+    return path;
+}
+
+
 /**
  * Ensures the provided file path points to an existing file.
  *
@@ -61,6 +166,22 @@ function inputFileMustExist(cliOptionValue) {
 }
 
 
+/**
+ * Ensures the provided path points to an existing directory.
+ *
+ * @param {string} cliOptionValue - The directory path provided via CLI argument.
+ * @returns {string} - The same directory path.
+ * @throws {commander.InvalidOptionArgumentError} - If the directory does not exist (or is not a directory).
+ */
+function inputDirectoryMustExist(cliOptionValue) {
+    const path = cliOptionValue;
+    if (!fs.existsSync(path) || !fs.statSync(path).isDirectory()) {
+        throw new commander.InvalidOptionArgumentError('Directory does not exist');
+    }
+    return path;
+}
+
+
 /**
  * Ensures the provided number of concurrent operations doesn't exceed the maximum.
  *
@@ -82,8 +203,276 @@ function ensureDoesNotExceedMax(cliOptionValue) {
     return intValue;
 }
 
+/**
+ * Ensures the provided mapping file exists and is valid.
+ *
+ * @param {string} cliOptionValue - The mapping file path provided via CLI argument.
+ * @returns {string} - The same file path.
+ * @throws {commander.InvalidOptionArgumentError} - If the mapping file does not exist or is not valid.
+ */
+function mappingFileMustBeValid(cliOptionValue) {
+    inputFileMustExist(cliOptionValue);
+    try {
+        mappingConfig.loadMappingConfig(cliOptionValue);
+    } catch (err) {
+        throw new commander.InvalidOptionArgumentError(err.message);
+    }
+    return cliOptionValue;
+}
+
+
+/**
+ * Ensures the provided value is a positive integer.
+ *
+ * @param {string} cliOptionValue - The value provided via CLI argument.
+ * @returns {number} - The value as an integer.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value isn't a positive integer.
+ */
+function ensurePositiveInteger(cliOptionValue) {
+    const intValue = Number(cliOptionValue);
+    if (!Number.isInteger(intValue) || intValue < 1) {
+        throw new commander.InvalidOptionArgumentError('Must be a positive integer');
+    }
+    return intValue;
+}
+
+
+/**
+ * Ensures the provided value is a percentage (number greater than 0 and not greater than 100).
+ *
+ * @param {string} cliOptionValue - The value provided via CLI argument.
+ * @returns {number} - The parsed value.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value isn't a valid percentage.
+ */
+function ensurePercentage(cliOptionValue) {
+    const parsedValue = Number(cliOptionValue);
+    if (Number.isNaN(parsedValue) || parsedValue <= 0 || parsedValue > 100) {
+        throw new commander.InvalidOptionArgumentError('Must be a number greater than 0 and not greater than 100');
+    }
+    return parsedValue;
+}
+
+
+/**
+ * Parses comma-separated list of HTTP status codes.
+ *
+ * @param {string} cliOptionValue - The list provided via CLI argument (for example '420,429,500').
+ * @returns {number[]} - The HTTP status codes.
+ * @throws {commander.InvalidOptionArgumentError} - If any of the values isn't a valid HTTP status code.
+ */
+function parseHttpCodesList(cliOptionValue) {
+    const httpCodes = cliOptionValue.split(',').map(value => Number(value.trim()));
+    if (httpCodes.some(httpCode => !Number.isInteger(httpCode) || httpCode < 100 || httpCode > 599)) {
+        throw new commander.InvalidOptionArgumentError('Must be a comma-separated list of HTTP status codes');
+    }
+    return httpCodes;
+}
+
+
+/**
+ * Parses comma-separated list of input column names.
+ *
+ * @param {string} cliOptionValue - The list provided via CLI argument (for example 'SKU,Url').
+ * @returns {string[]} - The column names.
+ * @throws {commander.InvalidOptionArgumentError} - If any of the column names is blank.
+ */
+function parseColumnsList(cliOptionValue) {
+    const columns = cliOptionValue.split(',').map(value => value.trim());
+    if (columns.some(column => column.length === 0)) {
+        throw new commander.InvalidOptionArgumentError('Must be a comma-separated list of column names');
+    }
+    return columns;
+}
+
+
+/**
+ * Collects values of a repeatable option, each value may be a comma-separated list.
+ *
+ * @param {string} cliOptionValue - The value provided via CLI argument (for example 'FAILED,NOT_ATTEMPTED').
+ * @param {string[]} [previous] - The values collected so far.
+ * @returns {string[]} - The values collected so far including the provided ones.
+ */
+function collectCommaSeparated(cliOptionValue, previous) {
+    const values = cliOptionValue.split(',').map(value => value.trim()).filter(value => value.length > 0);
+    return (previous || []).concat(values);
+}
+
+
+/**
+ * Ensures the provided value is a valid regular expression.
+ *
+ * @param {string} cliOptionValue - The regular expression provided via CLI argument.
+ * @returns {string} - The same regular expression.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value isn't a valid regular expression.
+ */
+function ensureRegExp(cliOptionValue) {
+    try {
+        new RegExp(cliOptionValue);
+    } catch (err) {
+        throw new commander.InvalidOptionArgumentError(`Must be a valid regular expression (${err.message})`);
+    }
+    return cliOptionValue;
+}
+
+
+/**
+ * Collects values of a repeatable option specifying regular expressions.
+ *
+ * @param {string} cliOptionValue - The regular expression provided via CLI argument.
+ * @param {string[]} [previous] - The values collected so far.
+ * @returns {string[]} - The values collected so far including the provided one.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value isn't a valid regular expression.
+ */
+function collectRegExps(cliOptionValue, previous) {
+    return (previous || []).concat([ensureRegExp(cliOptionValue)]);
+}
+
+/**
+ * Collects values of a repeatable option specifying glob patterns
+ * (not split by commas, as commas separate the alternatives within the patterns, for example `*.{jpg,png}`).
+ *
+ * @param {string} cliOptionValue - The glob pattern provided via CLI argument.
+ * @param {string[]} [previous] - The values collected so far.
+ * @returns {string[]} - The values collected so far including the provided one.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value is empty.
+ */
+function collectGlobPatterns(cliOptionValue, previous) {
+    const pattern = cliOptionValue.trim();
+    if (pattern.length === 0) {
+        throw new commander.InvalidOptionArgumentError('Must be a non-empty glob pattern');
+    }
+    return (previous || []).concat([pattern]);
+}
+
+/**
+ * Parses the CSV delimiter. Tab can be provided as '\t' or 'tab' (hard to pass via command line as is).
+ *
+ * @param {string} cliOptionValue - The delimiter provided via CLI argument.
+ * @returns {string} - The delimiter.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value is empty.
+ */
+function parseCsvDelimiter(cliOptionValue) {
+    if (cliOptionValue === '\\t' || cliOptionValue.toLowerCase() === 'tab') {
+        return '\t';
+    }
+    if (cliOptionValue.length === 0) {
+        throw new commander.InvalidOptionArgumentError('Must not be empty');
+    }
+    return cliOptionValue;
+}
+
+
+/**
+ * Ensures the provided value is a single character (for example, CSV quote or comment character).
+ *
+ * @param {string} cliOptionValue - The value provided via CLI argument.
+ * @returns {string} - The same value.
+ * @throws {commander.InvalidOptionArgumentError} - If the provided value isn't a single character.
+ */
+function ensureSingleCharacter(cliOptionValue) {
+    if ([...cliOptionValue].length !== 1) {
+        throw new commander.InvalidOptionArgumentError('Must be a single character');
+    }
+    return cliOptionValue;
+}
+
+
+/**
+ * Ensures the provided value is a text encoding supported for transcoding (for example 'utf-8' or 'windows-1252').
+ *
+ * @param {string} cliOptionValue - The encoding provided via CLI argument.
+ * @returns {string} - The same encoding.
+ * @throws {commander.InvalidOptionArgumentError} - If the encoding is not supported.
+ */
+function ensureSupportedEncoding(cliOptionValue) {
+    try {
+        new TextDecoder(cliOptionValue);
+    } catch (err) {
+        throw new commander.InvalidOptionArgumentError(`Unsupported encoding (for example, use 'utf-8', 'utf-16le', 'windows-1252' or 'iso-8859-1')`);
+    }
+    return cliOptionValue;
+}
+
+
+/**
+ * Collects conditions of the repeatable `--where` option (see `rowSelection.parseWhereExpression`).
+ *
+ * @param {string} cliOptionValue - The expression provided via CLI argument (for example 'Brand==Acme').
+ * @param {Object[]} [previous] - The conditions collected so far.
+ * @returns {Object[]} - The conditions collected so far including the provided one.
+ * @throws {commander.InvalidOptionArgumentError} - If the expression is not valid.
+ */
+function collectWhereConditions(cliOptionValue, previous) {
+    try {
+        return (previous || []).concat([rowSelection.parseWhereExpression(cliOptionValue)]);
+    } catch (err) {
+        throw new commander.InvalidOptionArgumentError(err.message);
+    }
+}
+
+
+/**
+ * Ensures the end row is not before the start row.
+ * Intended to be used as the `preAction` hook, because the outcome depends on more than one option.
+ *
+ * @param {commander.Command} thisCommand - The command being invoked.
+ */
+function validateRowRangeOptions(thisCommand) {
+    const { startRow, endRow } = thisCommand.opts();
+    if (startRow && endRow && endRow < startRow) {
+        thisCommand.error(`error: option '--end-row <number>' argument '${endRow}' is invalid. Must not be less than --start-row (${startRow})`);
+    }
+}
+
+/**
+ * Wraps the command action so that the input file that can not be parsed (for example, malformed JSON Lines or CSV file,
+ * or the worksheet not found in the Excel workbook)
+ * is reported with a one-line error and non-zero exit code, rather than with the stack trace of the unhandled rejection.
+ *
+ * @param {function} action_Async - The command action.
+ * @returns {function} - The wrapped command action.
+ */
+function exitOnInvalidInputFile(action_Async) {
+    return async (...actionArgs) => {
+        try {
+            await action_Async(...actionArgs);
+        } catch (err) {
+            if (!(err instanceof jsonReader.InvalidInputFileError)) {
+                throw err;
+            }
+            console.error(`🛑 Input file can not be parsed. ${err.message}`);
+            logging.script.fatal({input_error: err.message}, 'Input file can not be parsed');
+            // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
+            await new Promise(resolve => setTimeout(resolve, 500));
+            process.exit(1);
+        }
+    };
+}
+
 module.exports = {
     exitIfAlreadyExistsOrCreateNew,
+    resumableLogFileMustExist,
+    previousRunLogFileMustExist,
+    previousRunReportFileMustExist,
+    validateReportSourceOptions,
+    validateOutputFolderOption,
     inputFileMustExist,
-    ensureDoesNotExceedMax
+    inputDirectoryMustExist,
+    outputFileMustNotExist,
+    ensureDoesNotExceedMax,
+    mappingFileMustBeValid,
+    ensurePositiveInteger,
+    ensurePercentage,
+    parseHttpCodesList,
+    parseColumnsList,
+    collectCommaSeparated,
+    ensureRegExp,
+    collectRegExps,
+    collectGlobPatterns,
+    parseCsvDelimiter,
+    ensureSingleCharacter,
+    ensureSupportedEncoding,
+    collectWhereConditions,
+    validateRowRangeOptions,
+    exitOnInvalidInputFile
 }
\ No newline at end of file
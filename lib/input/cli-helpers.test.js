@@ -1,12 +1,37 @@
 const fs = require('node:fs');
 const logging = require('../output/logging');
 const reporting = require('../output/reporting');
-const { exitIfAlreadyExistsOrCreateNew, inputFileMustExist, ensureDoesNotExceedMax } = require('./cli-helpers');
+const {
+    exitIfAlreadyExistsOrCreateNew,
+    resumableLogFileMustExist,
+    previousRunLogFileMustExist,
+    previousRunReportFileMustExist,
+    inputFileMustExist,
+    inputDirectoryMustExist,
+    outputFileMustNotExist,
+    ensureDoesNotExceedMax,
+    ensurePositiveInteger,
+    ensurePercentage,
+    parseHttpCodesList,
+    parseColumnsList,
+    collectCommaSeparated,
+    ensureRegExp,
+    collectRegExps,
+    collectGlobPatterns,
+    parseCsvDelimiter,
+    ensureSingleCharacter,
+    ensureSupportedEncoding,
+    collectWhereConditions,
+    exitOnInvalidInputFile
+} = require('./cli-helpers');
+const { InvalidInputFileError } = require('./json-file-reader');
+const { WorksheetNotFoundError } = require('./xlsx-file-reader');
 
 
 // Mock logging and reporting functions
 jest.mock('../output/logging', () => ({
     getLogFilePath: jest.fn(),
+    script: { fatal: jest.fn() },
 }));
 
 jest.mock('../output/reporting', () => ({
@@ -66,6 +91,59 @@ describe('exitIfAlreadyExistsOrCreateNew', () => {
 });
 
 
+describe('resumableLogFileMustExist', () => {
+    beforeEach(setupMocks);
+    afterEach(teardownMocks);
+
+    const folder = 'outputFolder';
+
+    it('should return folder if log file exists', () => {
+        spy.fs.existsSync.mockReturnValue(true);
+        expect(resumableLogFileMustExist(folder)).toEqual(folder);
+    });
+
+    it('should throw error if log file does not exist', () => {
+        spy.fs.existsSync.mockReturnValue(false);
+        expect(() => resumableLogFileMustExist(folder)).toThrow();
+    });
+});
+
+
+describe('previousRunLogFileMustExist', () => {
+    beforeEach(setupMocks);
+    afterEach(teardownMocks);
+
+    const folder = 'outputFolder';
+
+    it('should return folder if log file exists', () => {
+        spy.fs.existsSync.mockReturnValue(true);
+        expect(previousRunLogFileMustExist(folder)).toEqual(folder);
+    });
+
+    it('should throw error if log file does not exist', () => {
+        spy.fs.existsSync.mockReturnValue(false);
+        expect(() => previousRunLogFileMustExist(folder)).toThrow();
+    });
+});
+
+describe('previousRunReportFileMustExist', () => {
+    beforeEach(setupMocks);
+    afterEach(teardownMocks);
+
+    const folder = 'outputFolder';
+
+    it('should return folder if report file exists', () => {
+        spy.fs.existsSync.mockReturnValue(true);
+        expect(previousRunReportFileMustExist(folder)).toEqual(folder);
+        expect(spy.fs.existsSync).toHaveBeenCalledWith('reportPath');
+    });
+
+    it('should throw error if report file does not exist', () => {
+        spy.fs.existsSync.mockReturnValue(false);
+        expect(() => previousRunReportFileMustExist(folder)).toThrow();
+    });
+});
+
 describe('inputFileMustExist', () => {
     beforeEach(setupMocks);
     afterEach(teardownMocks);
@@ -83,6 +161,32 @@ describe('inputFileMustExist', () => {
     });
 });
 
+describe('inputDirectoryMustExist', () => {
+    it('should return path if directory exists', () => {
+        expect(inputDirectoryMustExist(__dirname)).toEqual(__dirname);
+    });
+
+    it('should throw error if path does not exist or is not a directory', () => {
+        expect(() => inputDirectoryMustExist(`${__dirname}/does-not-exist`)).toThrow();
+        expect(() => inputDirectoryMustExist(__filename)).toThrow();
+    });
+});
+
+describe('outputFileMustNotExist', () => {
+    beforeEach(setupMocks);
+    afterEach(teardownMocks);
+
+    it('should return path if file does not exist', () => {
+        spy.fs.existsSync.mockReturnValue(false);
+        expect(outputFileMustNotExist('filePath')).toEqual('filePath');
+    });
+
+    it('should throw error if file exists', () => {
+        spy.fs.existsSync.mockReturnValue(true);
+        expect(() => outputFileMustNotExist('filePath')).toThrow();
+    });
+});
+
 describe('ensureDoesNotExceedMax', () => {
     it('should return integer value if in range', () => {
         expect(ensureDoesNotExceedMax('10')).toEqual(10);
@@ -99,4 +203,168 @@ describe('ensureDoesNotExceedMax', () => {
     it('should throw error if greater than maximum', () => {
         expect(() => ensureDoesNotExceedMax('21')).toThrow();
     });
-});
\ No newline at end of file
+});
+
+describe('ensurePositiveInteger', () => {
+    it('should return integer value if positive', () => {
+        expect(ensurePositiveInteger('3')).toEqual(3);
+    });
+
+    test.each(['0', '-1', '1.5', 'not-a-number'])('should throw error for value %s', (value) => {
+        expect(() => ensurePositiveInteger(value)).toThrow();
+    });
+});
+
+
+describe('ensurePercentage', () => {
+    test.each([['50', 50], ['0.5', 0.5], ['100', 100]])('should parse %s', (value, expected) => {
+        expect(ensurePercentage(value)).toEqual(expected);
+    });
+
+    test.each(['abc', '0', '101', '-5'])('should throw error for value %s', (value) => {
+        expect(() => ensurePercentage(value)).toThrow();
+    });
+});
+
+
+describe('parseHttpCodesList', () => {
+    it('should parse comma-separated list', () => {
+        expect(parseHttpCodesList('420, 429,503')).toEqual([420, 429, 503]);
+    });
+
+    test.each(['abc', '420,', '42'])('should throw error for value %s', (value) => {
+        expect(() => parseHttpCodesList(value)).toThrow();
+    });
+});
+
+
+describe('parseColumnsList', () => {
+    it('should parse comma-separated list', () => {
+        expect(parseColumnsList('SKU, Url')).toEqual(['SKU', 'Url']);
+    });
+
+    test.each(['SKU,', ' '])('should throw error for value "%s"', (value) => {
+        expect(() => parseColumnsList(value)).toThrow();
+    });
+});
+
+
+describe('collectCommaSeparated', () => {
+    it('should collect comma-separated values from repeated options', () => {
+        expect(collectCommaSeparated('NOT_ATTEMPTED', collectCommaSeparated('FAILED, NOT_FOUND,'))).toEqual(['FAILED', 'NOT_FOUND', 'NOT_ATTEMPTED']);
+    });
+});
+
+
+describe('ensureRegExp', () => {
+    it('should return valid regular expression', () => {
+        expect(ensureRegExp('Error in loading .*')).toEqual('Error in loading .*');
+    });
+
+    it('should throw error for invalid regular expression', () => {
+        expect(() => ensureRegExp('(')).toThrow();
+    });
+});
+
+
+describe('collectRegExps', () => {
+    it('should collect values', () => {
+        expect(collectRegExps('b', collectRegExps('a'))).toEqual(['a', 'b']);
+    });
+
+    it('should throw error for invalid regular expression', () => {
+        expect(() => collectRegExps('(')).toThrow();
+    });
+});
+
+
+describe('collectGlobPatterns', () => {
+    it('should collect values without splitting them by commas', () => {
+        expect(collectGlobPatterns('*.{jpg,png}', collectGlobPatterns('archive/**'))).toEqual(['archive/**', '*.{jpg,png}']);
+    });
+
+    it('should throw error for empty value', () => {
+        expect(() => collectGlobPatterns(' ')).toThrow();
+    });
+});
+
+
+describe('parseCsvDelimiter', () => {
+    test.each([[';', ';'], ['||', '||'], ['\\t', '\t'], ['TAB', '\t']])('should parse %s', (value, expected) => {
+        expect(parseCsvDelimiter(value)).toEqual(expected);
+    });
+
+    it('should throw error for empty value', () => {
+        expect(() => parseCsvDelimiter('')).toThrow();
+    });
+});
+
+
+describe('ensureSingleCharacter', () => {
+    test.each(["'", '#', '\\'])('should accept %s', (value) => {
+        expect(ensureSingleCharacter(value)).toEqual(value);
+    });
+
+    test.each(['', '##'])('should throw error for value "%s"', (value) => {
+        expect(() => ensureSingleCharacter(value)).toThrow();
+    });
+});
+
+
+describe('ensureSupportedEncoding', () => {
+    test.each(['utf-8', 'windows-1252', 'latin1', 'utf-16le'])('should accept %s', (value) => {
+        expect(ensureSupportedEncoding(value)).toEqual(value);
+    });
+
+    it('should throw error for unsupported encoding', () => {
+        expect(() => ensureSupportedEncoding('klingon')).toThrow();
+    });
+});
+
+
+describe('collectWhereConditions', () => {
+    it('should collect conditions', () => {
+        expect(collectWhereConditions('Url~=\\.png$', collectWhereConditions('Brand == Acme'))).toEqual([
+            { column: 'Brand', operator: '==', value: 'Acme' },
+            { column: 'Url', operator: '~=', value: '\\.png$' },
+        ]);
+    });
+
+    test.each(['==Acme', 'Url~=(', 'no-such-predicate.js'])('should throw error for "%s"', (value) => {
+        expect(() => collectWhereConditions(value)).toThrow();
+    });
+});
+
+
+describe('exitOnInvalidInputFile', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should report the input file that can not be parsed and exit with non-zero code', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await exitOnInvalidInputFile(async () => { throw new InvalidInputFileError('Line 2: Unexpected token o in JSON'); })();
+
+        expect(errorSpy).toHaveBeenCalledWith('🛑 Input file can not be parsed. Line 2: Unexpected token o in JSON');
+        expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should report the worksheet not found in the workbook and exit with non-zero code', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await exitOnInvalidInputFile(async () => { throw new WorksheetNotFoundError("Worksheet 'Assets' not found in the workbook"); })();
+
+        expect(errorSpy).toHaveBeenCalledWith("🛑 Input file can not be parsed. Worksheet 'Assets' not found in the workbook");
+        expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('should pass the action arguments and rethrow other errors', async () => {
+        const action_Async = jest.fn(async () => { throw new Error('other'); });
+
+        await expect(exitOnInvalidInputFile(action_Async)('a', 'b')).rejects.toThrow('other');
+        expect(action_Async).toHaveBeenCalledWith('a', 'b');
+    });
+});
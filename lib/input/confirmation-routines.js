@@ -39,13 +39,33 @@ async function confirm_Async(question) {
  * Prompts user to confirm the migration operation parameters. If the user confirms, the function simply returns.
  * If the user does not confirm, the function throws a UserDidNotConfirmError.
  *
+ * For unattended runs (CI, scheduled jobs) the prompt is skipped when `assumeYes` is set,
+ * provided the destination cloud matches the expected one.
+ *
  * @async
  * @function confirmOperationOptionsOrExit_Async
  * @param {Object} migrationOptions - The set of migration parameters to be confirmed.
- * @throws {UserDidNotConfirmError} - If the user does not confirm the operation parameters.
+ * @param {Object} [confirmationOptions]
+ * @param {boolean} [confirmationOptions.assumeYes] - Skip the prompt (requires `expectedCloud`).
+ * @param {string} [confirmationOptions.expectedCloud] - Cloud name the `dest_cloud` parameter must match.
+ * @throws {UserDidNotConfirmError} - If the user does not confirm the operation parameters
+ *                                    or the destination cloud does not match the expected one.
  */
-async function confirmOperationOptionsOrExit_Async(migrationOptions) {
+async function confirmOperationOptionsOrExit_Async(migrationOptions, confirmationOptions = {}) {
+    const { assumeYes, expectedCloud } = confirmationOptions;
+    if (expectedCloud && migrationOptions.dest_cloud !== expectedCloud) {
+        throw new UserDidNotConfirmError(`Destination cloud '${migrationOptions.dest_cloud}' does not match the expected cloud '${expectedCloud}'. Terminating`);
+    }
+
     const migrationOptionsStr = util.inspect(migrationOptions, {depth: null, colors: true});
+    if (assumeYes) {
+        if (!expectedCloud) {
+            throw new UserDidNotConfirmError('Expected cloud must be specified to proceed without confirmation. Terminating');
+        }
+        console.log(`❗️Performing the bulk operation without confirmation with the following parameters:\n${migrationOptionsStr}`);
+        return;
+    }
+
     const migrationPrompt = 
 `❗️WARNING: This script will perform the bulk operation with the following parameters:
 ${migrationOptionsStr}
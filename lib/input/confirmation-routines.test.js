@@ -28,6 +28,38 @@ Are you sure you want to proceed?`;
         });
     });
 
+    it('should throw UserDidNotConfirmError when destination cloud does not match the expected one', async () => {
+        yesnoMock.mockResolvedValue(true);
+
+        await expect(confirmOperationOptionsOrExit_Async({ dest_cloud: 'production' }, { expectedCloud: 'staging' }))
+            .rejects.toThrow(UserDidNotConfirmError);
+        expect(yesnoMock).not.toHaveBeenCalled();
+    });
+
+    it('should confirm the operation without prompting when assumed yes for the expected cloud', async () => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await expect(confirmOperationOptionsOrExit_Async({ dest_cloud: 'staging' }, { assumeYes: true, expectedCloud: 'staging' }))
+            .resolves.not.toThrow();
+        expect(yesnoMock).not.toHaveBeenCalled();
+
+        logSpy.mockRestore();
+    });
+
+    it('should throw UserDidNotConfirmError when assumed yes without the expected cloud', async () => {
+        await expect(confirmOperationOptionsOrExit_Async({ dest_cloud: 'staging' }, { assumeYes: true }))
+            .rejects.toThrow(UserDidNotConfirmError);
+        expect(yesnoMock).not.toHaveBeenCalled();
+    });
+
+    it('should prompt for the expected cloud unless assumed yes', async () => {
+        yesnoMock.mockResolvedValue(true);
+
+        await expect(confirmOperationOptionsOrExit_Async({ dest_cloud: 'staging' }, { expectedCloud: 'staging' }))
+            .resolves.not.toThrow();
+        expect(yesnoMock).toHaveBeenCalled();
+    });
+
     it('should throw UserDidNotConfirmError when user answers no', async () => {
         const migrationOptions = { someOption: 'value' };
 
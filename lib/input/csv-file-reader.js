@@ -2,13 +2,84 @@
  * @fileoverview This module encapsulates the logic to create a memory-efficient CSV record generator for a CSV file.
  * It uses the Node stream API to read and parse the CSV file one record at a time, allowing processing of large files
  * without loading the entire file into memory.
+ *
+ * CSV dialect (delimiter, quoting, encoding etc.) is configurable to read files exported by various tools
+ * (for example, semicolon-delimited Windows-1252 encoded files produced by Excel with European locale).
  */
 
 const fs = require('node:fs');
-const {parse} = require('csv-parse');
+const {Transform} = require('node:stream');
+const {parse, CsvError} = require('csv-parse');
+const {InvalidInputFileError} = require('./json-file-reader');
+
+/**
+ * CSV dialect applied unless configured otherwise
+ * @readonly
+ */
+const DEFAULT_CSV_DIALECT = Object.freeze({
+    delimiter          : ',',
+    quote              : '"',
+    escape             : '"',
+    encoding           : 'utf-8',
+    strip_bom          : true,   // byte order mark otherwise becomes part of the first column name
+    comment            : null,   // lines starting with this character are skipped (no comments by default)
+    relax_column_count : false,  // records with the number of fields not matching the header are allowed
+    trim               : false,  // whitespace around the fields is trimmed
+});
+
+// UTF-8 byte order mark (tools often prepend it regardless of the actual encoding of the file)
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+
 
 /**
- * Asynchronously generates CSV records from a given CSV file. 
+ * Resolves CSV dialect from the CLI arguments.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @returns {Object} - The CSV dialect (see DEFAULT_CSV_DIALECT).
+ */
+function resolveCsvDialect(cliArgs) {
+    return {
+        delimiter          : cliArgs.csvDelimiter || DEFAULT_CSV_DIALECT.delimiter,
+        quote              : cliArgs.csvQuote     || DEFAULT_CSV_DIALECT.quote,
+        escape             : cliArgs.csvEscape    || DEFAULT_CSV_DIALECT.escape,
+        encoding           : cliArgs.encoding     || DEFAULT_CSV_DIALECT.encoding,
+        strip_bom          : cliArgs.stripBom !== false,
+        comment            : cliArgs.csvComment   || DEFAULT_CSV_DIALECT.comment,
+        relax_column_count : cliArgs.csvRelaxColumnCount === true,
+        trim               : cliArgs.csvTrim === true,
+    };
+}
+
+
+/**
+ * Creates stream transcoding the file content from the provided encoding.
+ *
+ * @param {string} encoding - The file encoding (any label supported by `TextDecoder`, for example 'windows-1252').
+ * @param {boolean} stripBom - Whether the byte order mark is removed.
+ * @returns {Transform} - The stream producing decoded text.
+ */
+function _createDecoderStream(encoding, stripBom) {
+    const decoder = new TextDecoder(encoding, { ignoreBOM: !stripBom });
+    let isFirstChunk = true;
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, _, callback) {
+            if (isFirstChunk && stripBom && chunk.subarray(0, UTF8_BOM.length).equals(UTF8_BOM)) {
+                chunk = chunk.subarray(UTF8_BOM.length);
+            }
+            isFirstChunk = false;
+            callback(null, decoder.decode(chunk, { stream: true }));
+        },
+        flush(callback) {
+            const rest = decoder.decode();
+            callback(null, rest.length > 0 ? rest : undefined);
+        }
+    });
+}
+
+
+/**
+ * Asynchronously generates CSV records from a given CSV file.
  * This function utilizes Node.js streams to handle potentially large CSV files in a memory-efficient way.
  * Records are read and parsed "on demand" when the generator's next value is requested.
  *
@@ -16,18 +87,38 @@ const {parse} = require('csv-parse');
  * @generator
  * @function getRecordGenerator_Async
  * @param {string} csvFilePath - Path to the CSV file to read.
+ * @param {Object} [csvDialect] - The CSV dialect (see DEFAULT_CSV_DIALECT).
  * @yields {Object} A single record from the CSV file, parsed into a JavaScript object where property names correspond to CSV column headers.
+ * @throws {InvalidInputFileError} - If the file can not be parsed with the CSV dialect (for example, unmatched quote or wrong delimiter).
  */
-async function* getRecordGenerator_Async(csvFilePath) {
+async function* getRecordGenerator_Async(csvFilePath, csvDialect = DEFAULT_CSV_DIALECT) {
     const parser = fs.createReadStream(csvFilePath)
-        .pipe(parse({columns: true}));
+        .pipe(_createDecoderStream(csvDialect.encoding, csvDialect.strip_bom))
+        .pipe(parse({
+            columns            : true,
+            delimiter          : csvDialect.delimiter,
+            quote              : csvDialect.quote,
+            escape             : csvDialect.escape,
+            bom                : csvDialect.strip_bom,
+            comment            : csvDialect.comment || undefined,
+            relax_column_count : csvDialect.relax_column_count,
+            trim               : csvDialect.trim,
+        }));
 
-    for await (const record of parser) {
-        yield record;
+    try {
+        for await (const record of parser) {
+            yield record;
+        }
+    } catch (err) {
+        if (err instanceof CsvError) {
+            throw new InvalidInputFileError(`Line ${err.lines}: ${err.message} (${err.code})`);
+        }
+        throw err;
     }
 }
 
 module.exports = {
-    getRecordGenerator_Async
+    resolveCsvDialect,
+    getRecordGenerator_Async,
+    DEFAULT_CSV_DIALECT
 };
-
@@ -0,0 +1,117 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    resolveCsvDialect,
+    getRecordGenerator_Async,
+    DEFAULT_CSV_DIALECT
+} = require('./csv-file-reader');
+const { InvalidInputFileError } = require('./json-file-reader');
+
+
+let tmpFolder = null;
+
+// Writes the input file with the provided content (string or Buffer)
+function createInputFile(content) {
+    const filePath = path.join(tmpFolder, 'input.csv');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+// Collects all the records yielded by the generator
+async function collect(recordGenerator) {
+    const records = [];
+    for await (const record of recordGenerator) {
+        records.push(record);
+    }
+    return records;
+}
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-csv-input-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('resolveCsvDialect', () => {
+    it('should apply the default dialect unless configured otherwise', () => {
+        expect(resolveCsvDialect({})).toEqual(DEFAULT_CSV_DIALECT);
+    });
+
+    it('should resolve the configured dialect', () => {
+        expect(resolveCsvDialect({
+            csvDelimiter        : ';',
+            csvQuote            : "'",
+            csvEscape           : '\\',
+            encoding            : 'windows-1252',
+            stripBom            : false,
+            csvComment          : '#',
+            csvRelaxColumnCount : true,
+            csvTrim             : true,
+        })).toEqual({
+            delimiter          : ';',
+            quote              : "'",
+            escape             : '\\',
+            encoding           : 'windows-1252',
+            strip_bom          : false,
+            comment            : '#',
+            relax_column_count : true,
+            trim               : true,
+        });
+    });
+});
+
+
+describe('getRecordGenerator_Async', () => {
+    it('should strip BOM from the first column name by default', async () => {
+        const filePath = createInputFile('﻿sku,url\nA,https://example.com/a.jpg\n');
+        await expect(collect(getRecordGenerator_Async(filePath))).resolves.toEqual([
+            { sku: 'A', url: 'https://example.com/a.jpg' },
+        ]);
+    });
+
+    it('should keep fields with embedded newlines in a single record', async () => {
+        const filePath = createInputFile('sku,description\nA,"first line\nsecond line"\nB,plain\n');
+        await expect(collect(getRecordGenerator_Async(filePath))).resolves.toEqual([
+            { sku: 'A', description: 'first line\nsecond line' },
+            { sku: 'B', description: 'plain' },
+        ]);
+    });
+
+    it('should transcode semicolon-delimited Windows-1252 file with BOM', async () => {
+        const content = Buffer.concat([
+            Buffer.from([0xEF, 0xBB, 0xBF]),
+            Buffer.from('sku;title\n', 'latin1'),
+            Buffer.from('A;Café crème\n', 'latin1'),
+            Buffer.from([0x42, 0x3B, 0x80, 0x0A]), // "B;€" (0x80 is the euro sign in Windows-1252)
+        ]);
+        const filePath = createInputFile(content);
+        const csvDialect = resolveCsvDialect({ csvDelimiter: ';', encoding: 'windows-1252' });
+        await expect(collect(getRecordGenerator_Async(filePath, csvDialect))).resolves.toEqual([
+            { sku: 'A', title: 'Café crème' },
+            { sku: 'B', title: '€' },
+        ]);
+    });
+
+    it('should skip comments, relax column count and trim fields when configured', async () => {
+        const filePath = createInputFile("# exported from DAM\nsku ; title\n'A;1' ; first\nB\n");
+        const csvDialect = resolveCsvDialect({ csvDelimiter: ';', csvQuote: "'", csvComment: '#', csvRelaxColumnCount: true, csvTrim: true });
+        await expect(collect(getRecordGenerator_Async(filePath, csvDialect))).resolves.toEqual([
+            { sku: 'A;1', title: 'first' },
+            { sku: 'B' },
+        ]);
+    });
+
+    it('should reject records with the number of fields not matching the header by default', async () => {
+        const filePath = createInputFile('sku,title\nA\n');
+        await expect(collect(getRecordGenerator_Async(filePath))).rejects.toThrow(InvalidInputFileError);
+    });
+
+    it('should report the line the file can not be parsed at', async () => {
+        const filePath = createInputFile('sku,title\nA,first\nB,"second\n');
+        await expect(collect(getRecordGenerator_Async(filePath))).rejects.toThrow(/^Line 3: .*\(CSV_QUOTE_NOT_CLOSED\)$/);
+    });
+});
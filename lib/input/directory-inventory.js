@@ -0,0 +1,205 @@
+/**
+ * @fileoverview This module implements listing the files of a local directory tree (for the `inventory` command):
+ * files are selected with include/exclude glob patterns, and `public_id` and `folder` values are derived
+ * from the path of each file relative to the directory.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Modes to sanitize the path segments the `public_id` and `folder` values are derived from
+ * @readonly
+ * @enum {string}
+ */
+const SANITIZE_MODE = {
+    NONE : 'none',  // used as is
+    SAFE : 'safe',  // characters not allowed in public_id replaced with '_', whitespace around trimmed
+    SLUG : 'slug',  // lowercase, diacritics removed, characters other than letters, digits, '_' and '-' replaced with '-'
+};
+
+const DEFAULT_SANITIZE_MODE = SANITIZE_MODE.SAFE;
+
+// Characters not allowed in Cloudinary public_id (and folder names)
+const UNSAFE_CHARS_REGEX = /[?&#\\%<>+]/g;
+// Path segment sanitized to nothing is replaced with this one (so that public_id has no empty segments)
+const EMPTY_SEGMENT_REPLACEMENT = '_';
+
+
+/**
+ * Converts the glob pattern to the regular expression matching the relative path (with '/' separators).
+ *
+ * Supported syntax: `*` (any characters except '/'), `**` (any path segments, including none),
+ * `?` (any character except '/'), `[abc]` / `[!abc]` (character classes) and `{jpg,png}` (alternatives).
+ *
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} - The regular expression matching the whole path.
+ */
+function globToRegExp(pattern) {
+    let regExpSource = '';
+    let alternativesDepth = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+            if (atSegmentStart && pattern[i + 2] === '/') {
+                // '**/' matches any leading path segments (including none)
+                regExpSource += '(?:.*/)?';
+                i += 2;
+            } else {
+                regExpSource += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regExpSource += '[^/]*';
+        } else if (char === '?') {
+            regExpSource += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const classEnd = pattern.indexOf(']', i + 2);
+            let classBody = pattern.slice(i + 1, classEnd).replace(/\\/g, '\\\\');
+            if (classBody.startsWith('!')) {
+                classBody = '^' + classBody.slice(1);
+            }
+            regExpSource += `[${classBody}]`;
+            i = classEnd;
+        } else if (char === '{') {
+            regExpSource += '(?:';
+            alternativesDepth += 1;
+        } else if (char === '}' && alternativesDepth > 0) {
+            regExpSource += ')';
+            alternativesDepth -= 1;
+        } else if (char === ',' && alternativesDepth > 0) {
+            regExpSource += '|';
+        } else {
+            regExpSource += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    regExpSource += ')'.repeat(alternativesDepth);
+    return new RegExp(`^${regExpSource}$`);
+}
+
+
+/**
+ * Creates matcher selecting the files by their relative paths.
+ * Patterns with no '/' are matched against the file name (for example `*.jpg` or `.DS_Store`),
+ * the rest of the patterns are matched against the relative path (for example `archive/**`).
+ *
+ * @param {string[]} [includePatterns] - Files matching any of these are selected (all files if none provided).
+ * @param {string[]} [excludePatterns] - Files matching any of these are not selected (even if included).
+ * @returns {function(string): boolean} - Tells whether the file (relative path with '/' separators) is selected.
+ */
+function createPathMatcher(includePatterns = [], excludePatterns = []) {
+    const toMatcher = (pattern) => {
+        const regExp = globToRegExp(pattern);
+        return pattern.includes('/')
+            ? (relativePath) => regExp.test(relativePath)
+            : (relativePath) => regExp.test(path.posix.basename(relativePath));
+    };
+    const includeMatchers = includePatterns.map(toMatcher);
+    const excludeMatchers = excludePatterns.map(toMatcher);
+
+    return (relativePath) => {
+        if (includeMatchers.length > 0 && !includeMatchers.some(matches => matches(relativePath))) {
+            return false;
+        }
+        return !excludeMatchers.some(matches => matches(relativePath));
+    };
+}
+
+
+/**
+ * Sanitizes the path segment as per the sanitize mode.
+ *
+ * @param {string} segment - The path segment (directory or file name).
+ * @param {string} sanitizeMode - One of the SANITIZE_MODE values.
+ * @returns {string} - The sanitized path segment.
+ */
+function sanitizePathSegment(segment, sanitizeMode = DEFAULT_SANITIZE_MODE) {
+    let sanitized = segment;
+    if (sanitizeMode === SANITIZE_MODE.SAFE) {
+        sanitized = segment.trim().replace(UNSAFE_CHARS_REGEX, '_');
+    } else if (sanitizeMode === SANITIZE_MODE.SLUG) {
+        sanitized = segment
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    return sanitized.length > 0 ? sanitized : EMPTY_SEGMENT_REPLACEMENT;
+}
+
+
+/**
+ * Resolves the values derived from the relative path of the file.
+ *
+ * @param {string} relativePath - Path of the file relative to the directory (with '/' separators).
+ * @param {Object} [options]
+ * @param {string} [options.sanitize] - One of the SANITIZE_MODE values.
+ * @param {boolean} [options.keepExtension] - Keep the file extension in the public_id (as expected for raw assets).
+ * @returns {Object} - `relative_path`, `public_id` (including the folder), `folder` (empty for the files at the top level)
+ *                     and `extension` (lowercase, without the leading dot).
+ */
+function resolvePathValues(relativePath, options = {}) {
+    const sanitizeMode = options.sanitize || DEFAULT_SANITIZE_MODE;
+    const folderSegments = relativePath.split('/');
+    const fileName = folderSegments.pop();
+    const extension = path.posix.extname(fileName);
+    const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+
+    const folder = folderSegments.map(segment => sanitizePathSegment(segment, sanitizeMode)).join('/');
+    let publicIdName = sanitizePathSegment(baseName, sanitizeMode);
+    if (options.keepExtension && extension) {
+        publicIdName += `.${sanitizePathSegment(extension.slice(1), sanitizeMode)}`;
+    }
+    return {
+        relative_path : relativePath,
+        public_id     : folder ? `${folder}/${publicIdName}` : publicIdName,
+        folder,
+        extension     : extension.slice(1).toLowerCase(),
+    };
+}
+
+
+/**
+ * Asynchronously generates relative paths of the files in the directory tree (in the order of the names).
+ * Symbolic links are not followed. Directories that can not be read are reported and skipped.
+ *
+ * @async
+ * @generator
+ * @param {string} rootDir - The directory to list the files of.
+ * @param {function(string, Error): void} [onUnreadableDir] - Called with the relative path of the directory that can not be read.
+ * @param {string} [relativeDir] - The subdirectory to list (relative to the root directory).
+ * @yields {string} - Path of the file relative to the directory (with '/' separators).
+ */
+async function* walkDirectory_Async(rootDir, onUnreadableDir = () => {}, relativeDir = '') {
+    let entries = null;
+    try {
+        entries = await fs.promises.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+    } catch (err) {
+        if (relativeDir === '') {
+            throw err;
+        }
+        onUnreadableDir(relativeDir, err);
+        return;
+    }
+    entries.sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            yield* walkDirectory_Async(rootDir, onUnreadableDir, relativePath);
+        } else if (entry.isFile()) {
+            yield relativePath;
+        }
+    }
+}
+
+module.exports = {
+    globToRegExp,
+    createPathMatcher,
+    sanitizePathSegment,
+    resolvePathValues,
+    walkDirectory_Async,
+    SANITIZE_MODE,
+    DEFAULT_SANITIZE_MODE
+};
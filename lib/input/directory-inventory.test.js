@@ -0,0 +1,155 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    globToRegExp,
+    createPathMatcher,
+    sanitizePathSegment,
+    resolvePathValues,
+    walkDirectory_Async,
+    SANITIZE_MODE
+} = require('./directory-inventory');
+
+
+describe('globToRegExp', () => {
+    test.each([
+        ['*.jpg', 'a.jpg', true],
+        ['*.jpg', 'a/b.jpg', false],
+        ['**/*.jpg', 'b.jpg', true],
+        ['**/*.jpg', 'a/b/c.jpg', true],
+        ['archive/**', 'archive/2020/a.jpg', true],
+        ['archive/**', 'archived/a.jpg', false],
+        ['a/**/b.jpg', 'a/b.jpg', true],
+        ['a/**/b.jpg', 'a/x/y/b.jpg', true],
+        ['?.png', 'a.png', true],
+        ['?.png', 'ab.png', false],
+        ['*.{jpg,png}', 'a.png', true],
+        ['*.{jpg,png}', 'a.gif', false],
+        ['[!a]*.tif', 'a.tif', false],
+        ['[!a]*.tif', 'b.tif', true],
+        ['file (1).jpg', 'file (1).jpg', true],
+        ['a+b.jpg', 'a+b.jpg', true],
+    ])('should match pattern %s against %s: %s', (pattern, relativePath, expected) => {
+        expect(globToRegExp(pattern).test(relativePath)).toBe(expected);
+    });
+});
+
+
+describe('createPathMatcher', () => {
+    it('should select all files when no patterns provided', () => {
+        expect(createPathMatcher()('a/b.jpg')).toBe(true);
+    });
+
+    it('should match patterns with no slash against the file name', () => {
+        const isSelected = createPathMatcher(['*.jpg'], ['.DS_Store']);
+        expect(isSelected('a/b/c.jpg')).toBe(true);
+        expect(isSelected('a/b/c.png')).toBe(false);
+        expect(createPathMatcher([], ['.DS_Store'])('a/.DS_Store')).toBe(false);
+    });
+
+    it('should exclude files even if included', () => {
+        const isSelected = createPathMatcher(['**/*.jpg'], ['archive/**', '*.tmp.jpg']);
+        expect(isSelected('products/a.jpg')).toBe(true);
+        expect(isSelected('archive/a.jpg')).toBe(false);
+        expect(isSelected('products/a.tmp.jpg')).toBe(false);
+    });
+});
+
+
+describe('sanitizePathSegment', () => {
+    test.each([
+        [SANITIZE_MODE.NONE, ' Summer Sale? ', ' Summer Sale? '],
+        [SANITIZE_MODE.SAFE, ' Summer Sale? ', 'Summer Sale_'],
+        [SANITIZE_MODE.SAFE, 'a&b#c%d<e>f+g\\h', 'a_b_c_d_e_f_g_h'],
+        [SANITIZE_MODE.SLUG, ' Été 2024 — Sale! ', 'ete-2024-sale'],
+        [SANITIZE_MODE.SLUG, 'my_file-v2', 'my_file-v2'],
+        [SANITIZE_MODE.SLUG, '???', '_'],
+    ])('should sanitize in %s mode: "%s"', (sanitizeMode, segment, expected) => {
+        expect(sanitizePathSegment(segment, sanitizeMode)).toEqual(expected);
+    });
+});
+
+
+describe('resolvePathValues', () => {
+    it('should derive public_id and folder from the relative path', () => {
+        expect(resolvePathValues('Products/Shoes/Red Shoe.JPG')).toEqual({
+            relative_path : 'Products/Shoes/Red Shoe.JPG',
+            public_id     : 'Products/Shoes/Red Shoe',
+            folder        : 'Products/Shoes',
+            extension     : 'jpg',
+        });
+    });
+
+    it('should resolve empty folder for the files at the top level', () => {
+        expect(resolvePathValues('logo.png')).toMatchObject({ public_id: 'logo', folder: '' });
+    });
+
+    it('should keep the extension when requested or when the file has none', () => {
+        expect(resolvePathValues('docs/manual.pdf', { keepExtension: true })).toMatchObject({ public_id: 'docs/manual.pdf', extension: 'pdf' });
+        expect(resolvePathValues('docs/README')).toMatchObject({ public_id: 'docs/README', extension: '' });
+        expect(resolvePathValues('docs/.hidden')).toMatchObject({ public_id: 'docs/.hidden', extension: '' });
+    });
+
+    it('should sanitize the folder and the file name', () => {
+        expect(resolvePathValues('Été 2024/Red Shoe.jpg', { sanitize: SANITIZE_MODE.SLUG })).toMatchObject({
+            public_id : 'ete-2024/red-shoe',
+            folder    : 'ete-2024',
+        });
+    });
+});
+
+
+describe('walkDirectory_Async', () => {
+    let tmpFolder = null;
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-inventory-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    const listFiles_Async = async (onUnreadableDir) => {
+        const relativePaths = [];
+        for await (const relativePath of walkDirectory_Async(tmpFolder, onUnreadableDir)) {
+            relativePaths.push(relativePath);
+        }
+        return relativePaths;
+    };
+
+    it('should list the files in the order of the names without following symbolic links', async () => {
+        fs.mkdirSync(path.join(tmpFolder, 'b', 'c'), { recursive: true });
+        fs.writeFileSync(path.join(tmpFolder, 'b', 'c', 'd.jpg'), 'd');
+        fs.writeFileSync(path.join(tmpFolder, 'b', 'a.jpg'), 'a');
+        fs.writeFileSync(path.join(tmpFolder, 'z.jpg'), 'z');
+        fs.symlinkSync(path.join(tmpFolder, 'b'), path.join(tmpFolder, 'link-to-b'));
+        fs.symlinkSync(path.join(tmpFolder, 'z.jpg'), path.join(tmpFolder, 'link-to-z.jpg'));
+
+        expect(await listFiles_Async()).toEqual(['b/a.jpg', 'b/c/d.jpg', 'z.jpg']);
+    });
+
+    it('should report and skip the directories that can not be read', async () => {
+        const onUnreadableDir = jest.fn();
+        fs.writeFileSync(path.join(tmpFolder, 'a.jpg'), 'a');
+        fs.mkdirSync(path.join(tmpFolder, 'b'));
+        const readdir = fs.promises.readdir;
+        const readdirSpy = jest.spyOn(fs.promises, 'readdir').mockImplementation((dirPath, options) => {
+            if (dirPath === path.join(tmpFolder, 'b')) {
+                return Promise.reject(new Error('EACCES: permission denied'));
+            }
+            return readdir(dirPath, options);
+        });
+
+        try {
+            expect(await listFiles_Async(onUnreadableDir)).toEqual(['a.jpg']);
+            expect(onUnreadableDir).toHaveBeenCalledWith('b', expect.any(Error));
+        } finally {
+            readdirSpy.mockRestore();
+        }
+    });
+
+    it('should fail if the directory can not be read', async () => {
+        await expect(walkDirectory_Async(path.join(tmpFolder, 'does-not-exist')).next()).rejects.toThrow();
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview This module provides record generator for the input file regardless of its format.
+ * Input format is either provided explicitly (via `--input-format`) or resolved by the file extension (CSV by default).
+ */
+
+const path = require('node:path');
+const csvReader = require('./csv-file-reader');
+const jsonReader = require('./json-file-reader');
+const xlsxReader = require('./xlsx-file-reader');
+const rowSelectionHelpers = require('./row-selection');
+const resumeHelpers = require('./resume-helpers');
+
+/**
+ * Supported input file formats
+ * @readonly
+ * @enum {string}
+ */
+const INPUT_FORMAT = {
+    CSV   : 'csv',    // CSV file with the header row
+    JSONL : 'jsonl',  // JSON Lines: one JSON object per line
+    JSON  : 'json',   // JSON array of objects
+    XLSX  : 'xlsx',   // Excel workbook: worksheet with the header row
+};
+
+// Formats with no header row shared by the records (each record defines its own fields)
+const HEADERLESS_FORMATS = [INPUT_FORMAT.JSONL, INPUT_FORMAT.JSON];
+
+// Formats resolved by the file extension (CSV is assumed for any other extension)
+const EXTENSION_2_FORMAT = {
+    '.jsonl'  : INPUT_FORMAT.JSONL,
+    '.ndjson' : INPUT_FORMAT.JSONL,
+    '.json'   : INPUT_FORMAT.JSON,
+    '.xlsx'   : INPUT_FORMAT.XLSX,
+};
+
+
+/**
+ * Resolves the input file format.
+ *
+ * @param {string} inputFilePath - Path to the input file.
+ * @param {string} [inputFormat] - The input format provided explicitly (takes precedence over the file extension).
+ * @returns {string} - The input format (see INPUT_FORMAT).
+ */
+function resolveInputFormat(inputFilePath, inputFormat) {
+    if (inputFormat) {
+        return inputFormat;
+    }
+    return EXTENSION_2_FORMAT[path.extname(inputFilePath).toLowerCase()] || INPUT_FORMAT.CSV;
+}
+
+
+/**
+ * Resolves options to read the input file from the CLI arguments.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @returns {Object} - `format` (see INPUT_FORMAT), `csv_dialect` (only for CSV input, see `csvReader.resolveCsvDialect`)
+ *                      and `sheet` (only for Excel input, the first worksheet is read if not set).
+ */
+function resolveInputOptions(cliArgs) {
+    const format = resolveInputFormat(cliArgs.fromCsvFile, cliArgs.inputFormat);
+    const inputOptions = { format };
+    if (format === INPUT_FORMAT.CSV) {
+        inputOptions.csv_dialect = csvReader.resolveCsvDialect(cliArgs);
+    }
+    if (format === INPUT_FORMAT.XLSX) {
+        inputOptions.sheet = cliArgs.sheet || null;
+    }
+    return inputOptions;
+}
+
+
+/**
+ * Asynchronously generates records from the input file.
+ *
+ * @async
+ * @generator
+ * @param {string} inputFilePath - Path to the input file.
+ * @param {Object} [inputOptions] - See `resolveInputOptions` (format is resolved by the file extension if not provided).
+ * @yields {Object} A single input record.
+ */
+async function* getRecordGenerator_Async(inputFilePath, inputOptions = {}) {
+    switch (resolveInputFormat(inputFilePath, inputOptions.format)) {
+        case INPUT_FORMAT.JSONL:
+            yield* jsonReader.getJsonlRecordGenerator_Async(inputFilePath);
+            break;
+        case INPUT_FORMAT.JSON:
+            yield* jsonReader.getJsonArrayRecordGenerator_Async(inputFilePath);
+            break;
+        case INPUT_FORMAT.XLSX:
+            yield* xlsxReader.getRecordGenerator_Async(inputFilePath, inputOptions.sheet);
+            break;
+        default:
+            yield* csvReader.getRecordGenerator_Async(inputFilePath, inputOptions.csv_dialect);
+    }
+}
+
+
+/**
+ * Counts the records in the input file.
+ * The file is parsed (rather than its lines counted) as records may span several lines.
+ *
+ * @param {string} inputFilePath - Path to the input file.
+ * @param {Object} [inputOptions] - See `resolveInputOptions`.
+ * @param {Object|null} [rowSelection] - Only the selected records are counted (see `rowSelectionHelpers.resolveRowSelection`).
+ * @param {Object|null} [skippedRows] - Records to be skipped are not counted (for example, when resuming):
+ *                                      `rowKeys` (Set of the row keys) and `rowKeyColumn` (see `resumeHelpers.getRowKey`).
+ * @returns {Promise<number>} - The count of records.
+ */
+async function countRecords_Async(inputFilePath, inputOptions, rowSelection = null, skippedRows = null) {
+    let recordCount = 0;
+    const recordGenerator = rowSelectionHelpers.selectRecords_Async(getRecordGenerator_Async(inputFilePath, inputOptions), rowSelection);
+    for await (const {row, input} of recordGenerator) {
+        // Rows skipped may include the ones outside of the selection, so only the selected ones are checked
+        if (skippedRows && skippedRows.rowKeys.has(resumeHelpers.getRowKey(row, input, skippedRows.rowKeyColumn))) {
+            continue;
+        }
+        recordCount += 1;
+    }
+    return recordCount;
+}
+
+module.exports = {
+    resolveInputFormat,
+    resolveInputOptions,
+    countRecords_Async,
+    getRecordGenerator_Async,
+    INPUT_FORMAT,
+    HEADERLESS_FORMATS
+};
@@ -0,0 +1,51 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { resolveInputFormat, resolveInputOptions, countRecords_Async, INPUT_FORMAT } = require('./input-file-reader');
+
+
+describe('resolveInputFormat', () => {
+    it.each([
+        ['assets.csv',    INPUT_FORMAT.CSV],
+        ['assets.txt',    INPUT_FORMAT.CSV],
+        ['assets.jsonl',  INPUT_FORMAT.JSONL],
+        ['assets.NDJSON', INPUT_FORMAT.JSONL],
+        ['assets.json',   INPUT_FORMAT.JSON],
+    ])('should resolve format of %s by the file extension', (filePath, expectedFormat) => {
+        expect(resolveInputFormat(filePath)).toBe(expectedFormat);
+    });
+
+    it('should prefer the explicitly provided format', () => {
+        expect(resolveInputFormat('export.txt', INPUT_FORMAT.JSONL)).toBe(INPUT_FORMAT.JSONL);
+    });
+});
+
+
+describe('countRecords_Async', () => {
+    let tmpFolder = null;
+    let inputFilePath = null;
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-count-'));
+        inputFilePath = path.join(tmpFolder, 'input.csv');
+        fs.writeFileSync(inputFilePath, 'Id,Url\n1,"multi\nline"\n2,b\n3,c\n4,d\n5,e\n');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should count the records', async () => {
+        await expect(countRecords_Async(inputFilePath, resolveInputOptions({ fromCsvFile: inputFilePath }))).resolves.toEqual(5);
+    });
+
+    it('should only exclude the skipped rows within the selection', async () => {
+        const inputOptions = resolveInputOptions({ fromCsvFile: inputFilePath });
+        const rowSelection = { start_row: 3, end_row: null, limit: null, where: [] };
+
+        // Rows 1 and 2 are skipped, but they are not selected anyway
+        await expect(countRecords_Async(inputFilePath, inputOptions, rowSelection, { rowKeys: new Set(['1', '2', '4']) })).resolves.toEqual(2);
+        await expect(countRecords_Async(inputFilePath, inputOptions, rowSelection, { rowKeys: new Set(['1', '2', '4']), rowKeyColumn: 'Id' })).resolves.toEqual(2);
+        await expect(countRecords_Async(inputFilePath, inputOptions, null, { rowKeys: new Set(['1', '2', '4']) })).resolves.toEqual(2);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview This module implements checks for the input records and the payloads produced from them
+ * to detect problems before running the bulk operation (used by the `validate` command).
+ */
+
+const fs = require('node:fs');
+const cloudinary = require('cloudinary').v2;
+
+const {
+    isRemoteUrl,
+} = cloudinary.utils;
+
+/**
+ * Problems reported by the validation
+ * @readonly
+ * @enum {string}
+ */
+const PROBLEM = {
+    MISSING_COLUMN         : 'MISSING_COLUMN',          // required column is missing in the input file
+    EMPTY_FILE             : 'EMPTY_FILE',              // payload has no file reference
+    EMPTY_PUBLIC_ID        : 'EMPTY_PUBLIC_ID',         // payload has no public_id
+    DUPLICATE_PUBLIC_ID    : 'DUPLICATE_PUBLIC_ID',     // public_id is used by an earlier row of the input file
+    FILE_NOT_FOUND         : 'FILE_NOT_FOUND',          // local file does not exist
+    MALFORMED_URL          : 'MALFORMED_URL',           // file reference looks like URL but can not be parsed or is not supported
+    SMD_VALUE_NOT_RESOLVED : 'SMD_VALUE_NOT_RESOLVED',  // structured metadata value can not be resolved by the mapper plugin
+    PAYLOAD_ERROR          : 'PAYLOAD_ERROR',           // failed to produce payload for the input row
+}
+
+// Any "scheme://" prefix
+const URL_LIKE_REGEX = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+
+/**
+ * Finds the required columns missing in the input file.
+ *
+ * @param {string[]} inputColumns - Columns of the input file.
+ * @param {string[]} requiredColumns - Columns required to produce payloads.
+ * @returns {string[]} - The missing columns.
+ */
+function findMissingColumns(inputColumns, requiredColumns) {
+    return requiredColumns.filter(column => !inputColumns.includes(column));
+}
+
+
+/**
+ * Resolves the public_id from the payload (`update` and `delete` payloads define it explicitly,
+ * `rename` payload defines the new one, `migrate` payload via options).
+ *
+ * @param {Object} payload - The payload produced for the input row.
+ * @returns {string|undefined} - The public_id.
+ */
+function resolvePayloadPublicId(payload) {
+    if (payload.publicId) {
+        return payload.publicId;
+    }
+    if (payload.toPublicId) {
+        return payload.toPublicId;
+    }
+    return payload.options ? payload.options.public_id : undefined;
+}
+
+
+/**
+ * Checks the file reference from the payload.
+ *
+ * @param {string} fileRef - The file reference (URL or local path).
+ * @returns {Object|null} - The problem detected (`problem`, `details`) or null.
+ */
+function checkFileRef(fileRef) {
+    if (isRemoteUrl(fileRef)) {
+        if (fileRef.startsWith('data:')) {
+            return null;
+        }
+        try {
+            const url = new URL(fileRef);
+            if (!url.hostname) {
+                return { problem: PROBLEM.MALFORMED_URL, details: 'URL has no host name' };
+            }
+        } catch (err) {
+            return { problem: PROBLEM.MALFORMED_URL, details: err.message };
+        }
+        return null;
+    }
+
+    if (URL_LIKE_REGEX.test(fileRef)) {
+        return { problem: PROBLEM.MALFORMED_URL, details: 'URL scheme is not supported by Cloudinary Upload API' };
+    }
+
+    if (!fs.existsSync(fileRef)) {
+        return { problem: PROBLEM.FILE_NOT_FOUND, details: 'Local file does not exist' };
+    }
+    return null;
+}
+
+
+/**
+ * Checks the payload produced for the input row.
+ *
+ * @param {Object} payload - The payload produced for the input row.
+ * @param {string} operation - The name of the operation (command) the payload is produced for.
+ * @returns {Object[]} - The problems detected (`problem`, `field`, `value`, `details`).
+ */
+function checkPayload(payload, operation) {
+    const problems = [];
+
+    if (_isBlank(resolvePayloadPublicId(payload))) {
+        problems.push({ problem: PROBLEM.EMPTY_PUBLIC_ID, field: 'public_id', value: null, details: null });
+    }
+
+    if (operation === 'rename' && _isBlank(payload.fromPublicId)) {
+        problems.push({ problem: PROBLEM.EMPTY_PUBLIC_ID, field: 'from_public_id', value: null, details: null });
+    }
+
+    if (operation === 'migrate') {
+        if (_isBlank(payload.file)) {
+            problems.push({ problem: PROBLEM.EMPTY_FILE, field: 'file', value: null, details: null });
+        } else {
+            const fileProblem = checkFileRef(String(payload.file));
+            if (fileProblem) {
+                problems.push({ field: 'file', value: payload.file, ...fileProblem });
+            }
+        }
+    }
+
+    return problems;
+}
+
+
+/**
+ * Describes the error raised when producing payload for the input row.
+ *
+ * @param {Error} err - The error raised.
+ * @returns {Object} - The problem (`problem`, `field`, `value`, `details`).
+ */
+function describePayloadError(err) {
+    const isSmdValueError = err && typeof err.name === 'string' && err.name.endsWith(':InvalidDataSourceOptionError');
+    return {
+        problem : isSmdValueError ? PROBLEM.SMD_VALUE_NOT_RESOLVED : PROBLEM.PAYLOAD_ERROR,
+        field   : null,
+        value   : null,
+        details : err && err.message ? err.message : String(err),
+    };
+}
+
+
+/**
+ * Checks if the value is undefined, null or a blank string.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True if the value is blank.
+ */
+function _isBlank(value) {
+    return value === undefined || value === null || String(value).trim().length === 0;
+}
+
+
+module.exports = {
+    findMissingColumns,
+    resolvePayloadPublicId,
+    checkFileRef,
+    checkPayload,
+    describePayloadError,
+    PROBLEM
+};
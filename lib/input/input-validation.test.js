@@ -0,0 +1,82 @@
+const {
+    findMissingColumns,
+    resolvePayloadPublicId,
+    checkFileRef,
+    checkPayload,
+    describePayloadError,
+    PROBLEM
+} = require('./input-validation');
+
+
+describe('findMissingColumns', () => {
+    it('should return required columns missing in the input', () => {
+        expect(findMissingColumns(['Url', 'SKU'], ['SKU', 'Brand'])).toEqual(['Brand']);
+    });
+});
+
+
+describe('resolvePayloadPublicId', () => {
+    test.each([
+        [{ publicId: 'a', options: { public_id: 'b' } }, 'a'],
+        [{ file: 'f', options: { public_id: 'b' } }, 'b'],
+        [{ fromPublicId: 'a', toPublicId: 'c', options: {} }, 'c'],
+        [{ file: 'f' }, undefined],
+    ])('should resolve public_id from %j', (payload, expected) => {
+        expect(resolvePayloadPublicId(payload)).toEqual(expected);
+    });
+});
+
+
+describe('checkFileRef', () => {
+    test.each([
+        'https://example.com/image.jpg',
+        's3://bucket/image.jpg',
+        'data:image/png;base64,iVBORw0KGgo=',
+        __filename,
+    ])('should accept %s', (fileRef) => {
+        expect(checkFileRef(fileRef)).toBeNull();
+    });
+
+    test.each([
+        ['https://', PROBLEM.MALFORMED_URL],
+        ['sftp://example.com/image.jpg', PROBLEM.MALFORMED_URL],
+        ['/no/such/file.jpg', PROBLEM.FILE_NOT_FOUND],
+    ])('should report problem for %s', (fileRef, expected) => {
+        expect(checkFileRef(fileRef).problem).toEqual(expected);
+    });
+});
+
+
+describe('checkPayload', () => {
+    it('should report empty file and public_id for migrate operation', () => {
+        const problems = checkPayload({ file: ' ', options: {} }, 'migrate');
+        expect(problems.map(p => p.problem)).toEqual([PROBLEM.EMPTY_PUBLIC_ID, PROBLEM.EMPTY_FILE]);
+    });
+
+    it('should not check file for update operation', () => {
+        expect(checkPayload({ publicId: 'a', options: {} }, 'update')).toEqual([]);
+    });
+
+    it('should report empty current public_id for rename operation', () => {
+        const problems = checkPayload({ fromPublicId: '', toPublicId: 'b', options: {} }, 'rename');
+        expect(problems).toEqual([expect.objectContaining({ problem: PROBLEM.EMPTY_PUBLIC_ID, field: 'from_public_id' })]);
+    });
+
+    it('should report the file reference value', () => {
+        const problems = checkPayload({ file: '/no/such/file.jpg', options: { public_id: 'a' } }, 'migrate');
+        expect(problems).toEqual([expect.objectContaining({ problem: PROBLEM.FILE_NOT_FOUND, field: 'file', value: '/no/such/file.jpg' })]);
+    });
+});
+
+
+describe('describePayloadError', () => {
+    it('should recognize unresolved structured metadata values', () => {
+        const err = new Error('No such datasource value');
+        err.name = 'CloudinarySmdPlugin:InvalidDataSourceOptionError';
+        expect(describePayloadError(err).problem).toEqual(PROBLEM.SMD_VALUE_NOT_RESOLVED);
+    });
+
+    it('should report any other error as payload error', () => {
+        expect(describePayloadError(new Error('Boom'))).toEqual(expect.objectContaining({ problem: PROBLEM.PAYLOAD_ERROR, details: 'Boom' }));
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview This module encapsulates the logic to create memory-efficient record generators for JSON input files:
+ *  - JSON Lines (one JSON object per line)
+ *  - JSON array of objects
+ * Files are read and parsed one record at a time, allowing processing of large files without loading the entire file into memory.
+ * Nested values (arrays, objects) are retained as is.
+ */
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+
+
+/**
+ * Custom error class representing input file that can not be parsed (raised by the readers of the other input formats too).
+ *
+ * @class InvalidInputFileError
+ * @extends {Error}
+ */
+class InvalidInputFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidInputFileError';
+    }
+}
+
+
+/**
+ * Ensures the parsed value can be used as input record.
+ *
+ * @param {*} value - The parsed value.
+ * @param {string} location - Location of the value in the input file (for the error message).
+ * @returns {Object} - The input record.
+ * @throws {InvalidInputFileError} - If the value is not a JSON object.
+ */
+function _ensureRecord(value, location) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new InvalidInputFileError(`${location}: input record must be a JSON object`);
+    }
+    return value;
+}
+
+
+/**
+ * Asynchronously generates records from a given JSON Lines file. Empty lines are skipped.
+ *
+ * @async
+ * @generator
+ * @param {string} jsonlFilePath - Path to the JSON Lines file to read.
+ * @yields {Object} A single record from the file.
+ * @throws {InvalidInputFileError} - If a line can not be parsed as JSON object.
+ */
+async function* getJsonlRecordGenerator_Async(jsonlFilePath) {
+    const lineReader = readline.createInterface({
+        input: fs.createReadStream(jsonlFilePath),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lineReader) {
+        lineNumber += 1;
+        if (!line.trim()) { continue; }
+        let value = null;
+        try {
+            value = JSON.parse(line);
+        } catch (err) {
+            throw new InvalidInputFileError(`Line ${lineNumber}: ${err.message}`);
+        }
+        yield _ensureRecord(value, `Line ${lineNumber}`);
+    }
+}
+
+
+/**
+ * Asynchronously generates records from a given file containing JSON array of objects.
+ * Array elements are located by tracking nesting of the JSON text (strings excluded) and parsed one at a time.
+ *
+ * @async
+ * @generator
+ * @param {string} jsonFilePath - Path to the JSON file to read.
+ * @yields {Object} A single record (array element) from the file.
+ * @throws {InvalidInputFileError} - If the file does not contain JSON array of objects.
+ */
+async function* getJsonArrayRecordGenerator_Async(jsonFilePath) {
+    let arrayStarted = false;
+    let arrayEnded = false;
+    let depth = 0;          // nesting depth within the current element
+    let inString = false;
+    let escaped = false;
+    let elementParts = [];
+    let elementNumber = 0;
+
+    const parseElement = () => {
+        elementNumber += 1;
+        const elementText = elementParts.join('');
+        elementParts = [];
+        let value = null;
+        try {
+            value = JSON.parse(elementText);
+        } catch (err) {
+            throw new InvalidInputFileError(`Array element ${elementNumber}: ${err.message}`);
+        }
+        return _ensureRecord(value, `Array element ${elementNumber}`);
+    };
+
+    for await (const chunk of fs.createReadStream(jsonFilePath, { encoding: 'utf8' })) {
+        let elementStart = depth > 0 ? 0 : -1;
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (depth > 0) {
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                    }
+                    continue;
+                }
+                if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth += 1;
+                } else if (char === '}' || char === ']') {
+                    depth -= 1;
+                    if (depth === 0) {
+                        elementParts.push(chunk.slice(elementStart, i + 1));
+                        elementStart = -1;
+                        yield parseElement();
+                    }
+                }
+                continue;
+            }
+
+            // Outside of array elements only whitespace, separators and array brackets are expected
+            if (/\s/.test(char) || (arrayStarted && !arrayEnded && char === ',')) {
+                continue;
+            }
+            if (!arrayStarted && char === '[') {
+                arrayStarted = true;
+            } else if (arrayStarted && !arrayEnded && char === ']') {
+                arrayEnded = true;
+            } else if (arrayStarted && !arrayEnded && char === '{') {
+                depth = 1;
+                elementStart = i;
+            } else if (arrayStarted && !arrayEnded) {
+                throw new InvalidInputFileError(`Array element ${elementNumber + 1}: input record must be a JSON object`);
+            } else {
+                throw new InvalidInputFileError('Input file must contain JSON array of objects');
+            }
+        }
+        if (elementStart >= 0) {
+            elementParts.push(chunk.slice(elementStart));
+        }
+    }
+
+    if (!arrayStarted || !arrayEnded) {
+        throw new InvalidInputFileError('Input file must contain JSON array of objects (unexpected end of file)');
+    }
+}
+
+module.exports = {
+    getJsonlRecordGenerator_Async,
+    getJsonArrayRecordGenerator_Async,
+    InvalidInputFileError
+};
@@ -0,0 +1,93 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    getJsonlRecordGenerator_Async,
+    getJsonArrayRecordGenerator_Async,
+    InvalidInputFileError
+} = require('./json-file-reader');
+
+
+let tmpFolder = null;
+
+// Writes the input file with the provided content
+function createInputFile(name, content) {
+    const filePath = path.join(tmpFolder, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+// Collects all the records yielded by the generator
+async function collect(recordGenerator) {
+    const records = [];
+    for await (const record of recordGenerator) {
+        records.push(record);
+    }
+    return records;
+}
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-json-input-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('getJsonlRecordGenerator_Async', () => {
+    it('should yield records with nested values intact and skip empty lines', async () => {
+        const filePath = createInputFile('input.jsonl', [
+            '{"sku":"A","tags":["red","blue"],"metadata":{"color":"red"}}',
+            '',
+            '{"sku":"B","tags":[],"metadata":{}}',
+        ].join('\n'));
+        await expect(collect(getJsonlRecordGenerator_Async(filePath))).resolves.toEqual([
+            { sku: 'A', tags: ['red', 'blue'], metadata: { color: 'red' } },
+            { sku: 'B', tags: [], metadata: {} },
+        ]);
+    });
+
+    it('should report the line that can not be parsed', async () => {
+        const filePath = createInputFile('input.jsonl', '{"sku":"A"}\n{"sku":\n');
+        await expect(collect(getJsonlRecordGenerator_Async(filePath))).rejects.toThrow(/^Line 2:/);
+    });
+
+    it('should reject lines that are not JSON objects', async () => {
+        const filePath = createInputFile('input.jsonl', '["A"]\n');
+        await expect(collect(getJsonlRecordGenerator_Async(filePath))).rejects.toThrow(InvalidInputFileError);
+    });
+});
+
+
+describe('getJsonArrayRecordGenerator_Async', () => {
+    it('should yield array elements with nested values intact', async () => {
+        const records = [
+            { sku: 'A', tags: ['red', 'blue'], metadata: { color: 'red', sizes: [1, 2] } },
+            { sku: 'B "quoted" {not nested} [nor this]', path: 'C:\\assets\\', metadata: {} },
+        ];
+        const filePath = createInputFile('input.json', JSON.stringify(records, null, 2));
+        await expect(collect(getJsonArrayRecordGenerator_Async(filePath))).resolves.toEqual(records);
+    });
+
+    it('should handle records spanning several read chunks', async () => {
+        const records = Array.from({ length: 500 }, (_, i) => ({ sku: `sku-${i}`, description: 'x'.repeat(500) }));
+        const filePath = createInputFile('input.json', JSON.stringify(records));
+        await expect(collect(getJsonArrayRecordGenerator_Async(filePath))).resolves.toEqual(records);
+    });
+
+    it('should yield nothing for an empty array', async () => {
+        const filePath = createInputFile('input.json', ' [ ] \n');
+        await expect(collect(getJsonArrayRecordGenerator_Async(filePath))).resolves.toEqual([]);
+    });
+
+    it.each([
+        ['not an array', '{"sku":"A"}'],
+        ['array of scalars', '["A","B"]'],
+        ['truncated array', '[{"sku":"A"},{"sku":'],
+        ['invalid element', '[{"sku":A}]'],
+    ])('should reject %s', async (_, content) => {
+        const filePath = createInputFile('input.json', content);
+        await expect(collect(getJsonArrayRecordGenerator_Async(filePath))).rejects.toThrow(InvalidInputFileError);
+    });
+});
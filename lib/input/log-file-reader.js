@@ -0,0 +1,93 @@
+/**
+ * @fileoverview This module encapsulates the logic to create a memory-efficient record generator for a log file (JSONL).
+ * It uses the Node stream API to read and parse the log file one line at a time, allowing processing of large files
+ * without loading the entire file into memory.
+ */
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+const {Readable} = require('node:stream');
+
+/**
+ * Resolves the current size of the log file.
+ * Passed to the record generators, it makes several passes over the log file that is still being written
+ * read the same records (the ones persisted at the time the size was obtained).
+ *
+ * @param {string} logFilePath - Path to the log file.
+ * @returns {Promise<number>} - Size of the log file in bytes.
+ */
+async function getLogFileSize_Async(logFilePath) {
+    const logFileStats = await fs.promises.stat(logFilePath);
+    return logFileStats.size;
+}
+
+/**
+ * Creates stream reading the log file (up to the size provided).
+ *
+ * @param {string} logFilePath - Path to the log file to read.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the file (see `getLogFileSize_Async`).
+ *                                 Entire file is read if not provided.
+ * @returns {stream.Readable} - The stream of the log file content.
+ */
+function createLogReadStream(logFilePath, logFileSize = undefined) {
+    if (logFileSize === undefined) {
+        return fs.createReadStream(logFilePath);
+    }
+    // `end` is inclusive (and can not be negative for the empty file)
+    return logFileSize > 0 ? fs.createReadStream(logFilePath, { end: logFileSize - 1 }) : Readable.from([]);
+}
+
+/**
+ * Asynchronously generates log records from a given log file.
+ * Lines that are empty or can not be parsed as JSON (for example, a partially written last line) are skipped.
+ *
+ * @async
+ * @generator
+ * @function getLogRecordGenerator_Async
+ * @param {string} logFilePath - Path to the log file to read.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the file (see `getLogFileSize_Async`).
+ *                                 Entire file is read if not provided.
+ * @yields {Object} A single log record parsed into a JavaScript object.
+ */
+async function* getLogRecordGenerator_Async(logFilePath, logFileSize = undefined) {
+    const lineReader = readline.createInterface({
+        input: createLogReadStream(logFilePath, logFileSize),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lineReader) {
+        if (!line.trim()) { continue; }
+        let logRec = null;
+        try {
+            logRec = JSON.parse(line);
+        } catch (err) {
+            continue;
+        }
+        yield logRec;
+    }
+}
+
+/**
+ * Asynchronously generates `payload` flow records (one per processed input row) from a given log file.
+ *
+ * @async
+ * @generator
+ * @function getPayloadRecordGenerator_Async
+ * @param {string} logFilePath - Path to the log file to read.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the file (entire file if not provided).
+ * @yields {Object} A single `payload` flow log record.
+ */
+async function* getPayloadRecordGenerator_Async(logFilePath, logFileSize = undefined) {
+    for await (const logRec of getLogRecordGenerator_Async(logFilePath, logFileSize)) {
+        if (logRec.flow === 'payload') {
+            yield logRec;
+        }
+    }
+}
+
+module.exports = {
+    getLogFileSize_Async,
+    createLogReadStream,
+    getLogRecordGenerator_Async,
+    getPayloadRecordGenerator_Async
+};
@@ -0,0 +1,60 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    getLogFileSize_Async,
+    getLogRecordGenerator_Async,
+    getPayloadRecordGenerator_Async
+} = require('./log-file-reader');
+
+
+let tmpFolder = null;
+let logFilePath = null;
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-log-'));
+    logFilePath = path.join(tmpFolder, 'log.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+async function collect_Async(recordGenerator) {
+    const records = [];
+    for await (const record of recordGenerator) {
+        records.push(record);
+    }
+    return records;
+}
+
+
+describe('getLogRecordGenerator_Async', () => {
+    it('should skip blank lines and the partially written last line', async () => {
+        fs.writeFileSync(logFilePath, '{"flow":"script"}\n\n{"flow":"payload","row":1}\n{"flow":"pay');
+
+        expect(await collect_Async(getLogRecordGenerator_Async(logFilePath))).toEqual([
+            { flow: 'script' },
+            { flow: 'payload', row: 1 },
+        ]);
+    });
+
+    it('should only read the records persisted by the time the size was obtained', async () => {
+        fs.writeFileSync(logFilePath, '{"flow":"payload","row":1}\n');
+        const logFileSize = await getLogFileSize_Async(logFilePath);
+        fs.appendFileSync(logFilePath, '{"flow":"payload","row":2}\n');
+
+        expect(await collect_Async(getPayloadRecordGenerator_Async(logFilePath, logFileSize))).toEqual([
+            { flow: 'payload', row: 1 },
+        ]);
+        expect(await collect_Async(getPayloadRecordGenerator_Async(logFilePath))).toHaveLength(2);
+    });
+
+    it('should read nothing when the log file was empty', async () => {
+        fs.writeFileSync(logFilePath, '');
+        const logFileSize = await getLogFileSize_Async(logFilePath);
+        fs.appendFileSync(logFilePath, '{"flow":"payload","row":1}\n');
+
+        expect(await collect_Async(getLogRecordGenerator_Async(logFilePath, logFileSize))).toEqual([]);
+    });
+});
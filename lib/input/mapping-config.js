@@ -0,0 +1,318 @@
+/**
+ * @fileoverview This module implements declarative (JSON or YAML) alternative to customizing the
+ * `__input-to-api-payload.js` module: the mapping file defines how each input record is translated
+ * into the Cloudinary API payload.
+ *
+ * The mapping file is validated against the JSON schema on load. See readme/mapping-file.md for details.
+ *
+ * Each value in the mapping file is resolved from the input record as per "value spec":
+ *  - string                          : name of the input column to take the value from
+ *  - {column: 'Column Name'}         : value from the input column
+ *  - {template: '{{Brand}}/{{SKU}}'} : template with input column names in double curly braces
+ *  - {value: <any>}                  : constant value
+ *  - `default` (optional)            : value to use when the resolved value is empty
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const YAML = require('yaml');
+const Ajv = require('ajv');
+const pluginManager = require('../plugins/plugin-manager');
+
+const DEFAULT_TAGS_SEPARATOR = ',';
+
+// Input column names in double curly braces, for example '{{SKU}}'
+const TEMPLATE_PLACEHOLDER_REGEX = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+const VALUE_SPEC_SCHEMA = {
+    oneOf: [
+        { type: 'string', minLength: 1 },
+        {
+            type: 'object',
+            properties: {
+                column   : { type: 'string', minLength: 1 },
+                template : { type: 'string', minLength: 1 },
+                value    : {},
+                default  : {},
+            },
+            oneOf: [
+                { required: ['column'] },
+                { required: ['template'] },
+                { required: ['value'] },
+            ],
+            additionalProperties: false,
+        }
+    ]
+};
+
+const MAPPING_CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        file           : { $ref: '#/definitions/valueSpec' },
+        public_id      : { $ref: '#/definitions/valueSpec' },
+        options        : { type: 'object' },
+        mapped_options : { type: 'object', additionalProperties: { $ref: '#/definitions/valueSpec' } },
+        tags           : { type: 'array', items: { $ref: '#/definitions/valueSpec' } },
+        tags_separator : { type: 'string', minLength: 1 },
+        context        : { type: 'object', additionalProperties: { $ref: '#/definitions/valueSpec' } },
+        metadata       : { type: 'object', additionalProperties: { $ref: '#/definitions/valueSpec' } },
+        plugins        : {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name    : { type: 'string', minLength: 1 },
+                    options : { type: 'object' },
+                },
+                required: ['name'],
+                additionalProperties: false,
+            }
+        },
+    },
+    required: ['public_id'],
+    additionalProperties: false,
+    definitions: {
+        valueSpec: VALUE_SPEC_SCHEMA
+    }
+};
+
+
+/**
+ * Custom error class representing invalid mapping file.
+ *
+ * @class InvalidMappingConfigError
+ * @extends {Error}
+ */
+class InvalidMappingConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidMappingConfigError';
+    }
+}
+
+
+/**
+ * Loads the mapping file (JSON or YAML, resolved by file extension) and validates it against the schema.
+ *
+ * @param {string} mappingFilePath - Path to the mapping file.
+ * @returns {Object} - The mapping config.
+ * @throws {InvalidMappingConfigError} - If the mapping file can not be parsed or does not match the schema.
+ */
+function loadMappingConfig(mappingFilePath) {
+    const fileText = fs.readFileSync(mappingFilePath, 'utf8');
+    const fileExt = path.extname(mappingFilePath).toLowerCase();
+
+    let mappingConfig = null;
+    try {
+        mappingConfig = (fileExt === '.yaml' || fileExt === '.yml') ? YAML.parse(fileText) : JSON.parse(fileText);
+    } catch (err) {
+        throw new InvalidMappingConfigError(`Failed to parse mapping file '${mappingFilePath}': ${err.message}`);
+    }
+
+    validateMappingConfig(mappingConfig);
+    return mappingConfig;
+}
+
+
+/**
+ * Validates the mapping config against the schema.
+ *
+ * @param {Object} mappingConfig - The mapping config.
+ * @throws {InvalidMappingConfigError} - If the mapping config does not match the schema.
+ */
+function validateMappingConfig(mappingConfig) {
+    const ajv = new Ajv({ allErrors: true });
+    const validate = ajv.compile(MAPPING_CONFIG_SCHEMA);
+    if (!validate(mappingConfig)) {
+        throw new InvalidMappingConfigError(`Invalid mapping file: ${ajv.errorsText(validate.errors, { dataVar: 'mapping' })}`);
+    }
+}
+
+
+/**
+ * Ensures the mapping config can be applied for the operation with the loaded plugins.
+ *
+ * @param {Object} mappingConfig - The mapping config.
+ * @param {string} operation - The name of the operation (command) invoked.
+ * @throws {InvalidMappingConfigError} - If the mapping config can not be applied.
+ */
+function ensureApplicable(mappingConfig, operation) {
+    if (operation === 'migrate' && !mappingConfig.file) {
+        throw new InvalidMappingConfigError(`Mapping file must define 'file' for the '${operation}' operation`);
+    }
+    // Mapping file defines a single public_id, while renaming requires the current and the new one
+    if (operation === 'rename') {
+        throw new InvalidMappingConfigError(`Mapping file is not supported for the '${operation}' operation (customize the __input-to-rename-payload.js module instead)`);
+    }
+    const loadedPlugins = pluginManager.listLoadedPlugins();
+    for (const pluginRef of mappingConfig.plugins || []) {
+        if (!loadedPlugins.includes(pluginRef.name)) {
+            throw new InvalidMappingConfigError(`Plugin '${pluginRef.name}' referenced in the mapping file is not loaded`);
+        }
+    }
+}
+
+
+/**
+ * Resolves the value from the input record as per the value spec.
+ *
+ * @param {string|Object} valueSpec - The value spec (see the module description).
+ * @param {Object} inputRec - The input record.
+ * @returns {*} - The resolved value (undefined if empty and no default is set).
+ */
+function resolveValue(valueSpec, inputRec) {
+    if (typeof valueSpec === 'string') {
+        valueSpec = { column: valueSpec };
+    }
+
+    let value;
+    if ('column' in valueSpec) {
+        value = inputRec[valueSpec.column];
+    } else if ('template' in valueSpec) {
+        value = valueSpec.template.replace(TEMPLATE_PLACEHOLDER_REGEX, (match, column) => {
+            const columnValue = inputRec[column];
+            return (columnValue === undefined || columnValue === null) ? '' : String(columnValue);
+        });
+    } else {
+        value = valueSpec.value;
+    }
+
+    if (_isEmpty(value)) {
+        return valueSpec.default;
+    }
+    return value;
+}
+
+
+/**
+ * Lists the input columns referenced in the mapping config (directly or in templates).
+ * Columns referenced in plugin options are not included (their meaning is specific to each plugin).
+ *
+ * @param {Object} mappingConfig - The mapping config.
+ * @returns {string[]} - Unique names of the referenced input columns.
+ */
+function listReferencedColumns(mappingConfig) {
+    const valueSpecs = [
+        mappingConfig.file,
+        mappingConfig.public_id,
+        ...(mappingConfig.tags || []),
+        ...Object.values(mappingConfig.mapped_options || {}),
+        ...Object.values(mappingConfig.context || {}),
+        ...Object.values(mappingConfig.metadata || {}),
+    ];
+
+    const columns = new Set();
+    for (const valueSpec of valueSpecs) {
+        if (!valueSpec) { continue; }
+        if (typeof valueSpec === 'string') {
+            columns.add(valueSpec);
+        } else if ('column' in valueSpec) {
+            columns.add(valueSpec.column);
+        } else if ('template' in valueSpec) {
+            for (const match of valueSpec.template.matchAll(TEMPLATE_PLACEHOLDER_REGEX)) {
+                columns.add(match[1]);
+            }
+        }
+    }
+    return [...columns];
+}
+
+
+/**
+ * Produces a function converting input record into Cloudinary API payload as per the mapping config.
+ * The produced function has the same signature as the one exported by the `__input-to-api-payload.js` module.
+ *
+ * Produced payload includes:
+ *  - file     : the asset to upload (used by the `migrate` operation)
+ *  - publicId : the public_id of the asset (used by the `update` operation)
+ *  - options  : options for the Cloudinary API call
+ *
+ * @param {Object} mappingConfig - The mapping config.
+ * @returns {function} - Async function converting input record to the payload and plugins trace.
+ */
+function createInput2ApiPayload(mappingConfig) {
+    return async function input2ApiPayload_Async(inputRec) {
+        const options = { ...mappingConfig.options };
+
+        for (const [optionName, valueSpec] of Object.entries(mappingConfig.mapped_options || {})) {
+            _setIfNotEmpty(options, optionName, resolveValue(valueSpec, inputRec));
+        }
+
+        const publicId = resolveValue(mappingConfig.public_id, inputRec);
+        _setIfNotEmpty(options, 'public_id', publicId);
+
+        if (mappingConfig.tags) {
+            const separator = mappingConfig.tags_separator || DEFAULT_TAGS_SEPARATOR;
+            const tags = mappingConfig.tags
+                .map(valueSpec => resolveValue(valueSpec, inputRec))
+                .filter(value => !_isEmpty(value))
+                .flatMap(value => Array.isArray(value) ? value : String(value).split(separator))
+                .map(tag => String(tag).trim())
+                .filter(tag => tag.length > 0);
+            _setIfNotEmpty(options, 'tags', tags);
+        }
+
+        for (const optionName of ['context', 'metadata']) {
+            if (!mappingConfig[optionName]) { continue; }
+            const resolvedValues = { ...options[optionName] };
+            for (const [key, valueSpec] of Object.entries(mappingConfig[optionName])) {
+                _setIfNotEmpty(resolvedValues, key, resolveValue(valueSpec, inputRec));
+            }
+            _setIfNotEmpty(options, optionName, resolvedValues);
+        }
+
+        // Applying plugins in the order they are listed in the mapping file
+        const plugins_trace = [];
+        for (const pluginRef of mappingConfig.plugins || []) {
+            const plugin = pluginManager.getPlugin(pluginRef.name);
+            const trace = await plugin.process_Async(options, inputRec, pluginRef.options);
+            plugins_trace.push({ name: pluginRef.name, trace });
+        }
+
+        const file = mappingConfig.file ? resolveValue(mappingConfig.file, inputRec) : undefined;
+        return {
+            "payload"       : { file, publicId, options },
+            "plugins_trace" : plugins_trace
+        };
+    }
+}
+
+
+/**
+ * Checks if the value should be treated as empty (not to be passed to Cloudinary API).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for undefined, null, blank strings, empty arrays and empty objects.
+ */
+function _isEmpty(value) {
+    if (value === undefined || value === null) { return true; }
+    if (typeof value === 'string') { return value.trim().length === 0; }
+    if (Array.isArray(value)) { return value.length === 0; }
+    if (typeof value === 'object') { return Object.keys(value).length === 0; }
+    return false;
+}
+
+
+/**
+ * Sets the property on the target object unless the value is empty.
+ *
+ * @param {Object} target - The object to set the property on.
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ */
+function _setIfNotEmpty(target, key, value) {
+    if (!_isEmpty(value)) {
+        target[key] = value;
+    }
+}
+
+
+module.exports = {
+    loadMappingConfig,
+    validateMappingConfig,
+    ensureApplicable,
+    resolveValue,
+    listReferencedColumns,
+    createInput2ApiPayload,
+    InvalidMappingConfigError
+};
@@ -0,0 +1,181 @@
+const fs = require('node:fs');
+const pluginManager = require('../plugins/plugin-manager');
+const {
+    loadMappingConfig,
+    validateMappingConfig,
+    ensureApplicable,
+    resolveValue,
+    listReferencedColumns,
+    createInput2ApiPayload,
+    InvalidMappingConfigError
+} = require('./mapping-config');
+
+jest.mock('../plugins/plugin-manager', () => ({
+    listLoadedPlugins: jest.fn(),
+    getPlugin: jest.fn(),
+}));
+
+
+const INPUT_REC = {
+    'Path'   : 'https://example.com/image.jpg',
+    'SKU'    : '12345',
+    'Brand'  : 'Acme',
+    'Tags'   : 'red, blue',
+    'Caption': '',
+};
+
+
+describe('resolveValue', () => {
+    test.each([
+        ['SKU', '12345'],
+        [{ column: 'SKU' }, '12345'],
+        [{ template: 'products/{{Brand}}/{{ SKU }}' }, 'products/Acme/12345'],
+        [{ value: 'constant' }, 'constant'],
+        [{ value: ['a', 'b'] }, ['a', 'b']],
+        [{ column: 'Caption', default: 'n/a' }, 'n/a'],
+        [{ column: 'Missing Column' }, undefined],
+    ])('should resolve value spec %o', (valueSpec, expected) => {
+        expect(resolveValue(valueSpec, INPUT_REC)).toEqual(expected);
+    });
+});
+
+
+describe('validateMappingConfig', () => {
+    it('should accept valid mapping config', () => {
+        expect(() => validateMappingConfig({
+            file: 'Path',
+            public_id: { template: '{{Brand}}/{{SKU}}' },
+            options: { overwrite: false },
+            tags: ['Tags', { value: 'migrated' }],
+            context: { caption: { column: 'Caption', default: 'n/a' } },
+            metadata: { sku: 'SKU' },
+            plugins: [{ name: 'my-plugin', options: { a: 1 } }],
+        })).not.toThrow();
+    });
+
+    test.each([
+        [{}],
+        [{ public_id: { column: 'SKU', template: '{{SKU}}' } }],
+        [{ public_id: 'SKU', unknown_property: true }],
+        [{ public_id: 'SKU', plugins: [{ options: {} }] }],
+    ])('should reject invalid mapping config %o', (mappingConfig) => {
+        expect(() => validateMappingConfig(mappingConfig)).toThrow(InvalidMappingConfigError);
+    });
+});
+
+
+describe('loadMappingConfig', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should load YAML mapping file', () => {
+        jest.spyOn(fs, 'readFileSync').mockReturnValue('file: Path\npublic_id:\n  column: SKU\n');
+        expect(loadMappingConfig('mapping.yaml')).toEqual({ file: 'Path', public_id: { column: 'SKU' } });
+    });
+
+    it('should load JSON mapping file', () => {
+        jest.spyOn(fs, 'readFileSync').mockReturnValue('{"public_id": "SKU"}');
+        expect(loadMappingConfig('mapping.json')).toEqual({ public_id: 'SKU' });
+    });
+
+    it('should throw error for mapping file that can not be parsed', () => {
+        jest.spyOn(fs, 'readFileSync').mockReturnValue('{');
+        expect(() => loadMappingConfig('mapping.json')).toThrow(InvalidMappingConfigError);
+    });
+});
+
+
+describe('ensureApplicable', () => {
+    beforeEach(() => {
+        pluginManager.listLoadedPlugins.mockReturnValue(['my-plugin']);
+    });
+
+    it('should require file for migrate operation', () => {
+        expect(() => ensureApplicable({ public_id: 'SKU' }, 'migrate')).toThrow(InvalidMappingConfigError);
+        expect(() => ensureApplicable({ public_id: 'SKU' }, 'update')).not.toThrow();
+    });
+
+    it('should not be applicable for rename operation', () => {
+        expect(() => ensureApplicable({ public_id: 'SKU' }, 'rename')).toThrow(InvalidMappingConfigError);
+    });
+
+    it('should require referenced plugins to be loaded', () => {
+        expect(() => ensureApplicable({ file: 'Path', public_id: 'SKU', plugins: [{ name: 'my-plugin' }] }, 'migrate')).not.toThrow();
+        expect(() => ensureApplicable({ file: 'Path', public_id: 'SKU', plugins: [{ name: 'other-plugin' }] }, 'migrate')).toThrow(InvalidMappingConfigError);
+    });
+});
+
+
+describe('listReferencedColumns', () => {
+    it('should list unique columns referenced directly and in templates', () => {
+        const columns = listReferencedColumns({
+            file           : 'Path',
+            public_id      : { template: '{{ Brand }}/{{SKU}}' },
+            mapped_options : { folder: { value: 'products' } },
+            tags           : ['Tags', { column: 'Brand' }],
+            context        : { caption: { column: 'Caption', default: 'n/a' } },
+        });
+        expect(columns.sort()).toEqual(['Brand', 'Caption', 'Path', 'SKU', 'Tags']);
+    });
+});
+
+
+describe('createInput2ApiPayload', () => {
+    it('should produce payload as per the mapping config', async () => {
+        const input2ApiPayload_Async = createInput2ApiPayload({
+            file: 'Path',
+            public_id: { template: '{{Brand}}/{{SKU}}' },
+            options: { overwrite: false, resource_type: 'auto' },
+            mapped_options: { asset_folder: { template: 'brands/{{Brand}}' } },
+            tags: ['Tags', { value: 'migrated' }],
+            context: { caption: 'Caption', alt: { column: 'Caption', default: 'n/a' } },
+            metadata: { sku: 'SKU' },
+        });
+
+        const { payload, plugins_trace } = await input2ApiPayload_Async(INPUT_REC);
+
+        expect(payload).toEqual({
+            file: 'https://example.com/image.jpg',
+            publicId: 'Acme/12345',
+            options: {
+                overwrite: false,
+                resource_type: 'auto',
+                asset_folder: 'brands/Acme',
+                public_id: 'Acme/12345',
+                tags: ['red', 'blue', 'migrated'],
+                context: { alt: 'n/a' },
+                metadata: { sku: '12345' },
+            }
+        });
+        expect(plugins_trace).toEqual([]);
+    });
+
+    it('should apply plugins in the listed order', async () => {
+        const calls = [];
+        pluginManager.getPlugin.mockImplementation((name) => ({
+            process_Async: async (options, inputRec, pluginOptions) => {
+                calls.push(name);
+                options.metadata = { ...options.metadata, [name]: pluginOptions.value };
+                return `${name} trace`;
+            }
+        }));
+
+        const input2ApiPayload_Async = createInput2ApiPayload({
+            public_id: 'SKU',
+            plugins: [
+                { name: 'plugin-b', options: { value: 'b' } },
+                { name: 'plugin-a', options: { value: 'a' } },
+            ],
+        });
+
+        const { payload, plugins_trace } = await input2ApiPayload_Async(INPUT_REC);
+
+        expect(calls).toEqual(['plugin-b', 'plugin-a']);
+        expect(payload.options.metadata).toEqual({ 'plugin-b': 'b', 'plugin-a': 'a' });
+        expect(plugins_trace).toEqual([
+            { name: 'plugin-b', trace: 'plugin-b trace' },
+            { name: 'plugin-a', trace: 'plugin-a trace' },
+        ]);
+    });
+});
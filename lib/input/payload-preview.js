@@ -0,0 +1,99 @@
+/**
+ * @fileoverview This module implements the preview of the payloads to be produced for the input file.
+ * The preview is included into the operation parameters to be confirmed before the bulk operation starts
+ * (so that problems such as a wrong column name are spotted before any asset is processed).
+ */
+
+const resumeHelpers = require('./resume-helpers');
+const rowSelectionHelpers = require('./row-selection');
+
+const DEFAULT_PREVIEW_ROWS = 3;
+
+// Options with the most impact on the outcome of the bulk operation
+const EFFECTIVE_OPTIONS = ['overwrite', 'resource_type'];
+
+// Reported for the options not set in the payload (Cloudinary API default applies)
+const OPTION_NOT_SET = '(not set)';
+
+
+/**
+ * Produces the preview of the input records to be processed.
+ * Payloads are only built for the first records to be processed (`sampleSize`), the rest of the records are only counted.
+ * With `fullScan` payloads are built for all the records to be processed (plugins are applied to each of them,
+ * so this may take as long as a dry run).
+ *
+ * @param {AsyncGenerator<Object>} inputRecordGeneratorAsync - Generator of the input records.
+ * @param {function} input2Payload_Async - Function to convert input record to payload.
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize] - Number of the sample payloads (and payload errors) to include.
+ * @param {boolean} [options.fullScan] - Build payloads for all the records to be processed (not only for the samples).
+ * @param {Set<string>} [options.skipRowKeys] - Keys of the rows to be skipped (for example, when resuming).
+ * @param {string} [options.rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @param {Object|null} [options.rowSelection] - Rows not selected are not processed (see `rowSelectionHelpers.resolveRowSelection`).
+ * @returns {Promise<Object>} - The preview: `total_rows`, `rows_to_process`, `payloads_built` (number of the rows
+ *                              the payloads were built for), `payload_errors`, `sample_payloads`, `sample_payload_errors`
+ *                              and `effective_options` (count of the rows for each value of the options in EFFECTIVE_OPTIONS).
+ *                              Payload errors and effective options are counted for the rows the payloads were built for.
+ */
+async function buildPayloadPreview_Async(inputRecordGeneratorAsync, input2Payload_Async, options = {}) {
+    const sampleSize = options.sampleSize || DEFAULT_PREVIEW_ROWS;
+    const skipRowKeys = options.skipRowKeys || new Set();
+    const rowSelector = rowSelectionHelpers.createRowSelector(options.rowSelection || null);
+
+    const preview = {
+        total_rows            : 0,
+        rows_to_process       : 0,
+        payloads_built        : 0,
+        payload_errors        : 0,
+        sample_payloads       : [],
+        sample_payload_errors : [],
+        effective_options     : Object.fromEntries(EFFECTIVE_OPTIONS.map(optionName => [optionName, {}])),
+    };
+
+    let row = 0;
+    for await (const input of inputRecordGeneratorAsync) {
+        row += 1;
+        preview.total_rows += 1;
+        // Reading on (rather than stopping past the last selected row) to report the total
+        if (rowSelector.select(row, input) !== rowSelectionHelpers.ROW_SELECTION.SELECTED) {
+            continue;
+        }
+        if (skipRowKeys.has(resumeHelpers.getRowKey(row, input, options.rowKeyColumn))) {
+            continue;
+        }
+        preview.rows_to_process += 1;
+        // Rest of the rows are only counted (building payloads may involve plugins calling external APIs)
+        if (!options.fullScan && preview.payloads_built >= sampleSize) {
+            continue;
+        }
+        preview.payloads_built += 1;
+
+        let payload = null;
+        try {
+            ({ payload } = await input2Payload_Async(input));
+        } catch (err) {
+            preview.payload_errors += 1;
+            if (preview.sample_payload_errors.length < sampleSize) {
+                preview.sample_payload_errors.push({ row, input, err: err && err.message ? err.message : String(err) });
+            }
+            continue;
+        }
+
+        if (preview.sample_payloads.length < sampleSize) {
+            preview.sample_payloads.push({ row, input, payload });
+        }
+        const payloadOptions = (payload && payload.options) || {};
+        for (const optionName of EFFECTIVE_OPTIONS) {
+            const value = optionName in payloadOptions ? String(payloadOptions[optionName]) : OPTION_NOT_SET;
+            const valueCounts = preview.effective_options[optionName];
+            valueCounts[value] = (valueCounts[value] || 0) + 1;
+        }
+    }
+    return preview;
+}
+
+module.exports = {
+    buildPayloadPreview_Async,
+    DEFAULT_PREVIEW_ROWS,
+    OPTION_NOT_SET
+};
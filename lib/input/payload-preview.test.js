@@ -0,0 +1,83 @@
+const { buildPayloadPreview_Async, OPTION_NOT_SET } = require('./payload-preview');
+
+
+// Produces async generator yielding the provided input records
+async function* yieldInputRecords(inputRecs) {
+    for (const inputRec of inputRecs) {
+        yield inputRec;
+    }
+}
+
+// Mimics the `input2ApiPayload_Async` function: fails for the records with no `Url` column
+async function input2Payload_Async(inputRec) {
+    if (!inputRec.Url) {
+        throw new Error('Url is not set');
+    }
+    const options = { public_id: inputRec.Id };
+    if (inputRec.Type) {
+        options.resource_type = inputRec.Type;
+    }
+    return { payload: { file: inputRec.Url, options }, plugins_trace: [] };
+}
+
+const INPUT_RECS = [
+    { Id: '1', Url: 'https://example.com/1.jpg' },
+    { Id: '2', Url: 'https://example.com/2.mp4', Type: 'video' },
+    { Id: '3' },
+    { Id: '4', Url: 'https://example.com/4.jpg' },
+];
+
+
+describe('buildPayloadPreview_Async', () => {
+    it('should build payloads for the sample rows only and count the rest of the rows', async () => {
+        const input2PayloadSpy_Async = jest.fn(input2Payload_Async);
+        const preview = await buildPayloadPreview_Async(yieldInputRecords(INPUT_RECS), input2PayloadSpy_Async, { sampleSize: 2 });
+
+        expect(input2PayloadSpy_Async).toHaveBeenCalledTimes(2);
+        expect(preview.total_rows).toEqual(4);
+        expect(preview.rows_to_process).toEqual(4);
+        expect(preview.payloads_built).toEqual(2);
+        expect(preview.payload_errors).toEqual(0);
+        expect(preview.sample_payloads.map(sample => sample.row)).toEqual([1, 2]);
+        expect(preview.sample_payload_errors).toEqual([]);
+    });
+
+    it('should count rows and payload errors and include samples with full scan', async () => {
+        const preview = await buildPayloadPreview_Async(yieldInputRecords(INPUT_RECS), input2Payload_Async, { sampleSize: 2, fullScan: true });
+
+        expect(preview.total_rows).toEqual(4);
+        expect(preview.rows_to_process).toEqual(4);
+        expect(preview.payloads_built).toEqual(4);
+        expect(preview.payload_errors).toEqual(1);
+        expect(preview.sample_payloads.map(sample => sample.row)).toEqual([1, 2]);
+        expect(preview.sample_payload_errors).toEqual([{ row: 3, input: { Id: '3' }, err: 'Url is not set' }]);
+    });
+
+    it('should count rows for each value of the effective options', async () => {
+        const preview = await buildPayloadPreview_Async(yieldInputRecords(INPUT_RECS), input2Payload_Async, { fullScan: true });
+
+        expect(preview.effective_options).toEqual({
+            overwrite     : { [OPTION_NOT_SET]: 3 },
+            resource_type : { [OPTION_NOT_SET]: 2, video: 1 },
+        });
+    });
+
+    it('should not process the rows to be skipped', async () => {
+        const preview = await buildPayloadPreview_Async(yieldInputRecords(INPUT_RECS), input2Payload_Async, { skipRowKeys: new Set(['1', '3']) });
+
+        expect(preview.total_rows).toEqual(4);
+        expect(preview.rows_to_process).toEqual(2);
+        expect(preview.payload_errors).toEqual(0);
+        expect(preview.sample_payloads.map(sample => sample.row)).toEqual([2, 4]);
+    });
+
+    it('should not process the rows not selected', async () => {
+        const rowSelection = { start_row: 2, end_row: null, limit: 2, where: [] };
+        const preview = await buildPayloadPreview_Async(yieldInputRecords(INPUT_RECS), input2Payload_Async, { rowSelection });
+
+        expect(preview.total_rows).toEqual(4);
+        expect(preview.rows_to_process).toEqual(2);
+        expect(preview.payload_errors).toEqual(1);
+        expect(preview.sample_payloads.map(sample => sample.row)).toEqual([2]);
+    });
+});
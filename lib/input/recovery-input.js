@@ -0,0 +1,121 @@
+/**
+ * @fileoverview This module implements producing input for a "recovery" run from the log file of the previous (parent) run:
+ * input records of the rows that did not succeed are written to a new CSV file (with the same columns as the parent run input)
+ * or to a new JSON Lines file (when the parent run input is JSON, so that nested values are retained).
+ */
+
+const fs = require('node:fs');
+const {pipeline} = require('node:stream/promises');
+const {Readable} = require('node:stream');
+const {stringify} = require('csv-stringify');
+const logFileReader = require('./log-file-reader');
+const resumeHelpers = require('./resume-helpers');
+const apiErrors = require('../payload/api-errors');
+
+// Statuses of the rows to be re-attempted by default
+const DEFAULT_RECOVERY_STATUSES = ['FAILED', 'NOT_ATTEMPTED'];
+
+
+/**
+ * Resolves details of the parent run from its log file.
+ *
+ * @param {string} logFilePath - Path to the log file of the parent run.
+ * @returns {Promise<Object|null>} - `operation`, `parameters` and `dest_cloud` of the parent run (null if not found in the log file).
+ */
+async function resolveParentRun_Async(logFilePath) {
+    for await (const logRec of logFileReader.getLogRecordGenerator_Async(logFilePath)) {
+        if (logRec.flow === 'script' && logRec.operation) {
+            return {
+                operation  : logRec.operation,
+                parameters : logRec.parameters || {},
+                dest_cloud : logRec.dest_cloud,
+            };
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Resolves the error message from the `summary.err` of the `payload` log record.
+ *
+ * @param {Object|string|null} err - The error as persisted in the log file.
+ * @returns {string} - The error message (empty string if not reported).
+ */
+function getLoggedErrorMessage(err) {
+    if (typeof err === 'string') {
+        return err;
+    }
+    return apiErrors.getMessage(err);
+}
+
+
+/**
+ * Collects input records of the rows to be re-attempted.
+ * Only the latest `payload` record of each row is considered (the parent run may have been resumed).
+ *
+ * @param {string} logFilePath - Path to the log file of the parent run.
+ * @param {Object} [options]
+ * @param {string[]} [options.statuses] - Statuses of the rows to re-attempt.
+ * @param {string} [options.errorPattern] - Only re-attempt rows with error message matching this regular expression.
+ * @param {string} [options.rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @returns {Promise<Object[]>} - The input records (in order of appearance in the log file).
+ */
+async function collectRecoveryInputRecords_Async(logFilePath, options = {}) {
+    const statuses = options.statuses || DEFAULT_RECOVERY_STATUSES;
+    const errorRegex = options.errorPattern ? new RegExp(options.errorPattern, 'i') : null;
+
+    const rowKey2InputRec = new Map();
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath)) {
+        const rowKey = resumeHelpers.getRowKey(logRec.row, logRec.input, options.rowKeyColumn);
+        const isRecoverable = statuses.includes(logRec.summary.status) &&
+            (!errorRegex || errorRegex.test(getLoggedErrorMessage(logRec.summary.err)));
+        // Later record for the same row supersedes the earlier one
+        rowKey2InputRec.delete(rowKey);
+        if (isRecoverable) {
+            rowKey2InputRec.set(rowKey, logRec.input);
+        }
+    }
+    return [...rowKey2InputRec.values()];
+}
+
+
+/**
+ * Writes the input records to the CSV file.
+ *
+ * @param {Object[]} inputRecs - The input records.
+ * @param {string} csvFilePath - Path to the CSV file to write.
+ * @returns {Promise<void>} - Resolves once the file is completely written.
+ */
+async function writeInputCsvFile_Async(inputRecs, csvFilePath) {
+    await pipeline(
+        Readable.from(inputRecs),
+        stringify({ header: true }),
+        fs.createWriteStream(csvFilePath)
+    );
+}
+
+
+/**
+ * Writes the input records to the JSON Lines file.
+ *
+ * @param {Object[]} inputRecs - The input records.
+ * @param {string} jsonlFilePath - Path to the JSON Lines file to write.
+ * @returns {Promise<void>} - Resolves once the file is completely written.
+ */
+async function writeInputJsonlFile_Async(inputRecs, jsonlFilePath) {
+    await pipeline(
+        Readable.from(inputRecs.map(inputRec => `${JSON.stringify(inputRec)}\n`)),
+        fs.createWriteStream(jsonlFilePath)
+    );
+}
+
+
+module.exports = {
+    resolveParentRun_Async,
+    getLoggedErrorMessage,
+    collectRecoveryInputRecords_Async,
+    writeInputCsvFile_Async,
+    writeInputJsonlFile_Async,
+    DEFAULT_RECOVERY_STATUSES
+};
@@ -0,0 +1,95 @@
+const logFileReader = require('./log-file-reader');
+const {
+    resolveParentRun_Async,
+    getLoggedErrorMessage,
+    collectRecoveryInputRecords_Async
+} = require('./recovery-input');
+
+jest.mock('./log-file-reader', () => ({
+    getLogRecordGenerator_Async: jest.fn(),
+    getPayloadRecordGenerator_Async: jest.fn(),
+}));
+
+
+// Produces async generator yielding the provided log records
+function mockRecords(generatorFn, logRecs) {
+    generatorFn.mockImplementation(async function* () {
+        for (const logRec of logRecs) {
+            yield logRec;
+        }
+    });
+}
+
+
+describe('resolveParentRun_Async', () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it('should resolve operation and parameters from the first script record defining them', async () => {
+        mockRecords(logFileReader.getLogRecordGenerator_Async, [
+            { flow: 'plugins', msg: 'Plugin loaded' },
+            { flow: 'script', operation: 'update', dest_cloud: 'demo', parameters: { mappingFile: 'mapping.yaml' } },
+            { flow: 'script', operation: 'migrate' },
+        ]);
+        await expect(resolveParentRun_Async('log.jsonl')).resolves.toEqual({
+            operation  : 'update',
+            parameters : { mappingFile: 'mapping.yaml' },
+            dest_cloud : 'demo',
+        });
+    });
+
+    it('should resolve to null if the operation is not logged', async () => {
+        mockRecords(logFileReader.getLogRecordGenerator_Async, [{ flow: 'script', msg: 'Cloudinary config is not initialized' }]);
+        await expect(resolveParentRun_Async('log.jsonl')).resolves.toBeNull();
+    });
+});
+
+
+describe('getLoggedErrorMessage', () => {
+    test.each([
+        ['Not attempted', 'Not attempted'],
+        [{ message: 'Resource not found', http_code: 404 }, 'Resource not found'],
+        [{ error: { message: 'Request Timeout', http_code: 499 } }, 'Request Timeout'],
+        [null, ''],
+    ])('should resolve message for %j', (err, expected) => {
+        expect(getLoggedErrorMessage(err)).toEqual(expected);
+    });
+});
+
+
+describe('collectRecoveryInputRecords_Async', () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    const logRecs = [
+        { row: 1, input: { sku: 'A-1' }, summary: { status: 'MIGRATED', err: null } },
+        { row: 2, input: { sku: 'A-2' }, summary: { status: 'FAILED', err: { message: 'Error in loading https://example.com/a2.jpg - 404' } } },
+        { row: 3, input: { sku: 'A-3' }, summary: { status: 'FAILED', err: { message: 'Invalid image file' } } },
+        { row: 4, input: { sku: 'A-4' }, summary: { status: 'NOT_ATTEMPTED', err: 'Not attempted: 2 operations failed' } },
+        { row: 5, input: { sku: 'A-5' }, summary: { status: 'NOT_FOUND', err: { message: 'Resource not found' } } },
+    ];
+
+    it('should collect input records of FAILED and NOT_ATTEMPTED rows by default', async () => {
+        mockRecords(logFileReader.getPayloadRecordGenerator_Async, logRecs);
+        const inputRecs = await collectRecoveryInputRecords_Async('log.jsonl');
+        expect(inputRecs).toEqual([{ sku: 'A-2' }, { sku: 'A-3' }, { sku: 'A-4' }]);
+    });
+
+    it('should only collect rows with provided statuses and error matching the pattern', async () => {
+        mockRecords(logFileReader.getPayloadRecordGenerator_Async, logRecs);
+        const inputRecs = await collectRecoveryInputRecords_Async('log.jsonl', { statuses: ['FAILED'], errorPattern: 'error in loading' });
+        expect(inputRecs).toEqual([{ sku: 'A-2' }]);
+    });
+
+    it('should only consider the latest record of each row', async () => {
+        mockRecords(logFileReader.getPayloadRecordGenerator_Async, [
+            ...logRecs,
+            { row: 2, input: { sku: 'A-2' }, summary: { status: 'MIGRATED', err: null } },
+            { row: 1, input: { sku: 'A-1' }, summary: { status: 'FAILED', err: { message: 'Server broke connection' } } },
+        ]);
+        const inputRecs = await collectRecoveryInputRecords_Async('log.jsonl', { rowKeyColumn: 'sku' });
+        expect(inputRecs).toEqual([{ sku: 'A-3' }, { sku: 'A-4' }, { sku: 'A-1' }]);
+    });
+});
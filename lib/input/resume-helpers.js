@@ -0,0 +1,90 @@
+/**
+ * @fileoverview This module encapsulates the logic to resume an interrupted operation from the existing log file.
+ *
+ * Each input row is identified either by its number in the input file (default)
+ * or by the value of a key column (when input rows may be re-ordered between runs).
+ */
+
+const logFileReader = require('./log-file-reader');
+
+/**
+ * Custom error class representing the input row with no value in the row key column
+ * (for example, when the column name is misspelled).
+ *
+ * @class InvalidRowKeyError
+ * @extends {Error}
+ */
+class InvalidRowKeyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidRowKeyError';
+    }
+}
+
+
+/**
+ * Resolves the identity of an input row.
+ *
+ * @param {number} rowNumber - The 1-based number of the row in the input file (header excluded).
+ * @param {Object} inputRec - The input record.
+ * @param {string} [rowKeyColumn] - The input column uniquely identifying each row.
+ * @returns {string} - The row key.
+ * @throws {InvalidRowKeyError} - If the row has no value in the row key column.
+ */
+function getRowKey(rowNumber, inputRec, rowKeyColumn) {
+    if (rowKeyColumn) {
+        const rowKey = inputRec ? inputRec[rowKeyColumn] : undefined;
+        if (rowKey === undefined || rowKey === null || String(rowKey).trim() === '') {
+            throw new InvalidRowKeyError(`Row ${rowNumber} has no value in the row key column '${rowKeyColumn}'`);
+        }
+        return String(rowKey);
+    }
+    return String(rowNumber);
+}
+
+/**
+ * Ensures the row key column is present in the input file and each input row has a value in it,
+ * so that the rows are not resolved to the same key (and skipped or merged in the report) when the column is misspelled.
+ *
+ * @async
+ * @param {AsyncGenerator<Object>} inputRecordGeneratorAsync - Generator of the input records.
+ * @param {string} rowKeyColumn - The input column uniquely identifying each row.
+ * @throws {InvalidRowKeyError} - If the column is not found in the input file or any row has no value in it.
+ */
+async function ensureRowKeys_Async(inputRecordGeneratorAsync, rowKeyColumn) {
+    let rowNumber = 0;
+    for await (const inputRec of inputRecordGeneratorAsync) {
+        rowNumber += 1;
+        // Header of the CSV file (or the first JSON record)
+        if (rowNumber === 1 && !Object.keys(inputRec).includes(rowKeyColumn)) {
+            throw new InvalidRowKeyError(`Row key column '${rowKeyColumn}' is not found in the input file (columns: ${Object.keys(inputRec).join(', ')})`);
+        }
+        getRowKey(rowNumber, inputRec, rowKeyColumn);
+    }
+}
+
+/**
+ * Reads the `payload` records from the log file and collects keys of the rows that have already succeeded.
+ *
+ * @async
+ * @param {string} logFilePath - Path to the log file of the operation to be resumed.
+ * @param {string} succeededStatus - The status reported for the rows that succeeded (e.g. 'MIGRATED').
+ * @param {string} [rowKeyColumn] - The input column uniquely identifying each row.
+ * @returns {Promise<Set<string>>} - Keys of the rows that do not need to be processed again.
+ */
+async function loadSucceededRowKeys_Async(logFilePath, succeededStatus, rowKeyColumn) {
+    const succeededRowKeys = new Set();
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath)) {
+        if (logRec.summary && logRec.summary.status === succeededStatus) {
+            succeededRowKeys.add(getRowKey(logRec.row, logRec.input, rowKeyColumn));
+        }
+    }
+    return succeededRowKeys;
+}
+
+module.exports = {
+    getRowKey,
+    ensureRowKeys_Async,
+    loadSucceededRowKeys_Async,
+    InvalidRowKeyError
+};
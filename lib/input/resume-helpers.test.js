@@ -0,0 +1,84 @@
+const logFileReader = require('./log-file-reader');
+const { getRowKey, ensureRowKeys_Async, loadSucceededRowKeys_Async, InvalidRowKeyError } = require('./resume-helpers');
+
+jest.mock('./log-file-reader', () => ({
+    getPayloadRecordGenerator_Async: jest.fn(),
+}));
+
+
+// Produces async generator yielding the provided log records
+function mockPayloadRecords(logRecs) {
+    logFileReader.getPayloadRecordGenerator_Async.mockImplementation(async function* () {
+        for (const logRec of logRecs) {
+            yield logRec;
+        }
+    });
+}
+
+
+describe('getRowKey', () => {
+    it('should use row number when key column is not provided', () => {
+        expect(getRowKey(42, { sku: 'A-1' })).toEqual('42');
+    });
+
+    it('should use key column value when key column is provided', () => {
+        expect(getRowKey(42, { sku: 'A-1' }, 'sku')).toEqual('A-1');
+    });
+
+    it('should fail when the row has no value in the key column', () => {
+        expect(() => getRowKey(42, { sku: 'A-1' }, 'SKU')).toThrow(InvalidRowKeyError);
+        expect(() => getRowKey(42, { sku: ' ' }, 'sku')).toThrow("Row 42 has no value in the row key column 'sku'");
+    });
+});
+
+
+describe('ensureRowKeys_Async', () => {
+    async function* yieldRecords(inputRecs) {
+        yield* inputRecs;
+    }
+
+    it('should pass when each row has a value in the key column', async () => {
+        await expect(ensureRowKeys_Async(yieldRecords([{ sku: 'A-1' }, { sku: 'A-2' }]), 'sku')).resolves.toBeUndefined();
+    });
+
+    it('should fail when the key column is misspelled', async () => {
+        await expect(ensureRowKeys_Async(yieldRecords([{ sku: 'A-1', url: 'a.jpg' }]), 'SKU'))
+            .rejects.toThrow("Row key column 'SKU' is not found in the input file (columns: sku, url)");
+    });
+
+    it('should fail when any row has an empty key', async () => {
+        await expect(ensureRowKeys_Async(yieldRecords([{ sku: 'A-1' }, { sku: '' }]), 'sku'))
+            .rejects.toThrow("Row 2 has no value in the row key column 'sku'");
+    });
+});
+
+
+describe('loadSucceededRowKeys_Async', () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    const logRecs = [
+        { flow: 'payload', row: 1, input: { sku: 'A-1' }, summary: { status: 'MIGRATED' } },
+        { flow: 'payload', row: 2, input: { sku: 'A-2' }, summary: { status: 'FAILED' } },
+        { flow: 'payload', row: 3, input: { sku: 'A-3' }, summary: { status: 'MIGRATED' } },
+    ];
+
+    it('should collect row numbers for succeeded rows', async () => {
+        mockPayloadRecords(logRecs);
+        const rowKeys = await loadSucceededRowKeys_Async('log.jsonl', 'MIGRATED');
+        expect([...rowKeys]).toEqual(['1', '3']);
+    });
+
+    it('should collect key column values for succeeded rows', async () => {
+        mockPayloadRecords(logRecs);
+        const rowKeys = await loadSucceededRowKeys_Async('log.jsonl', 'MIGRATED', 'sku');
+        expect([...rowKeys]).toEqual(['A-1', 'A-3']);
+    });
+
+    it('should only consider the provided succeeded status', async () => {
+        mockPayloadRecords(logRecs);
+        const rowKeys = await loadSucceededRowKeys_Async('log.jsonl', 'UPDATED');
+        expect(rowKeys.size).toEqual(0);
+    });
+});
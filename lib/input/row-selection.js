@@ -0,0 +1,210 @@
+/**
+ * @fileoverview This module implements selection of the input rows to process (for partial runs):
+ *  - row range (`--start-row` and `--end-row`, 1-based row numbers with the header excluded)
+ *  - max number of the selected rows (`--limit`)
+ *  - conditions the rows must satisfy (`--where`, all of them must be satisfied):
+ *      - `Column==value` (equals) or `Column!=value` (does not equal)
+ *      - `Column~=regex` (matches regular expression)
+ *      - path to a JS module exporting predicate function `(input, row) => boolean`
+ *
+ * Rows keep their numbers in the input file regardless of the selection
+ * (so that the log and the report refer to the same rows as the input file does).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Outcome of the row selection
+ * @readonly
+ * @enum {string}
+ */
+const ROW_SELECTION = {
+    SELECTED     : 'SELECTED',
+    NOT_SELECTED : 'NOT_SELECTED',
+    PAST_END     : 'PAST_END',      // neither this row nor any of the following ones is selected
+};
+
+
+/**
+ * Parses `--where` expression into a condition.
+ *
+ * @param {string} expression - The expression (for example 'Brand==Acme', 'Url~=\.png$' or './filters/in-stock.js').
+ * @returns {Object} - The condition: `column`, `operator` and `value` (or `module` with the absolute path to the predicate module).
+ * @throws {Error} - If the expression is not valid (or the predicate module does not export a function).
+ */
+function parseWhereExpression(expression) {
+    const operatorMatch = expression.match(/^(.*?)(==|!=|~=)(.*)$/s);
+    if (!operatorMatch) {
+        return { module: _loadPredicateModule(expression).modulePath };
+    }
+    const column = operatorMatch[1].trim();
+    const operator = operatorMatch[2];
+    const value = operatorMatch[3].trim();
+    if (column.length === 0) {
+        throw new Error(`Column name is missing (expected 'Column${operator}value')`);
+    }
+    if (operator === '~=') {
+        try {
+            new RegExp(value);
+        } catch (err) {
+            throw new Error(`Must be a valid regular expression (${err.message})`);
+        }
+    }
+    return { column, operator, value };
+}
+
+
+/**
+ * Loads the predicate module used as the `--where` condition.
+ *
+ * @param {string} modulePath - Path to the module (relative to the current working directory).
+ * @returns {Object} - `modulePath` (absolute) and `predicate` function.
+ * @throws {Error} - If the module does not exist or does not export a function.
+ */
+function _loadPredicateModule(modulePath) {
+    const absolutePath = path.resolve(modulePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Expected 'Column==value', 'Column!=value', 'Column~=regex' or path to a predicate module (file ${absolutePath} does not exist)`);
+    }
+    const predicate = require(absolutePath);
+    if (typeof predicate !== 'function') {
+        throw new Error(`Predicate module ${absolutePath} must export a function (input, row) => boolean`);
+    }
+    return { modulePath: absolutePath, predicate };
+}
+
+
+/**
+ * Resolves the row selection from the CLI arguments.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @returns {Object|null} - The row selection: `start_row`, `end_row`, `limit` (null when not set) and `where` conditions
+ *                          (see `parseWhereExpression`). Null if all the rows are selected.
+ */
+function resolveRowSelection(cliArgs) {
+    const rowSelection = {
+        start_row : cliArgs.startRow || null,
+        end_row   : cliArgs.endRow   || null,
+        limit     : cliArgs.limit    || null,
+        where     : cliArgs.where    || [],
+    };
+    const isAnySet = rowSelection.start_row || rowSelection.end_row || rowSelection.limit || rowSelection.where.length > 0;
+    return isAnySet ? rowSelection : null;
+}
+
+
+/**
+ * Resolves the input column value. Nested fields of JSON input can be referred to with dotted path
+ * (same as the column names in the report, for example 'metadata.brand').
+ *
+ * @param {Object} input - The input record.
+ * @param {string} column - The column name.
+ * @returns {string} - The value as string (empty string if not set).
+ */
+function _getColumnValue(input, column) {
+    const value = column in input
+        ? input[column]
+        : column.split('.').reduce((nested, key) => (nested !== null && typeof nested === 'object' ? nested[key] : undefined), input);
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+
+/**
+ * Creates the predicate function for the condition.
+ *
+ * @param {Object} condition - The condition (see `parseWhereExpression`).
+ * @returns {function(Object, number): boolean} - The predicate for the input record and its row number.
+ */
+function _createPredicate(condition) {
+    if (condition.module) {
+        const { predicate } = _loadPredicateModule(condition.module);
+        return (input, row) => Boolean(predicate(input, row));
+    }
+    switch (condition.operator) {
+        case '==':
+            return input => _getColumnValue(input, condition.column) === condition.value;
+        case '!=':
+            return input => _getColumnValue(input, condition.column) !== condition.value;
+        default: {
+            const regex = new RegExp(condition.value);
+            return input => regex.test(_getColumnValue(input, condition.column));
+        }
+    }
+}
+
+
+/**
+ * Creates row selector applying the row selection to the input rows (in the order they are read).
+ *
+ * @param {Object|null} rowSelection - The row selection (see `resolveRowSelection`), null to select all the rows.
+ * @returns {Object} - The row selector exposing `select(row, input)` returning ROW_SELECTION value.
+ */
+function createRowSelector(rowSelection) {
+    const predicates = rowSelection ? rowSelection.where.map(_createPredicate) : [];
+    let selectedCount = 0;
+
+    /**
+     * Decides whether the row is selected.
+     *
+     * @param {number} row - The row number (1-based, header excluded).
+     * @param {Object} input - The input record.
+     * @returns {string} - ROW_SELECTION value.
+     */
+    function select(row, input) {
+        if (!rowSelection) {
+            return ROW_SELECTION.SELECTED;
+        }
+        if ((rowSelection.end_row && row > rowSelection.end_row)
+            || (rowSelection.limit && selectedCount >= rowSelection.limit)) {
+            return ROW_SELECTION.PAST_END;
+        }
+        if (rowSelection.start_row && row < rowSelection.start_row) {
+            return ROW_SELECTION.NOT_SELECTED;
+        }
+        if (!predicates.every(predicate => predicate(input, row))) {
+            return ROW_SELECTION.NOT_SELECTED;
+        }
+        selectedCount += 1;
+        return ROW_SELECTION.SELECTED;
+    }
+
+    return { select };
+}
+
+
+/**
+ * Numbers the input records and yields the selected ones.
+ * Stops reading the input once no more rows can be selected.
+ *
+ * @async
+ * @generator
+ * @param {AsyncGenerator<Object>} inputRecordGeneratorAsync - Generator of the input records.
+ * @param {Object|null} rowSelection - The row selection (see `resolveRowSelection`), null to select all the rows.
+ * @yields {Object} - `row` (1-based row number in the input file, header excluded) and `input` (the input record)
+ */
+async function* selectRecords_Async(inputRecordGeneratorAsync, rowSelection) {
+    const rowSelector = createRowSelector(rowSelection);
+    let row = 0;
+    for await (const input of inputRecordGeneratorAsync) {
+        row += 1;
+        const selection = rowSelector.select(row, input);
+        if (selection === ROW_SELECTION.PAST_END) {
+            return;
+        }
+        if (selection === ROW_SELECTION.SELECTED) {
+            yield { row, input };
+        }
+    }
+}
+
+module.exports = {
+    parseWhereExpression,
+    resolveRowSelection,
+    createRowSelector,
+    selectRecords_Async,
+    ROW_SELECTION
+};
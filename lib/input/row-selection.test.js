@@ -0,0 +1,160 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    parseWhereExpression,
+    resolveRowSelection,
+    createRowSelector,
+    selectRecords_Async,
+    ROW_SELECTION
+} = require('./row-selection');
+
+
+let tmpFolder = null;
+
+// Writes the predicate module with the provided source code
+function createPredicateModule(source) {
+    const modulePath = path.join(tmpFolder, 'predicate.js');
+    fs.writeFileSync(modulePath, source);
+    return modulePath;
+}
+
+// Yields the provided records
+async function* generateRecords(records) {
+    for (const record of records) {
+        yield record;
+    }
+}
+
+// Collects all the records yielded by the generator
+async function collect(recordGenerator) {
+    const records = [];
+    for await (const record of recordGenerator) {
+        records.push(record);
+    }
+    return records;
+}
+
+// Resolves the row selection with the conditions parsed from the expressions
+function selection(options, ...whereExpressions) {
+    return resolveRowSelection({ ...options, where: whereExpressions.map(parseWhereExpression) });
+}
+
+const RECORDS = [
+    { sku: 'A', brand: 'Acme', url: 'https://example.com/a.png' },
+    { sku: 'B', brand: 'Other', url: 'https://example.com/b.jpg' },
+    { sku: 'C', brand: 'Acme', url: 'https://example.com/c.jpg' },
+    { sku: 'D', brand: 'Acme', url: 'https://example.com/d.png' },
+    { sku: 'E', brand: 'Other', url: 'https://example.com/e.png' },
+];
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-row-selection-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('parseWhereExpression', () => {
+    it.each([
+        ['Brand==Acme', { column: 'Brand', operator: '==', value: 'Acme' }],
+        [' Product Line != Shoes ', { column: 'Product Line', operator: '!=', value: 'Shoes' }],
+        ['Url~=\\.png$', { column: 'Url', operator: '~=', value: '\\.png$' }],
+        ['Tag==', { column: 'Tag', operator: '==', value: '' }],
+        ['Formula==a==b', { column: 'Formula', operator: '==', value: 'a==b' }],
+    ])('should parse %s', (expression, expected) => {
+        expect(parseWhereExpression(expression)).toEqual(expected);
+    });
+
+    it('should resolve the predicate module', () => {
+        const modulePath = createPredicateModule('module.exports = (input) => true;');
+        expect(parseWhereExpression(modulePath)).toEqual({ module: modulePath });
+    });
+
+    it.each(['==Acme', 'Url~=(', 'no-such-predicate.js'])('should throw error for "%s"', (expression) => {
+        expect(() => parseWhereExpression(expression)).toThrow();
+    });
+
+    it('should throw error for the module not exporting a function', () => {
+        const modulePath = createPredicateModule('module.exports = { where: true };');
+        expect(() => parseWhereExpression(modulePath)).toThrow('must export a function');
+    });
+});
+
+
+describe('resolveRowSelection', () => {
+    it('should select all the rows unless configured otherwise', () => {
+        expect(resolveRowSelection({})).toBeNull();
+    });
+
+    it('should resolve the configured selection', () => {
+        expect(resolveRowSelection({ startRow: 10, limit: 5 })).toEqual({ start_row: 10, end_row: null, limit: 5, where: [] });
+    });
+});
+
+
+describe('createRowSelector', () => {
+    it('should select all the rows when there is no selection', () => {
+        const rowSelector = createRowSelector(null);
+        expect(RECORDS.map((input, index) => rowSelector.select(index + 1, input))).toEqual(RECORDS.map(() => ROW_SELECTION.SELECTED));
+    });
+
+    it('should report the rows after the end row as past the end', () => {
+        const rowSelector = createRowSelector(selection({ startRow: 2, endRow: 3 }));
+        expect(RECORDS.map((input, index) => rowSelector.select(index + 1, input))).toEqual([
+            ROW_SELECTION.NOT_SELECTED,
+            ROW_SELECTION.SELECTED,
+            ROW_SELECTION.SELECTED,
+            ROW_SELECTION.PAST_END,
+            ROW_SELECTION.PAST_END,
+        ]);
+    });
+});
+
+
+describe('selectRecords_Async', () => {
+    it('should keep the row numbers of the input file', async () => {
+        const rowSelection = selection({ startRow: 2 }, 'brand==Acme');
+        await expect(collect(selectRecords_Async(generateRecords(RECORDS), rowSelection))).resolves.toEqual([
+            { row: 3, input: RECORDS[2] },
+            { row: 4, input: RECORDS[3] },
+        ]);
+    });
+
+    it('should apply all the conditions', async () => {
+        const rowSelection = selection({}, 'brand!=Other', 'url~=\\.png$');
+        const selected = await collect(selectRecords_Async(generateRecords(RECORDS), rowSelection));
+        expect(selected.map(({ input }) => input.sku)).toEqual(['A', 'D']);
+    });
+
+    it('should stop reading the input once the limit is reached', async () => {
+        const read = [];
+        async function* trackRead() {
+            for (const record of RECORDS) {
+                read.push(record.sku);
+                yield record;
+            }
+        }
+        const selected = await collect(selectRecords_Async(trackRead(), selection({ limit: 2 }, 'url~=png')));
+        expect(selected.map(({ input }) => input.sku)).toEqual(['A', 'D']);
+        expect(read).toEqual(['A', 'B', 'C', 'D', 'E']);
+
+        read.length = 0;
+        await collect(selectRecords_Async(trackRead(), selection({ endRow: 2 })));
+        expect(read).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should apply the predicate module to the input and row number', async () => {
+        const modulePath = createPredicateModule('module.exports = (input, row) => input.brand === "Acme" && row > 1;');
+        const selected = await collect(selectRecords_Async(generateRecords(RECORDS), selection({}, modulePath)));
+        expect(selected.map(({ row }) => row)).toEqual([3, 4]);
+    });
+
+    it('should resolve nested fields by dotted path', async () => {
+        const records = [{ sku: 'A', metadata: { brand: 'Acme' } }, { sku: 'B', metadata: { brand: 'Other' } }];
+        const selected = await collect(selectRecords_Async(generateRecords(records), selection({}, 'metadata.brand==Acme')));
+        expect(selected.map(({ input }) => input.sku)).toEqual(['A']);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview This module encapsulates the logic to create a memory-efficient record generator for an Excel workbook (.xlsx).
+ * Rows of the chosen worksheet are streamed one at a time (the entire workbook is not loaded into memory).
+ *
+ * The first row of the worksheet is used as column names. Cell values are converted to strings
+ * (same as values read from CSV file), so that the input is handled the same way regardless of its format:
+ *  - text is retained as is (including leading zeros and Unicode characters)
+ *  - dates are converted to ISO strings (for example, '2024-03-01T00:00:00.000Z')
+ *  - formulas are replaced by their results, rich text and hyperlinks by their text
+ */
+
+const fs = require('node:fs');
+const ExcelJS = require('exceljs');
+const {InvalidInputFileError} = require('./json-file-reader');
+
+
+/**
+ * Custom error class representing worksheet that can not be found in the workbook
+ * (reported the same way as the input file that can not be parsed).
+ *
+ * @class WorksheetNotFoundError
+ * @extends {InvalidInputFileError}
+ */
+class WorksheetNotFoundError extends InvalidInputFileError {
+    constructor(message) {
+        super(message);
+        this.name = 'WorksheetNotFoundError';
+    }
+}
+
+
+/**
+ * Converts the cell value (as read by `exceljs`) to string.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string} - The cell value as string (empty string for empty and error cells).
+ */
+function cellValueToString(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) {
+            return value.richText.map(run => run.text).join('');
+        }
+        if ('formula' in value || 'sharedFormula' in value) {
+            return cellValueToString(value.result);
+        }
+        if ('text' in value) {
+            return cellValueToString(value.text);
+        }
+        // Error cells (for example, #N/A)
+        return '';
+    }
+    return String(value);
+}
+
+
+/**
+ * Asynchronously generates records from a worksheet of the Excel workbook.
+ * Rows with no values are skipped, columns with no name in the header row are ignored.
+ *
+ * @async
+ * @generator
+ * @param {string} xlsxFilePath - Path to the workbook file to read.
+ * @param {string} [sheetName] - Name of the worksheet to read (the first worksheet is read if not provided).
+ * @yields {Object} A single record from the worksheet, property names correspond to the header row values.
+ * @throws {WorksheetNotFoundError} - If the workbook does not contain the worksheet.
+ */
+async function* getRecordGenerator_Async(xlsxFilePath, sheetName) {
+    const fileStream = fs.createReadStream(xlsxFilePath);
+    const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(fileStream, {
+        worksheets    : 'emit',
+        sharedStrings : 'cache',
+        styles        : 'cache',   // required to recognize date cells
+        hyperlinks    : 'ignore',
+        entries       : 'ignore',
+    });
+
+    const sheetNames = [];
+    try {
+        for await (const worksheetReader of workbookReader) {
+            sheetNames.push(worksheetReader.name);
+            if (sheetName && worksheetReader.name !== sheetName) {
+                // Rows of the other worksheets still need to be read to proceed to the next worksheet
+                for await (const _skippedRow of worksheetReader) { /* skipping */ }
+                continue;
+            }
+
+            let columns = null;
+            for await (const row of worksheetReader) {
+                // Row values are indexed by column number (starting from 1)
+                const values = Array.from(row.values, cellValueToString);
+                if (columns === null) {
+                    columns = values.map(value => value.trim());
+                    continue;
+                }
+                if (values.every(value => value === '')) {
+                    continue;
+                }
+                const record = {};
+                columns.forEach((column, index) => {
+                    if (column !== '') {
+                        record[column] = values[index] !== undefined ? values[index] : '';
+                    }
+                });
+                yield record;
+            }
+            return;
+        }
+    } finally {
+        fileStream.destroy();
+    }
+
+    throw new WorksheetNotFoundError(sheetName
+        ? `Worksheet '${sheetName}' not found in the workbook (found: ${sheetNames.map(name => `'${name}'`).join(', ')})`
+        : 'No worksheets found in the workbook');
+}
+
+module.exports = {
+    cellValueToString,
+    getRecordGenerator_Async,
+    WorksheetNotFoundError
+};
@@ -0,0 +1,95 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ExcelJS = require('exceljs');
+const {
+    cellValueToString,
+    getRecordGenerator_Async,
+    WorksheetNotFoundError
+} = require('./xlsx-file-reader');
+
+
+let tmpFolder = null;
+
+// Writes the workbook with the provided worksheets ({name: rows})
+async function createWorkbookFile(worksheets) {
+    const workbook = new ExcelJS.Workbook();
+    for (const [name, rows] of Object.entries(worksheets)) {
+        const worksheet = workbook.addWorksheet(name);
+        rows.forEach(row => worksheet.addRow(row));
+    }
+    const filePath = path.join(tmpFolder, 'input.xlsx');
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+}
+
+// Collects all the records yielded by the generator
+async function collect(recordGenerator) {
+    const records = [];
+    for await (const record of recordGenerator) {
+        records.push(record);
+    }
+    return records;
+}
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-xlsx-input-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('cellValueToString', () => {
+    it.each([
+        [null, ''],
+        ['00123', '00123'],
+        [42, '42'],
+        [true, 'true'],
+        [new Date(Date.UTC(2024, 2, 1)), '2024-03-01T00:00:00.000Z'],
+        [{ formula: 'A1*2', result: 84 }, '84'],
+        [{ richText: [{ text: 'Café ' }, { font: { bold: true }, text: 'crème' }] }, 'Café crème'],
+        [{ text: 'a.jpg', hyperlink: 'https://example.com/a.jpg' }, 'a.jpg'],
+        [{ error: '#N/A' }, ''],
+    ])('should convert %j', (value, expected) => {
+        expect(cellValueToString(value)).toEqual(expected);
+    });
+});
+
+
+describe('getRecordGenerator_Async', () => {
+    it('should read records from the first worksheet using the header row as column names', async () => {
+        const filePath = await createWorkbookFile({
+            'Assets': [
+                ['sku', 'title', 'released', 'width'],
+                ['00123', 'Café crème 日本', new Date(Date.UTC(2024, 2, 1)), 1920],
+                [],
+                ['00456', null, null, null],
+            ],
+            'Notes': [['note'], ['ignored']],
+        });
+        await expect(collect(getRecordGenerator_Async(filePath))).resolves.toEqual([
+            { sku: '00123', title: 'Café crème 日本', released: '2024-03-01T00:00:00.000Z', width: '1920' },
+            { sku: '00456', title: '', released: '', width: '' },
+        ]);
+    });
+
+    it('should read records from the chosen worksheet', async () => {
+        const filePath = await createWorkbookFile({
+            'Notes': [['note'], ['ignored']],
+            'Assets': [['sku'], ['A'], ['B']],
+        });
+        await expect(collect(getRecordGenerator_Async(filePath, 'Assets'))).resolves.toEqual([
+            { sku: 'A' },
+            { sku: 'B' },
+        ]);
+    });
+
+    it('should report the worksheet that can not be found', async () => {
+        const filePath = await createWorkbookFile({ 'Assets': [['sku'], ['A']] });
+        const records = collect(getRecordGenerator_Async(filePath, 'Inventory'));
+        await expect(records).rejects.toThrow(WorksheetNotFoundError);
+        await expect(records).rejects.toThrow("found: 'Assets'");
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview This module implements producing the migration input file (CSV) from a local directory tree:
+ * a record for each file selected, with `public_id` and `folder` derived from the relative path of the file,
+ * file size, modification time and MD5 digest (to spot duplicate files before they are uploaded).
+ * Files resolving to the same `public_id` as an earlier file are flagged (only one of them would be migrated).
+ *
+ * Nothing is sent to Cloudinary.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const {pipeline} = require('node:stream/promises');
+const {Readable} = require('node:stream');
+const {stringify} = require('csv-stringify');
+const progress = require('./output/progress');
+const assetVerification = require('./output/asset-verification');
+const directoryInventory = require('./input/directory-inventory');
+const duplicateDetection = require('./duplicate-detection');
+const migrateAssetPayload = require('./payload/migrate');
+
+const INVENTORY_COLUMNS = [
+    'file', 'relative_path', 'public_id', 'folder', 'extension',
+    'size_bytes', 'mtime', 'md5', 'large_file', 'duplicate_of_row', 'public_id_collision_of_row'
+];
+
+
+/**
+ * Asynchronously generates relative paths of the files selected in the directory tree.
+ *
+ * @async
+ * @generator
+ * @param {string} rootDir - The directory to list the files of.
+ * @param {function(string): boolean} isSelected - Tells whether the file (relative path) is selected (see `createPathMatcher`).
+ * @param {function(string, Error): void} [onUnreadableDir] - Called with the relative path of the directory that can not be read.
+ * @yields {string} - Path of the file relative to the directory (with '/' separators).
+ */
+async function* _getSelectedFileGenerator_Async(rootDir, isSelected, onUnreadableDir) {
+    for await (const relativePath of directoryInventory.walkDirectory_Async(rootDir, onUnreadableDir)) {
+        if (isSelected(relativePath)) {
+            yield relativePath;
+        }
+    }
+}
+
+
+/**
+ * Produces the migration input file (CSV) for the files of the directory tree.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {string} cliArgs.fromDir - The directory to produce the input file for.
+ * @param {string} cliArgs.to - The input file (CSV) to produce.
+ * @param {string[]} [cliArgs.include] - Glob patterns of the files to include (all files if none provided).
+ * @param {string[]} [cliArgs.exclude] - Glob patterns of the files to exclude.
+ * @param {string} [cliArgs.sanitize] - How the path segments are sanitized (one of the SANITIZE_MODE values).
+ * @param {boolean} [cliArgs.keepExtension] - Keep the file extension in the public_id.
+ * @param {boolean} [cliArgs.md5] - Compute MD5 digest of the files (true unless explicitly disabled).
+ * @returns {Promise<Object>} - Inventory stats.
+ */
+async function inventoryDirectory_Async(cliArgs) {
+    const rootDir = path.resolve(cliArgs.fromDir);
+    const outputFilePath = path.resolve(cliArgs.to);
+    const computeMd5 = cliArgs.md5 !== false;
+    const pathOptions = { sanitize: cliArgs.sanitize, keepExtension: cliArgs.keepExtension === true };
+
+    // The input file is not listed even if it is produced within the directory
+    const matchesPatterns = directoryInventory.createPathMatcher(cliArgs.include, cliArgs.exclude);
+    const isSelected = (relativePath) => path.join(rootDir, relativePath) !== outputFilePath && matchesPatterns(relativePath);
+
+    const stats = {
+        files: 0,
+        total_bytes: 0,
+        large_files: 0,
+        duplicates: 0,
+        public_id_collisions: 0,
+        unreadable: 0
+    }
+
+    console.log(`\n\n ~~~~~~~ 🗂️  Listing files of the directory '${rootDir}' ... ~~~~~~~`);
+    let selectedCount = 0;
+    for await (const _relativePath of _getSelectedFileGenerator_Async(rootDir, isSelected)) {
+        selectedCount += 1;
+    }
+    progress.start(selectedCount);
+
+    // Row each file content (size and MD5) was first seen at
+    const duplicateTracker = duplicateDetection.createDuplicateTracker();
+    // Row each public_id was first seen at
+    const publicIdTracker = duplicateDetection.createDuplicateTracker();
+    const reportUnreadable = (relativePath, err) => {
+        stats.unreadable += 1;
+        progress.log(`⚠️  Skipped '${relativePath}' (can not be read: ${err.message})`);
+    };
+
+    async function* getInventoryRecordGenerator_Async() {
+        const onUnreadableDir = (relativeDir, err) => reportUnreadable(`${relativeDir}/`, err);
+        for await (const relativePath of _getSelectedFileGenerator_Async(rootDir, isSelected, onUnreadableDir)) {
+            const filePath = path.join(rootDir, relativePath);
+            let fileStats = null;
+            let md5 = '';
+            try {
+                fileStats = await fs.promises.stat(filePath);
+                if (computeMd5) {
+                    md5 = await assetVerification.computeFileMd5_Async(filePath);
+                }
+            } catch (err) {
+                reportUnreadable(relativePath, err);
+                progress.update(0, stats.files + stats.unreadable, stats.files, stats.unreadable);
+                continue;
+            }
+
+            const row = stats.files + 1;
+            const pathValues = directoryInventory.resolvePathValues(relativePath, pathOptions);
+            const duplicateOfRow = md5 ? await duplicateTracker.track_Async(`${fileStats.size}/${md5}`, row) : null;
+            const collisionOfRow = await publicIdTracker.track_Async(pathValues.public_id, row);
+            const largeFile = fileStats.size > migrateAssetPayload.UPLOAD_LARGE_THRESHOLD_BYTES;
+
+            stats.files += 1;
+            stats.total_bytes += fileStats.size;
+            if (largeFile) {
+                stats.large_files += 1;
+            }
+            if (duplicateOfRow !== null) {
+                stats.duplicates += 1;
+            }
+            if (collisionOfRow !== null) {
+                stats.public_id_collisions += 1;
+            }
+            progress.update(0, stats.files + stats.unreadable, stats.files, stats.unreadable);
+
+            yield {
+                file                       : filePath,
+                ...pathValues,
+                size_bytes                 : fileStats.size,
+                mtime                      : fileStats.mtime.toISOString(),
+                md5,
+                large_file                 : largeFile,
+                duplicate_of_row           : duplicateOfRow !== null ? duplicateOfRow : '',
+                public_id_collision_of_row : collisionOfRow !== null ? collisionOfRow : '',
+            };
+        }
+    }
+
+    try {
+        await pipeline(
+            Readable.from(getInventoryRecordGenerator_Async()),
+            stringify({ header: true, columns: INVENTORY_COLUMNS, cast: { boolean: value => value ? 'true' : 'false' } }),
+            fs.createWriteStream(outputFilePath)
+        );
+    } finally {
+        duplicateTracker.close();
+        publicIdTracker.close();
+        progress.stop();
+    }
+
+    console.log(`🏁 Directory listing complete. Summary: ${JSON.stringify(stats)}`);
+    console.log(`📋 Migration input persisted to the file: '${outputFilePath}'`);
+    if (stats.duplicates > 0) {
+        console.log(`👯 ${stats.duplicates} file(s) have the same content as an earlier file (see the 'duplicate_of_row' column)`);
+    }
+    if (stats.public_id_collisions > 0) {
+        console.log(`⚠️  ${stats.public_id_collisions} file(s) resolve to the same public_id as an earlier file and would not be migrated (see the 'public_id_collision_of_row' column)`);
+    }
+
+    return stats;
+}
+
+module.exports = {
+    inventoryDirectory_Async,
+    INVENTORY_COLUMNS
+}
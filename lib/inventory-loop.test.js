@@ -0,0 +1,144 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {parse} = require('csv-parse/sync');
+const { inventoryDirectory_Async, INVENTORY_COLUMNS } = require('./inventory-loop');
+
+jest.mock('./output/progress', () => ({
+    start  : jest.fn(),
+    update : jest.fn(),
+    log    : jest.fn(),
+    stop   : jest.fn(),
+}));
+
+// Files larger than 4 bytes are expected to be uploaded with `upload_large`
+jest.mock('./payload/migrate', () => ({
+    UPLOAD_LARGE_THRESHOLD_BYTES: 4,
+}));
+
+
+let tmpFolder = null;
+let sourceDir = null;
+
+// Creates the files (relative path -> content) in the source directory
+function createFiles(files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(sourceDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+}
+
+function readInventory(filePath) {
+    return parse(fs.readFileSync(filePath), { columns: true });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-inventory-'));
+    sourceDir = path.join(tmpFolder, 'source');
+    fs.mkdirSync(sourceDir);
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('inventoryDirectory_Async', () => {
+    it('should produce a record for each file selected', async () => {
+        createFiles({
+            'Products/Red Shoe.jpg' : 'hello',
+            'Products/b.png'        : 'hey',
+            'Products/copy.jpg'     : 'hello',
+            'archive/old.jpg'       : 'old',
+            'notes.txt'             : 'notes',
+        });
+        const outputFilePath = path.join(tmpFolder, 'input.csv');
+
+        const stats = await inventoryDirectory_Async({
+            fromDir : sourceDir,
+            to      : outputFilePath,
+            include : ['*.{jpg,png}'],
+            exclude : ['archive/**'],
+        });
+
+        const records = readInventory(outputFilePath);
+        expect(Object.keys(records[0])).toEqual(INVENTORY_COLUMNS);
+        expect(records).toEqual([
+            {
+                file                       : path.join(sourceDir, 'Products', 'Red Shoe.jpg'),
+                relative_path              : 'Products/Red Shoe.jpg',
+                public_id                  : 'Products/Red Shoe',
+                folder                     : 'Products',
+                extension                  : 'jpg',
+                size_bytes                 : '5',
+                mtime                      : fs.statSync(path.join(sourceDir, 'Products', 'Red Shoe.jpg')).mtime.toISOString(),
+                md5                        : '5d41402abc4b2a76b9719d911017c592',
+                large_file                 : 'true',
+                duplicate_of_row           : '',
+                public_id_collision_of_row : '',
+            },
+            expect.objectContaining({ relative_path: 'Products/b.png', size_bytes: '3', large_file: 'false', duplicate_of_row: '' }),
+            expect.objectContaining({ relative_path: 'Products/copy.jpg', md5: '5d41402abc4b2a76b9719d911017c592', duplicate_of_row: '1' }),
+        ]);
+        expect(stats).toEqual({ files: 3, total_bytes: 13, large_files: 2, duplicates: 1, public_id_collisions: 0, unreadable: 0 });
+    });
+
+    it('should sanitize the public_id and folder, skip MD5 when disabled and not list the input file itself', async () => {
+        createFiles({ 'Été 2024/Red Shoe.pdf': 'hello' });
+        const outputFilePath = path.join(sourceDir, 'input.csv');
+
+        const stats = await inventoryDirectory_Async({
+            fromDir       : sourceDir,
+            to            : outputFilePath,
+            sanitize      : 'slug',
+            keepExtension : true,
+            md5           : false,
+        });
+
+        expect(readInventory(outputFilePath)).toEqual([
+            expect.objectContaining({ public_id: 'ete-2024/red-shoe.pdf', folder: 'ete-2024', md5: '', duplicate_of_row: '' }),
+        ]);
+        expect(stats.files).toEqual(1);
+    });
+
+    it('should flag the files resolving to the same public_id as an earlier file', async () => {
+        createFiles({ 'a.jpg': 'a', 'a.png': 'b', 'sub/b?.jpg': 'c', 'sub/b_.jpg': 'd', 'sub/c.jpg': 'e' });
+        const outputFilePath = path.join(tmpFolder, 'input.csv');
+
+        const stats = await inventoryDirectory_Async({ fromDir: sourceDir, to: outputFilePath });
+
+        expect(readInventory(outputFilePath).map(record => [record.relative_path, record.public_id, record.public_id_collision_of_row])).toEqual([
+            ['a.jpg', 'a', ''],
+            ['a.png', 'a', '1'],
+            ['sub/b?.jpg', 'sub/b_', ''],
+            ['sub/b_.jpg', 'sub/b_', '3'],
+            ['sub/c.jpg', 'sub/c', ''],
+        ]);
+        expect(stats).toMatchObject({ files: 5, duplicates: 0, public_id_collisions: 2 });
+    });
+
+    it('should skip the files that can not be read', async () => {
+        createFiles({ 'a.jpg': 'a', 'b.jpg': 'b' });
+        const outputFilePath = path.join(tmpFolder, 'input.csv');
+        const stat = fs.promises.stat;
+        const statSpy = jest.spyOn(fs.promises, 'stat').mockImplementation((filePath) => {
+            if (filePath === path.join(sourceDir, 'a.jpg')) {
+                return Promise.reject(new Error('EACCES: permission denied'));
+            }
+            return stat(filePath);
+        });
+
+        try {
+            const stats = await inventoryDirectory_Async({ fromDir: sourceDir, to: outputFilePath });
+            expect(readInventory(outputFilePath).map(record => record.relative_path)).toEqual(['b.jpg']);
+            expect(stats).toMatchObject({ files: 1, unreadable: 1 });
+        } finally {
+            statSpy.mockRestore();
+        }
+    });
+});
@@ -1,5 +1,5 @@
 /**
- * @fileoverview This module implements the processing of input CSV file and translating each record
+ * @fileoverview This module implements the processing of input file (CSV, JSON Lines, JSON array or Excel workbook) and translating each record
  * into parameters for the Cloudinary API operation provided via payloadModule.
  * 
  * It uses the async library to limit the number of concurrent operations to the Cloudinary API,
@@ -7,12 +7,24 @@
  */
 
 require('dotenv').config(); // Load environment variables from .env file
+const fs = require('node:fs');
 const path = require('path')
 const async = require('async');
 const progress = require('./output/progress');
 const logging = require('./output/logging');
+const reporting = require('./output/reporting');
 const pluginManager = require('./plugins/plugin-manager')
-const csvReader = require('./input/csv-file-reader');
+const inputReader = require('./input/input-file-reader');
+const resumeHelpers = require('./input/resume-helpers');
+const rowSelectionHelpers = require('./input/row-selection');
+const payloadPreview = require('./input/payload-preview');
+const retryPolicyHelpers = require('./payload/retry-policy');
+const mappingConfigHelpers = require('./input/mapping-config');
+const shutdownHandler = require('./shutdown-handler');
+const circuitBreakerHelpers = require('./circuit-breaker');
+const adaptiveConcurrencyHelpers = require('./adaptive-concurrency');
+const rateLimiter = require('./rate-limiter');
+const duplicateDetection = require('./duplicate-detection');
 const cloudinary = require('cloudinary').v2;
 
 /* ℹ️ 👇 Modules intended to be customized */
@@ -22,6 +34,20 @@ const {input2ApiPayload_Async} = require('../__input-to-api-payload');
 const {log2Report} = require('../__log-to-report');
 
 
+/**
+ * Statuses reported for the dry run
+ * @readonly
+ * @enum {string}
+ */
+const DRY_RUN_STATUS = {
+    VALID   : 'DRY_RUN',  // payload was produced (but not sent to Cloudinary)
+    INVALID : 'INVALID'   // failed to produce payload for the input record
+}
+
+// Status reported for the input records not processed because the circuit breaker tripped
+const NOT_ATTEMPTED_STATUS = 'NOT_ATTEMPTED';
+
+
 /**
  * Implements the main loop for bulk-uploading or bulk-applying changes driven by input CSV file.
  * 
@@ -29,39 +55,135 @@ const {log2Report} = require('../__log-to-report');
  *                             Parameters are parsed by the 'commander' library.
  * @param {Object} cliCommand - The commmand object resolved from the command line arguments by `commander` module.
  * @param {Object} payloadModule - The module that performs the migration operation.
- *                                  It must export a function named 'payloadFunc_Async'
+ *                                  It must export a function named 'payloadFunc_Async'.
+ *                                  It may export 'input2ApiPayload_Async' (to override the default input conversion),
+ *                                  'resolveStatus' (to resolve status reported for the operation)
+ *                                  and 'MAX_ROWS_PER_API_CALL' (for the operations batching rows into a single API call:
+ *                                  as many rows are processed concurrently for each of the concurrent API calls,
+ *                                  the payload module then applies the rate limit to each API call itself,
+ *                                  as well as the adaptive concurrency limit passed to its 'setConcurrencyLimiter')
+ *                                  and 'resolveSourceAssetKey' with 'resolveTargetAssetKey' (for the operations changing
+ *                                  the asset identity: rows targeting the source asset of another row are reported as failed).
  * @param {Object} confirmationRoutinesModule - The module that contains functions to obtain user confirmation.
  */
 async function loopOverCsvInput_Async (cliArgs, cliCommand, payloadModule, confirmationRoutinesModule) {
     // Retrieving required command line parameters passed for the invocation
     const inputCsvFilePath = cliArgs.fromCsvFile;
+    // CSV (with the configured dialect), JSON Lines, JSON array or Excel workbook (resolved by the file extension unless provided explicitly)
+    const inputOptions = inputReader.resolveInputOptions(cliArgs);
     const maxConcurrentUploads = cliArgs.maxConcurrentUploads;
+    // When set, concurrency starts low and adapts to rate limiting and latency (never exceeding maxConcurrentUploads)
+    const adaptiveConcurrency = cliArgs.adaptiveConcurrency === true;
+    // Max number of API operations per minute (including the ones made by plugins), regardless of the concurrency
+    const maxOpsPerMinute = cliArgs.maxOpsPerMinute || null;
     const outputFolder = cliArgs.outputFolder;
+    // Optional parameters to resume an interrupted operation
+    const resume = cliArgs.resume === true;
+    const rowKeyColumn = cliArgs.rowKeyColumn;
+    // Optional row range, limit and conditions to process part of the input (null to process all the rows)
+    const rowSelection = rowSelectionHelpers.resolveRowSelection(cliArgs);
+    // Policy to re-attempt operations failed due to transient issues
+    const retryPolicy = retryPolicyHelpers.resolveRetryPolicy(cliArgs);
+    // When set, payloads are produced for each input record but not sent to Cloudinary
+    const dryRun = cliArgs.dryRun === true;
+    // Max time to wait for in-flight operations when interrupted with SIGINT/SIGTERM
+    const drainTimeoutMs = cliArgs.drainTimeoutMs || shutdownHandler.DEFAULT_DRAIN_TIMEOUT_MS;
+    // Thresholds to abort the operation when operations keep failing
+    const circuitBreakerOptions = circuitBreakerHelpers.resolveCircuitBreakerOptions(cliArgs);
+    // What happens to the later rows resolving to the same asset (public_id + resource_type + type) as an earlier row
+    const duplicatePolicy = cliArgs.onDuplicatePublicId || duplicateDetection.DEFAULT_DUPLICATE_POLICY;
 
+    // Payload module may provide its own logic to resolve the reported status
+    const resolveStatus = payloadModule.resolveStatus || _resolveDefaultStatus;
+    // Payload module may batch the rows processed concurrently into a single API call
+    const rowsPerApiCall = payloadModule.MAX_ROWS_PER_API_CALL || 1;
 
     // Set up logging for the loop
     const log = logging.setupLogInFolder(outputFolder);
 
     await ensureCloudinaryConfigOrExit_Async();
 
-    // Attempt to load plugins
-    const pluginsDir = path.resolve(__dirname, '../__plugins')
-    console.log(`🧩 Loading plugins from "${pluginsDir}"`);
-    await pluginManager.loadPlugins_Async(pluginsDir);
+    // Rows that succeeded in the interrupted operation are not processed again
+    let succeededRowKeys = new Set();
+    if (resume) {
+        console.log(`⏯️  Resuming operation from the log file '${log.logFile}'`);
+        try {
+            if (rowKeyColumn) {
+                await resumeHelpers.ensureRowKeys_Async(inputReader.getRecordGenerator_Async(inputCsvFilePath, inputOptions), rowKeyColumn);
+            }
+            succeededRowKeys = await resumeHelpers.loadSucceededRowKeys_Async(log.logFile, resolveStatus(null), rowKeyColumn);
+        } catch (err) {
+            if (!(err instanceof resumeHelpers.InvalidRowKeyError)) {
+                throw err;
+            }
+            console.error(`🛑 Operation can not be resumed. ${err.message}`);
+            logging.script.fatal({row_key_error: err.message}, 'Operation can not be resumed');
+            // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
+            await new Promise(resolve => setTimeout(resolve, 500));
+            process.exit(1);
+        }
+    }
+
+    // Configured before the plugins are loaded (plugins may make API calls on initialization)
+    rateLimiter.configure(maxOpsPerMinute, throttling => progress.setThrottling(throttling ? maxOpsPerMinute : null));
+
+    const input2Payload_Async = await loadPluginsAndResolveInput2Payload_Async(cliArgs, cliCommand.name(), payloadModule);
 
     const operationOptions = {
         operation      : cliCommand.name(),
         dest_cloud     : cloudinary.config().cloud_name,
         parameters     : cliArgs,
         loaded_plugins : pluginManager.listLoadedPlugins(),
+        retry_policy   : retryPolicy,
+        circuit_breaker: circuitBreakerOptions,
+        input          : inputOptions,
+        duplicate_policy: duplicatePolicy,
+    }
+    if (rowSelection) {
+        operationOptions.row_selection = rowSelection;
+    }
+    if (maxOpsPerMinute) {
+        operationOptions.max_ops_per_minute = maxOpsPerMinute;
+    }
+    if (dryRun) {
+        operationOptions.dry_run = true;
+    }
+    if (adaptiveConcurrency) {
+        operationOptions.adaptive_concurrency = {
+            initial : Math.min(adaptiveConcurrencyHelpers.DEFAULT_INITIAL_CONCURRENCY, maxConcurrentUploads),
+            max     : maxConcurrentUploads,
+        };
+    }
+    if (resume) {
+        operationOptions.resumed_rows_to_skip = succeededRowKeys.size;
+    }
+    // Recovery run re-attempting rows of the parent run (see `retry-failed-loop.js`)
+    if (cliArgs.fromOutputFolder) {
+        operationOptions.parent_output_folder = cliArgs.fromOutputFolder;
+    }
+
+    // Payloads are previewed before confirmation to spot problems (such as a wrong column name) early
+    if (cliArgs.preview !== false) {
+        const fullScan = cliArgs.previewFullScan === true;
+        console.log(fullScan
+            ? '🔍 Producing payloads preview for all the rows (this may take some time for large input files)'
+            : '🔍 Producing payloads preview');
+        operationOptions.preview = await payloadPreview.buildPayloadPreview_Async(
+            inputReader.getRecordGenerator_Async(inputCsvFilePath, inputOptions),
+            input2Payload_Async,
+            { sampleSize: cliArgs.previewRows, fullScan, skipRowKeys: succeededRowKeys, rowKeyColumn, rowSelection }
+        );
     }
 
     try {
-        await confirmationRoutinesModule.confirmOperationOptionsOrExit_Async(operationOptions);
+        await confirmationRoutinesModule.confirmOperationOptionsOrExit_Async(operationOptions, {
+            assumeYes     : cliArgs.yes === true,
+            expectedCloud : cliArgs.expectCloud,
+        });
     } catch (err) {
         const msg = 'Migration parameters not confirmed. Terminating';
-        console.error(`🛑 ${msg}`);
-        logging.script.fatal(operationOptions, msg);
+        console.error(`🛑 ${err.message || msg}`);
+        logging.script.fatal({...operationOptions, err}, msg);
         // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
         await new Promise(resolve => setTimeout(resolve, 500));
         process.exit(1);
@@ -72,49 +194,313 @@ async function loopOverCsvInput_Async (cliArgs, cliCommand, payloadModule, confi
         concurrent: 0,
         attempted: 0,
         succeeded: 0,
-        failed: 0
+        failed: 0,
+        skipped: 0,
+        retried: 0,
+        not_attempted: 0,
+        duplicates: 0
+    }
+    const circuitBreaker = circuitBreakerHelpers.createCircuitBreaker(circuitBreakerOptions);
+    const duplicateTracker = duplicateDetection.createDuplicateTracker();
+    // Rows of this run are also checked against the assets produced by the interrupted operation
+    // (or by the parent run of the recovery run)
+    if (resume) {
+        await duplicateDetection.trackSucceededFromLog_Async(duplicateTracker, log.logFile, resolveStatus(null));
+    }
+    if (cliArgs.fromOutputFolder) {
+        await duplicateDetection.trackSucceededFromLog_Async(duplicateTracker, logging.getLogFilePath(cliArgs.fromOutputFolder), resolveStatus(null));
+    }
+    // Source assets of all the rows are collected upfront: rows targeting the source asset of another row
+    // (such as swapped or chained renames) are not processed, since the outcome would depend on the order of the rows
+    const sourceTracker = payloadModule.resolveSourceAssetKey ? duplicateDetection.createDuplicateTracker() : null;
+    if (sourceTracker) {
+        console.log('🔍 Collecting the source assets of the input rows');
+        await duplicateDetection.trackSourceAssets_Async(
+            sourceTracker,
+            _yieldRowsNotSkipped_Async(
+                rowSelectionHelpers.selectRecords_Async(inputReader.getRecordGenerator_Async(inputCsvFilePath, inputOptions), rowSelection),
+                succeededRowKeys,
+                rowKeyColumn
+            ),
+            input2Payload_Async,
+            payloadModule.resolveSourceAssetKey
+        );
+    }
+    const concurrencyLimiter = adaptiveConcurrency
+        ? adaptiveConcurrencyHelpers.createAdaptiveConcurrencyLimiter(
+            { maxConcurrency: maxConcurrentUploads },
+            change => _reportConcurrencyChange(change, stats))
+        : null;
+    // Rows batched into a single API call are limited by the payload module per API call (so that batches fill up)
+    const rowConcurrencyLimiter = rowsPerApiCall === 1 ? concurrencyLimiter : null;
+    if (payloadModule.setConcurrencyLimiter) {
+        payloadModule.setConcurrencyLimiter(rowsPerApiCall > 1 ? concurrencyLimiter : null);
     }
 
     console.log('\n\n ~~~~~~~ 🚚  Processing the CSV input ... ~~~~~~~');
+    if (dryRun) {
+        console.log('🧪 Dry run: payloads are not sent to Cloudinary');
+    }
 
     // Initializing visual progress bar
-    await progress.init_Async(inputCsvFilePath);
+    await progress.init_Async(inputCsvFilePath, inputOptions, rowSelection, { rowKeys: succeededRowKeys, rowKeyColumn });
+
+    // On SIGINT/SIGTERM no new rows are taken, in-flight operations are given time to complete
+    shutdownHandler.install(signal => {
+        progress.log(`⏸️  Received ${signal}. Waiting up to ${drainTimeoutMs}ms for ${stats.concurrent} in-flight operation(s) to complete. Repeat to force exit`);
+    });
 
     // Using async generator to avoid loading the entire input file into memory
-    const inputRecordGeneratorAsync = csvReader.getRecordGenerator_Async(inputCsvFilePath);
+    // (rows not selected are neither processed nor logged)
+    const inputRecordGeneratorAsync = _yieldRowsToProcess_Async(
+        rowSelectionHelpers.selectRecords_Async(inputReader.getRecordGenerator_Async(inputCsvFilePath, inputOptions), rowSelection),
+        succeededRowKeys,
+        rowKeyColumn,
+        stats,
+        circuitBreaker
+    );
 
     // Using async.mapLimit to limit the number of concurrent operations
-    await async.mapLimit(inputRecordGeneratorAsync, maxConcurrentUploads, async (input) => {
+    // (with adaptive concurrency, operations are further limited by the current limit of the concurrency limiter)
+    const loopCompleted_Async = async.mapLimit(inputRecordGeneratorAsync, maxConcurrentUploads * rowsPerApiCall, async ({row, input}) => {
+        if (rowConcurrencyLimiter) {
+            await rowConcurrencyLimiter.acquire_Async();
+        }
         let payload = null;
         let plugins_trace = null;
         let response = null;
+        let duplicate = null;
+        let attempts = [];
         let summary = {
-            status: 'MIGRATED',
+            status: resolveStatus(null),
             err: null
         }
+        let failed = false;
+        let apiCallStartedAt = null;
         try {
             stats.concurrent += 1;
-            stats.attempted += 1;
-            ({ payload, plugins_trace } = await input2ApiPayload_Async(input));
-            response = await payloadModule.payloadFunc_Async(payload);
+            ({ payload, plugins_trace } = await input2Payload_Async(input));
+            duplicate = await _detectDuplicate_Async(duplicateTracker, payload, row, stats);
+            if (duplicate && duplicatePolicy === duplicateDetection.DUPLICATE_POLICY.FAIL) {
+                throw new duplicateDetection.DuplicateInInputError(`Same asset (${duplicate.asset_key}) as row ${duplicate.first_row}`);
+            }
+            if (duplicate && duplicatePolicy === duplicateDetection.DUPLICATE_POLICY.SKIP) {
+                summary.status = duplicateDetection.DUPLICATE_IN_INPUT_STATUS;
+                summary.err = `Not processed: same asset (${duplicate.asset_key}) as row ${duplicate.first_row}`;
+                // Neither succeeded nor failed (logged in the `finally` block)
+                return;
+            }
+            if (sourceTracker) {
+                const targetAssetKey = payloadModule.resolveTargetAssetKey(payload);
+                const sourceRow = await duplicateDetection.findSourceRow_Async(sourceTracker, targetAssetKey, row);
+                if (sourceRow !== null) {
+                    throw new duplicateDetection.TargetIsSourceError(`Target asset (${targetAssetKey}) is the source asset of row ${sourceRow}`);
+                }
+            }
+            if (dryRun) {
+                summary.status = DRY_RUN_STATUS.VALID;
+            } else {
+                response = await retryPolicyHelpers.invokeWithRetry_Async(
+                    async () => {
+                        // Each attempt counts towards the rate limit (unless batched into a single API call with other rows)
+                        if (rowsPerApiCall === 1) {
+                            await rateLimiter.acquire_Async();
+                        }
+                        apiCallStartedAt = apiCallStartedAt || Date.now();
+                        return await payloadModule.payloadFunc_Async(payload);
+                    },
+                    retryPolicy,
+                    attempts
+                );
+            }
             stats.succeeded += 1;
         } catch (err) {
+            failed = true;
             stats.failed += 1;
-            summary.status = 'FAILED';
+            summary.status = dryRun ? DRY_RUN_STATUS.INVALID : resolveStatus(err);
             summary.err = err;
         } finally {
-            logging.payload.info({input, payload, response, summary, plugins_trace});
+            stats.retried += Math.max(attempts.length - 1, 0);
+            // Duplicates skipped are never sent (only counted as duplicates)
+            const skipped = summary.status === duplicateDetection.DUPLICATE_IN_INPUT_STATUS;
+            if (skipped) {
+                progress.excludeFromTotal(1);
+            } else {
+                stats.attempted += 1;
+            }
+            logging.payload.info({row, input, payload, response, summary, plugins_trace, attempts, duplicate});
             progress.update(stats.concurrent, stats.attempted, stats.succeeded, stats.failed);
             stats.concurrent -= 1;
+            if (!skipped) {
+                _recordOutcomeOrReportTripped(circuitBreaker, failed, stats);
+            }
+            if (rowConcurrencyLimiter) {
+                rowConcurrencyLimiter.release(skipped ? null : {
+                    startedAt : apiCallStartedAt,
+                    throttled : attempts.some(attemptRec => adaptiveConcurrencyHelpers.isThrottlingError(attemptRec.err)),
+                    // Latency of the re-attempted operations includes delays between the attempts
+                    latencyMs : !failed && apiCallStartedAt !== null && attempts.length === 1 ? Date.now() - apiCallStartedAt : null,
+                });
+            }
         }
     });
-    logging.script.info({stats}, 'Routine complete');
+    const drained = await shutdownHandler.waitForPendingOrDrainTimeout_Async(loopCompleted_Async, drainTimeoutMs);
     progress.stop();
-    
-    console.log(`🏁 Bulk routine complete. Summary: ${JSON.stringify(stats)}}`);
+    duplicateTracker.close();
+    if (sourceTracker) {
+        sourceTracker.close();
+    }
+
+    const interruptedBySignal = shutdownHandler.getShutdownSignal();
+    if (interruptedBySignal) {
+        // Operations still in flight (if drain timed out) are not logged and therefore not reported
+        logging.script.warn({stats, signal: interruptedBySignal, drained, in_flight: stats.concurrent}, 'Routine interrupted');
+        console.log(`⏸️  Bulk routine interrupted by ${interruptedBySignal}. Summary: ${JSON.stringify(stats)}`);
+        if (!drained) {
+            console.log(`⚠️  ${stats.concurrent} in-flight operation(s) did not complete within ${drainTimeoutMs}ms and are not reported`);
+        }
+        console.log('💡 Use the --resume option to continue the operation');
+    } else if (circuitBreaker.isTripped()) {
+        logging.script.warn({stats, reason: circuitBreaker.getTripReason()}, 'Routine aborted');
+        console.log(`🛑 Bulk routine aborted: ${circuitBreaker.getTripReason()}. Summary: ${JSON.stringify(stats)}`);
+        console.log(`💡 Remaining input rows are reported with ${NOT_ATTEMPTED_STATUS} status`);
+        process.exitCode = 1;
+    } else {
+        logging.script.info({stats}, 'Routine complete');
+        console.log(`🏁 Bulk routine complete. Summary: ${JSON.stringify(stats)}}`);
+    }
     console.log(`🪵  Log persisted to the file: '${log.logFile}'`);
 
-    await produceMigrationReport_Async(outputFolder);
+    // When resumed, the log contains records from several runs - only the latest one for each row is reported
+    await produceMigrationReport_Async(outputFolder, {latestPerRow: resume, rowKeyColumn});
+    shutdownHandler.uninstall();
+
+    if (interruptedBySignal) {
+        process.exitCode = shutdownHandler.getExitCode(interruptedBySignal);
+        if (!drained) {
+            // Not waiting for the operations still in flight
+            process.exit();
+        }
+    }
+}
+
+
+/**
+ * Skips the input records that do not need to be processed.
+ *
+ * @async
+ * @generator
+ * @param {AsyncGenerator<Object>} selectedRowsGeneratorAsync - Generator of the selected input rows (`row` and `input`, see `rowSelectionHelpers.selectRecords_Async`).
+ * @param {Set<string>} skipRowKeys - Keys of the rows to be skipped.
+ * @param {string} [rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @param {Object} stats - Loop stats (`skipped` and `not_attempted` counters are updated).
+ * @param {Object} circuitBreaker - Once tripped, the rest of the records are logged as not attempted.
+ * @yields {Object} - `row` (1-based row number, header excluded) and `input` (the input record)
+ */
+async function* _yieldRowsToProcess_Async(selectedRowsGeneratorAsync, skipRowKeys, rowKeyColumn, stats, circuitBreaker) {
+    for await (const {row, input} of selectedRowsGeneratorAsync) {
+        // No new rows are taken once the shutdown is requested
+        if (shutdownHandler.isShutdownRequested()) {
+            return;
+        }
+        if (skipRowKeys.has(resumeHelpers.getRowKey(row, input, rowKeyColumn))) {
+            stats.skipped += 1;
+            continue;
+        }
+        // Logged so that the rows are reported (and can be re-submitted)
+        if (circuitBreaker.isTripped()) {
+            stats.not_attempted += 1;
+            const summary = {
+                status: NOT_ATTEMPTED_STATUS,
+                err: `Not attempted: ${circuitBreaker.getTripReason()}`
+            };
+            logging.payload.info({row, input, payload: null, response: null, summary, plugins_trace: null, attempts: []});
+            continue;
+        }
+        yield {row, input};
+    }
+}
+
+
+/**
+ * Skips the input records processed by the interrupted operation.
+ *
+ * @async
+ * @generator
+ * @param {AsyncGenerator<Object>} selectedRowsGeneratorAsync - Generator of the selected input rows (`row` and `input`, see `rowSelectionHelpers.selectRecords_Async`).
+ * @param {Set<string>} skipRowKeys - Keys of the rows to be skipped.
+ * @param {string} [rowKeyColumn] - The input column uniquely identifying each row (row number is used if not set).
+ * @yields {Object} - `row` (1-based row number, header excluded) and `input` (the input record)
+ */
+async function* _yieldRowsNotSkipped_Async(selectedRowsGeneratorAsync, skipRowKeys, rowKeyColumn) {
+    for await (const {row, input} of selectedRowsGeneratorAsync) {
+        if (!skipRowKeys.has(resumeHelpers.getRowKey(row, input, rowKeyColumn))) {
+            yield {row, input};
+        }
+    }
+}
+
+
+/**
+ * Detects the input row resolving to the same asset as an earlier row.
+ *
+ * @param {Object} duplicateTracker - The tracker of the assets (see `duplicateDetection.createDuplicateTracker`).
+ * @param {Object} payload - The payload produced for the input row.
+ * @param {number} row - The input row number.
+ * @param {Object} stats - Loop stats (`duplicates` counter is updated).
+ * @returns {Promise<Object|null>} - `asset_key` and `first_row` (the earlier row) for the duplicate, null otherwise.
+ */
+async function _detectDuplicate_Async(duplicateTracker, payload, row, stats) {
+    const assetKey = duplicateDetection.resolveAssetKey(payload);
+    const firstRow = assetKey ? await duplicateDetection.trackAsset_Async(duplicateTracker, assetKey, row) : null;
+    if (firstRow === null) {
+        return null;
+    }
+    stats.duplicates += 1;
+    return { asset_key: assetKey, first_row: firstRow };
+}
+
+
+/**
+ * Records the operation outcome with the circuit breaker.
+ * Reports the reason when the circuit breaker trips.
+ *
+ * @param {Object} circuitBreaker - The circuit breaker.
+ * @param {boolean} failed - True if the operation failed.
+ * @param {Object} stats - Loop stats (included in the log record).
+ */
+function _recordOutcomeOrReportTripped(circuitBreaker, failed, stats) {
+    const wasTripped = circuitBreaker.isTripped();
+    const tripReason = circuitBreaker.recordOutcome(failed);
+    if (tripReason && !wasTripped) {
+        logging.script.fatal({stats, reason: tripReason}, 'Circuit breaker tripped. No new operations are scheduled');
+        progress.log(`🛑 Circuit breaker tripped: ${tripReason}. No new operations are scheduled`);
+    }
+}
+
+
+/**
+ * Reports the concurrency limit change (adaptive concurrency).
+ *
+ * @param {Object} change - `from`, `to` and `reason` for the change.
+ * @param {Object} stats - Loop stats (included in the log record).
+ */
+function _reportConcurrencyChange(change, stats) {
+    logging.script.info({concurrency: change, stats}, 'Concurrency limit changed');
+    if (change.to < change.from) {
+        progress.log(`🔀 Concurrency limit decreased from ${change.from} to ${change.to} (${change.reason})`);
+    }
+}
+
+
+/**
+ * Resolves status for the operation when payload module does not provide its own logic.
+ *
+ * @param {Object|null} err - The error raised by the operation (null if the operation succeeded).
+ * @returns {string} - 'MIGRATED' or 'FAILED'
+ */
+function _resolveDefaultStatus(err) {
+    return err ? 'FAILED' : 'MIGRATED';
 }
 
 
@@ -134,20 +520,81 @@ async function ensureCloudinaryConfigOrExit_Async() {
 }
 
 
+/**
+ * Loads plugins and resolves the logic to convert input records into payload for the operation:
+ *  - declarative mapping file (when provided via CLI arguments)
+ *  - or the payload module logic (when it exports 'input2ApiPayload_Async')
+ *  - or the customizable `__input-to-api-payload.js` module
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {string} operation - The name of the operation (command) invoked.
+ * @param {Object} payloadModule - The module that performs the operation.
+ * @returns {Promise<function>} - Function to convert input record to payload.
+ */
+async function loadPluginsAndResolveInput2Payload_Async(cliArgs, operation, payloadModule) {
+    // Attempt to load plugins
+    const pluginsDir = path.resolve(__dirname, '../__plugins')
+    console.log(`🧩 Loading plugins from "${pluginsDir}"`);
+    await pluginManager.loadPlugins_Async(pluginsDir);
+
+    // Declarative mapping file (when provided) is used instead of the customizable JS module
+    if (cliArgs.mappingFile) {
+        return await loadMappingConfigOrExit_Async(cliArgs.mappingFile, operation);
+    }
+    return payloadModule.input2ApiPayload_Async || input2ApiPayload_Async;
+}
+
+
+/**
+ * Loads the mapping file and produces function to convert input records to payload as per the mapping.
+ * Reports error and exits process if the mapping file is not valid or can not be applied.
+ *
+ * @param {string} mappingFilePath - Path to the mapping file.
+ * @param {string} operation - The name of the operation (command) invoked.
+ * @returns {Promise<function>} - Function to convert input record to payload.
+ */
+async function loadMappingConfigOrExit_Async(mappingFilePath, operation) {
+    try {
+        console.log(`🗺️  Loading mapping file "${mappingFilePath}"`);
+        const mappingConfig = mappingConfigHelpers.loadMappingConfig(mappingFilePath);
+        mappingConfigHelpers.ensureApplicable(mappingConfig, operation);
+        logging.script.info({mapping_config: mappingConfig}, 'Mapping file loaded');
+        return mappingConfigHelpers.createInput2ApiPayload(mappingConfig);
+    } catch (err) {
+        console.error(`🛑 ${err.message}`);
+        logging.script.fatal({err}, 'Failed to load mapping file');
+        // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
+        await new Promise(resolve => setTimeout(resolve, 500));
+        process.exit(1);
+    }
+}
+
+
 /**
  * Locates report file in the provided output folder.
  * Produces a migration report from the migration log file into the same output folder.
  * @param {string} outputFolder - The script output folder.
+ * @param {Object} [reportOptions] - Options passed to the `log2Report` function.
  */
-async function produceMigrationReport_Async(outputFolder) {
+async function produceMigrationReport_Async(outputFolder, reportOptions) {
     console.log(`\n\n ~~~~~~~ 📋 Producing migration report ... ~~~~~~~`);
     console.log('⏳ This may take some time for large migration batches');
     // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
     await new Promise(resolve => setTimeout(resolve, 1500));
-    const reportFile = log2Report(outputFolder);
+    const reportFile = await log2Report(outputFolder, reportOptions);
     console.log(`🏁 Migration report persisted to the file: '${reportFile}'`);
+    const duplicatesReportFile = reporting.getDuplicatesReportFilePath(outputFolder);
+    if (fs.existsSync(duplicatesReportFile)) {
+        console.log(`👯 Rows resolving to the same asset as an earlier row are listed in the file: '${duplicatesReportFile}'`);
+    }
+    const reverseRenameInputFile = reporting.getReverseRenameInputFilePath(outputFolder);
+    if (fs.existsSync(reverseRenameInputFile)) {
+        console.log(`↩️  Input to rename the assets back is persisted to the file: '${reverseRenameInputFile}'`);
+    }
 }
 
 module.exports = {
-    loopOverCsvInput_Async
+    loopOverCsvInput_Async,
+    ensureCloudinaryConfigOrExit_Async,
+    loadPluginsAndResolveInput2Payload_Async
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview This module implements the checks verifying that the assets produced by the bulk operation
+ * are stored in Cloudinary as expected (used by the `verify` command):
+ *  - the asset exists and was not replaced since the operation (same etag as reported)
+ *  - the asset has the tags, structured metadata and folder set by the operation payload
+ *  - for the assets uploaded from local files, the stored bytes match the source file (MD5 digest and size)
+ */
+
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const {pipeline} = require('node:stream/promises');
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Statuses reported for the verified assets
+ * @readonly
+ * @enum {string}
+ */
+const VERIFICATION_STATUS = {
+    VERIFIED : 'VERIFIED',  // the asset is stored as expected
+    MISMATCH : 'MISMATCH',  // the asset exists, but some of the checks failed
+    MISSING  : 'MISSING',   // the asset does not exist
+    ERROR    : 'ERROR',     // the asset could not be checked (for example, Admin API rate limit exceeded)
+};
+
+
+/**
+ * Parses the list value of the payload option (array or comma-separated string, for example `tags`).
+ *
+ * @param {string|string[]} value - The option value.
+ * @returns {string[]} - The values.
+ */
+function _parseListOption(value) {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+
+/**
+ * Parses the structured metadata payload option (object or 'external_id=value|external_id2=["value1","value2"]' string).
+ *
+ * @param {Object|string} value - The option value.
+ * @returns {Object} - The metadata values by the field external ID.
+ */
+function _parseMetadataOption(value) {
+    if (typeof value === 'object') {
+        return value;
+    }
+    const metadata = {};
+    for (const pair of String(value).split('|')) {
+        const separatorIndex = pair.indexOf('=');
+        if (separatorIndex > 0) {
+            metadata[pair.slice(0, separatorIndex).trim()] = _parseMetadataStringValue(pair.slice(separatorIndex + 1));
+        }
+    }
+    return metadata;
+}
+
+
+/**
+ * Parses the metadata value from the string option (values of the set fields are provided as JSON array).
+ *
+ * @param {string} value - The value.
+ * @returns {string|string[]} - The parsed value.
+ */
+function _parseMetadataStringValue(value) {
+    if (value.startsWith('[')) {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            // Not a JSON array: compared as is
+        }
+    }
+    return value;
+}
+
+
+/**
+ * Normalizes the metadata value for comparison (set fields are compared regardless of the order of the values).
+ *
+ * @param {*} value - The metadata value.
+ * @returns {string} - The normalized value.
+ */
+function _normalizeMetadataValue(value) {
+    if (Array.isArray(value)) {
+        return JSON.stringify(value.map(String).sort());
+    }
+    return value === null || value === undefined ? '' : String(value);
+}
+
+
+/**
+ * Normalizes the folder path for comparison.
+ *
+ * @param {string} folder - The folder path.
+ * @returns {string} - The folder path with no leading and trailing slashes.
+ */
+function _normalizeFolder(folder) {
+    return (folder || '').replace(/^\/+|\/+$/g, '');
+}
+
+
+/**
+ * Resolves the expected state of the asset from the report record of the succeeded operation
+ * and the payload of the operation (produced from the input columns of the report record).
+ *
+ * @param {Object} reportRec - The report record (`Cld_PublicId`, `Cld_ResourceType`, `Cld_Type` and `Cld_Etag` columns).
+ * @param {Object} payload - The payload of the operation.
+ * @returns {Object} - `public_id`, `resource_type`, `type`, `etag` (as reported for the operation),
+ *                     `tags`, `metadata` and `folder` (null when not set by the payload)
+ *                     and `source_file` (path to the local file uploaded, null for the remote ones).
+ */
+function resolveExpectedAsset(reportRec, payload) {
+    const options = payload.options || {};
+
+    // Reports produced before the resource type and type columns were added only have the values requested by the payload
+    const requestedResourceType = options.resource_type !== 'auto' ? options.resource_type : null;
+    // Renamed assets may be moved to another delivery type
+    const requestedType = options.to_type || options.type;
+    const folder = options.asset_folder !== undefined ? options.asset_folder : options.folder;
+    return {
+        public_id     : reportRec.Cld_PublicId,
+        resource_type : reportRec.Cld_ResourceType || requestedResourceType || 'image',
+        type          : reportRec.Cld_Type || requestedType || 'upload',
+        etag          : reportRec.Cld_Etag || null,
+        tags          : options.tags !== undefined ? _parseListOption(options.tags) : null,
+        metadata      : options.metadata !== undefined ? _parseMetadataOption(options.metadata) : null,
+        folder        : folder !== undefined ? _normalizeFolder(folder) : null,
+        source_file   : typeof payload.file === 'string' && !cloudinary.utils.isRemoteUrl(payload.file) ? payload.file : null,
+    };
+}
+
+
+/**
+ * Computes MD5 digest of the file (Cloudinary reports it as the `etag` of the stored asset).
+ *
+ * @param {string} filePath - Path to the file.
+ * @returns {Promise<string>} - The hex-encoded digest.
+ */
+async function computeFileMd5_Async(filePath) {
+    const hash = crypto.createHash('md5');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+
+/**
+ * Compares the asset resource (as reported by Admin API) to the expected state.
+ *
+ * @param {Object} expected - The expected state (see `resolveExpectedAsset`).
+ * @param {Object} resource - The asset resource (as reported by Admin API).
+ * @returns {string[]} - Descriptions of the mismatches (empty if the asset is stored as expected).
+ */
+function compareAsset(expected, resource) {
+    const mismatches = [];
+    if (expected.etag && resource.etag !== expected.etag) {
+        mismatches.push(`etag: expected '${expected.etag}', found '${resource.etag}' (asset replaced since the operation)`);
+    }
+    if (expected.tags) {
+        const actualTags = resource.tags || [];
+        const missingTags = expected.tags.filter(tag => !actualTags.includes(tag));
+        if (missingTags.length > 0) {
+            mismatches.push(`tags: missing ${missingTags.map(tag => `'${tag}'`).join(', ')}`);
+        }
+    }
+    if (expected.metadata) {
+        const actualMetadata = resource.metadata || {};
+        for (const [field, value] of Object.entries(expected.metadata)) {
+            if (_normalizeMetadataValue(value) !== _normalizeMetadataValue(actualMetadata[field])) {
+                mismatches.push(`metadata.${field}: expected ${JSON.stringify(value)}, found ${JSON.stringify(actualMetadata[field] === undefined ? null : actualMetadata[field])}`);
+            }
+        }
+    }
+    if (expected.folder !== null) {
+        const actualFolder = _normalizeFolder(resource.asset_folder !== undefined ? resource.asset_folder : resource.folder);
+        if (actualFolder !== expected.folder) {
+            mismatches.push(`folder: expected '${expected.folder}', found '${actualFolder}'`);
+        }
+    }
+    return mismatches;
+}
+
+
+/**
+ * Compares the asset resource (as reported by Admin API) to the source file uploaded.
+ *
+ * @param {string} sourceFilePath - Path to the source file.
+ * @param {Object} resource - The asset resource (as reported by Admin API).
+ * @returns {Promise<string[]>} - Descriptions of the mismatches (empty if the stored bytes match the source file).
+ * @throws {Error} - If the source file can not be read (for example, no longer exists).
+ */
+async function compareSourceFile_Async(sourceFilePath, resource) {
+    const mismatches = [];
+    const sourceSize = (await fs.promises.stat(sourceFilePath)).size;
+    const sourceMd5 = await computeFileMd5_Async(sourceFilePath);
+    if (resource.etag !== sourceMd5) {
+        mismatches.push(`source MD5: expected '${sourceMd5}', found etag '${resource.etag}'`);
+    }
+    if (resource.bytes !== sourceSize) {
+        mismatches.push(`bytes: expected ${sourceSize} (source file size), found ${resource.bytes}`);
+    }
+    return mismatches;
+}
+
+module.exports = {
+    resolveExpectedAsset,
+    computeFileMd5_Async,
+    compareAsset,
+    compareSourceFile_Async,
+    VERIFICATION_STATUS
+};
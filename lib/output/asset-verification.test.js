@@ -0,0 +1,127 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    resolveExpectedAsset,
+    computeFileMd5_Async,
+    compareAsset,
+    compareSourceFile_Async
+} = require('./asset-verification');
+
+
+describe('resolveExpectedAsset', () => {
+    it('should resolve the expected state from the report record and the migrate payload', () => {
+        expect(resolveExpectedAsset(
+            { Cld_PublicId: 'a', Cld_ResourceType: 'video', Cld_Type: 'upload', Cld_Etag: 'e1' },
+            { file: '/data/a.mp4', options: { public_id: 'a', resource_type: 'auto', tags: 'sale, summer', metadata: 'brand=Acme|sizes=["S","M"]', asset_folder: '/products/' } },
+        )).toEqual({
+            public_id     : 'a',
+            resource_type : 'video',
+            type          : 'upload',
+            etag          : 'e1',
+            tags          : ['sale', 'summer'],
+            metadata      : { brand: 'Acme', sizes: ['S', 'M'] },
+            folder        : 'products',
+            source_file   : '/data/a.mp4',
+        });
+    });
+
+    it('should resolve the resource type and type requested by the payload when not reported', () => {
+        expect(resolveExpectedAsset(
+            { Cld_PublicId: 'a', Cld_Etag: '' },
+            { publicId: 'a', options: { resource_type: 'video', tags: ['x'], metadata: { brand: 'Acme' } } },
+        )).toEqual({
+            public_id     : 'a',
+            resource_type : 'video',
+            type          : 'upload',
+            etag          : null,
+            tags          : ['x'],
+            metadata      : { brand: 'Acme' },
+            folder        : null,
+            source_file   : null,
+        });
+        expect(resolveExpectedAsset({ Cld_PublicId: 'b' }, { fromPublicId: 'a', toPublicId: 'b', options: { type: 'upload', to_type: 'private' } }))
+            .toMatchObject({ resource_type: 'image', type: 'private' });
+    });
+
+    it('should not resolve source file for remote URL', () => {
+        expect(resolveExpectedAsset({ Cld_PublicId: 'a' }, { file: 'https://example.com/a.jpg', options: {} }).source_file).toBeNull();
+    });
+});
+
+
+describe('compareAsset', () => {
+    const expected = {
+        etag     : 'e1',
+        tags     : ['sale'],
+        metadata : { brand: 'Acme', sizes: ['S', 'M'] },
+        folder   : 'products',
+    };
+
+    it('should report no mismatches for the asset stored as expected', () => {
+        expect(compareAsset(expected, {
+            etag         : 'e1',
+            tags         : ['sale', 'auto-tagged'],
+            metadata     : { brand: 'Acme', sizes: ['M', 'S'] },
+            asset_folder : 'products',
+        })).toEqual([]);
+    });
+
+    it('should report each mismatch', () => {
+        expect(compareAsset(expected, {
+            etag     : 'e2',
+            tags     : [],
+            metadata : { sizes: ['S'] },
+            folder   : '',
+        })).toEqual([
+            "etag: expected 'e1', found 'e2' (asset replaced since the operation)",
+            "tags: missing 'sale'",
+            'metadata.brand: expected "Acme", found null',
+            'metadata.sizes: expected ["S","M"], found ["S"]',
+            "folder: expected 'products', found ''",
+        ]);
+    });
+
+    it('should not check what the payload did not set', () => {
+        expect(compareAsset({ etag: null, tags: null, metadata: null, folder: null }, { etag: 'e2' })).toEqual([]);
+    });
+});
+
+
+describe('compareSourceFile_Async', () => {
+    let tmpFolder = null;
+    let sourceFilePath = null;
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-verification-'));
+        sourceFilePath = path.join(tmpFolder, 'a.txt');
+        fs.writeFileSync(sourceFilePath, 'hello');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should compute MD5 digest of the file', async () => {
+        await expect(computeFileMd5_Async(sourceFilePath)).resolves.toEqual('5d41402abc4b2a76b9719d911017c592');
+    });
+
+    it('should report no mismatches for the same bytes', async () => {
+        await expect(compareSourceFile_Async(sourceFilePath, { etag: '5d41402abc4b2a76b9719d911017c592', bytes: 5 })).resolves.toEqual([]);
+    });
+
+    it('should report different bytes', async () => {
+        await expect(compareSourceFile_Async(sourceFilePath, { etag: 'e2', bytes: 4 })).resolves.toEqual([
+            "source MD5: expected '5d41402abc4b2a76b9719d911017c592', found etag 'e2'",
+            'bytes: expected 5 (source file size), found 4',
+        ]);
+    });
+
+    it('should fail for the source file that is no longer available', async () => {
+        await expect(compareSourceFile_Async(path.join(tmpFolder, 'gone.jpg'), { etag: 'e2', bytes: 4 })).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    it('should fail for the source file that can not be read', async () => {
+        await expect(compareSourceFile_Async(tmpFolder, { etag: 'e2', bytes: 4 })).rejects.toMatchObject({ code: 'EISDIR' });
+    });
+});
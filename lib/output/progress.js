@@ -2,37 +2,7 @@
  * @fileoverview This module encapsulates the logic to display progress bars using the 'cli-progress' library.
  */
 const progress = require('cli-progress');
-const fs = require('fs');
-const readline = require('readline');
-
-/**
- * Counts the number of lines in a file (used to determine ETA).
- * 
- * @param {string} filePath - The path to the input file
- * @returns {Promise<number>} The count of lines in the file
- */
-async function _countLines_Async(filePath) {
-  return new Promise((resolve, reject) => {
-    let lineCount = 0;
-    const readStream = fs.createReadStream(filePath);
-    const lineReader = readline.createInterface({
-      input: readStream,
-      crlfDelay: Infinity
-    });
-
-    lineReader.on('line', () => {
-      lineCount++;
-    });
-
-    lineReader.on('close', () => {
-      resolve(lineCount);
-    });
-
-    lineReader.on('error', (err) => {
-      reject(err);
-    });
-  });
-}
+const inputReader = require('../input/input-file-reader');
 
 // Create a multi bar container
 const _multiBar = new progress.MultiBar({
@@ -46,22 +16,37 @@ let _progressBar = null;
 /**
  * Initializes the 'cli-progress' progress bars for the migration process.
  * 
- * @param {string} filePath - The path to the migration input CSV file
+ * @param {string} filePath - The path to the migration input file
+ * @param {Object} [inputOptions] - Options to read the input file (see `inputReader.resolveInputOptions`)
+ * @param {Object|null} [rowSelection] - Only the selected records are counted (see `rowSelection.resolveRowSelection`)
+ * @param {Object|null} [skippedRows] - Input records known to be skipped (e.g. when resuming) are not counted
+ *                                      (see `inputReader.countRecords_Async`)
  */
-async function init_Async(filePath) {
-    const fileCount = await _countLines_Async(filePath);
-    const totalCount = fileCount - 1; // subtracting the header line
+async function init_Async(filePath, inputOptions = {}, rowSelection = null, skippedRows = null) {
+    // Records are counted with the same parser as used for processing (fields may contain newlines)
+    const totalCount = await inputReader.countRecords_Async(filePath, inputOptions, rowSelection, skippedRows);
+    start(totalCount);
+}
+
+/**
+ * Initializes the 'cli-progress' progress bars for the known count of the operations
+ * (when the operations are not driven by the input file).
+ * 
+ * @param {number} totalCount - The count of the operations to be performed
+ */
+function start(totalCount) {
     const init_stats = {
         concurrent: 0,
         succeeded: 0,
-        failed: 0
+        failed: 0,
+        throttling: ''
     };
     _progressBar = _multiBar.create(totalCount, 0, init_stats, {
-        format: '(🔀{concurrent}) ⏳ [{bar}] ETA: {eta_formatted}',
+        format: '(🔀{concurrent}){throttling} ⏳ [{bar}] ETA: {eta_formatted}',
         fps: 5
     });
     _statusBar = _multiBar.create(totalCount, 0, init_stats, {
-        format: 'Attempted: {value} (✅{succeeded} /❌{failed}) out of estimated* {total}  (* counted newlines in the input file)',
+        format: 'Attempted: {value} (✅{succeeded} /❌{failed}) out of {total}',
         fps: 5
     });
 }
@@ -79,6 +64,45 @@ function update(concurrent, attempted, succeeded, failed) {
     _statusBar.update(attempted, { succeeded, failed, concurrent });
 }
 
+/**
+ * Excludes operations from the total (for example, input rows not processed as duplicates).
+ * 
+ * @param {number} count - The count of the operations to exclude
+ */
+function excludeFromTotal(count) {
+    for (const bar of [_progressBar, _statusBar]) {
+        if (bar) {
+            bar.setTotal(Math.max(bar.getTotal() - count, 0));
+        }
+    }
+}
+
+/**
+ * Indicates in the progress bar whether operations are throttled by the rate limiter.
+ *
+ * @param {number|null} maxOpsPerMinute - The rate limit while throttling is active (null once not throttled)
+ */
+function setThrottling(maxOpsPerMinute) {
+    if (!_progressBar) {
+        return;
+    }
+    _progressBar.update({ throttling: maxOpsPerMinute ? ` (🚦 throttled to ${maxOpsPerMinute}/min)` : '' });
+}
+
+/**
+ * Outputs a message above the progress bars (without breaking them).
+ * 
+ * @param {string} message - The message to output
+ */
+function log(message) {
+    // Progress bars are not rendered (and the buffered messages not flushed) when output is not a terminal
+    if (!_multiBar.terminal.isTTY()) {
+        console.log(message);
+        return;
+    }
+    _multiBar.log(`${message}\n`);
+}
+
 /**
  * Stops the 'cli-progress' progress bars for the migration process.
  */
@@ -88,6 +112,10 @@ function stop() {
 
 module.exports = {
     init_Async,
+    start,
     update,
+    excludeFromTotal,
+    setThrottling,
+    log,
     stop
 }
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview This module implements producing the reverse rename input file from the log file of the `rename` run:
+ * a record for each renamed asset, renaming it back to the previous public_id and delivery type (and moving it back to the previous asset folder).
+ *
+ * The file has the columns read by the default `__input-to-rename-payload.js` module,
+ * so that the rename can be rolled back by the `rename` command.
+ */
+
+const fs = require('node:fs');
+const {pipeline} = require('node:stream/promises');
+const {Readable} = require('node:stream');
+const {stringify} = require('csv-stringify');
+const logFileReader = require('../input/log-file-reader');
+const renameAssetPayload = require('../payload/rename');
+
+const REVERSE_RENAME_COLUMNS = ['from_public_id', 'to_public_id', 'resource_type', 'type', 'to_type', 'asset_folder', 'restore_asset_folder'];
+
+
+/**
+ * Resolves the reverse rename input record for the `payload` log record of the `rename` run.
+ *
+ * @param {Object} logRec - The `payload` log record.
+ * @returns {Object|null} - The reverse rename input record (null if the asset was not renamed).
+ */
+function resolveReverseRenameRecord(logRec) {
+    const status = logRec.summary ? logRec.summary.status : null;
+    let renamed = null;
+    if (status === renameAssetPayload.STATUS.SUCCEEDED) {
+        renamed = logRec.response;
+    } else if (status === renameAssetPayload.STATUS.FOLDER_NOT_UPDATED) {
+        // Renamed, but not moved to another asset folder (see `AssetFolderNotUpdatedError`)
+        renamed = logRec.summary.err ? logRec.summary.err.renamed : null;
+    }
+    if (!renamed || !logRec.payload) {
+        return null;
+    }
+
+    // Asset moved from the root asset folder has empty previous asset folder
+    const movedFromAssetFolder = status === renameAssetPayload.STATUS.SUCCEEDED ? renamed.previous_asset_folder : undefined;
+    const previousType = (logRec.payload.options && logRec.payload.options.type) || 'upload';
+    return {
+        from_public_id       : renamed.public_id,
+        to_public_id         : logRec.payload.fromPublicId,
+        resource_type        : renamed.resource_type,
+        type                 : renamed.type,
+        // Empty if the delivery type was not changed
+        to_type              : previousType !== renamed.type ? previousType : '',
+        asset_folder         : movedFromAssetFolder !== undefined ? movedFromAssetFolder : '',
+        // Tells the asset folder (even if empty) is applied, empty if the asset was not moved (asset folder is kept)
+        restore_asset_folder : movedFromAssetFolder !== undefined ? 'true' : '',
+    };
+}
+
+
+/**
+ * Asynchronously generates reverse rename input records from the log file of the `rename` run.
+ *
+ * @async
+ * @generator
+ * @param {string} logFilePath - Path to the log file.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the log file (entire file if not provided).
+ * @yields {Object} - The reverse rename input record (see `resolveReverseRenameRecord`).
+ */
+async function* _getReverseRenameRecordGenerator_Async(logFilePath, logFileSize) {
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath, logFileSize)) {
+        const reverseRec = resolveReverseRenameRecord(logRec);
+        if (reverseRec) {
+            yield reverseRec;
+        }
+    }
+}
+
+
+/**
+ * Writes the reverse rename input file (CSV) for the assets renamed by the `rename` run.
+ *
+ * @param {string} logFilePath - Path to the log file of the `rename` run.
+ * @param {string} reverseInputFilePath - Path to the reverse rename input file to write.
+ * @param {number} [logFileSize] - Only read this many bytes from the start of the log file (entire file if not provided).
+ * @returns {Promise<number>} - Number of the records written.
+ */
+async function writeReverseRenameInputFile_Async(logFilePath, reverseInputFilePath, logFileSize = undefined) {
+    let writtenCount = 0;
+    await pipeline(
+        Readable.from(_getReverseRenameRecordGenerator_Async(logFilePath, logFileSize)),
+        async function* (reverseRecs) {
+            for await (const reverseRec of reverseRecs) {
+                writtenCount += 1;
+                yield reverseRec;
+            }
+        },
+        stringify({ header: true, columns: REVERSE_RENAME_COLUMNS }),
+        fs.createWriteStream(reverseInputFilePath)
+    );
+    return writtenCount;
+}
+
+module.exports = {
+    resolveReverseRenameRecord,
+    writeReverseRenameInputFile_Async,
+    REVERSE_RENAME_COLUMNS
+};
@@ -0,0 +1,79 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    resolveReverseRenameRecord,
+    writeReverseRenameInputFile_Async
+} = require('./rename-reversal');
+
+
+describe('resolveReverseRenameRecord', () => {
+    const payload = { fromPublicId: 'old/a', toPublicId: 'new/a', options: {} };
+    const renamed = { public_id: 'new/a', resource_type: 'video', type: 'upload' };
+
+    it('should rename the asset back to the previous public_id and asset folder', () => {
+        expect(resolveReverseRenameRecord({
+            payload,
+            response : { ...renamed, asset_folder: 'new', previous_asset_folder: 'old' },
+            summary  : { status: 'RENAMED', err: null },
+        })).toEqual({ from_public_id: 'new/a', to_public_id: 'old/a', resource_type: 'video', type: 'upload', to_type: '', asset_folder: 'old', restore_asset_folder: 'true' });
+    });
+
+    it('should move the asset back to the root asset folder', () => {
+        expect(resolveReverseRenameRecord({
+            payload,
+            response : { ...renamed, asset_folder: 'new', previous_asset_folder: '' },
+            summary  : { status: 'RENAMED', err: null },
+        })).toEqual({ from_public_id: 'new/a', to_public_id: 'old/a', resource_type: 'video', type: 'upload', to_type: '', asset_folder: '', restore_asset_folder: 'true' });
+    });
+
+    it('should change the asset back to the previous delivery type', () => {
+        expect(resolveReverseRenameRecord({
+            payload  : { ...payload, options: { type: 'private', to_type: 'upload' } },
+            response : renamed,
+            summary  : { status: 'RENAMED', err: null },
+        })).toEqual({ from_public_id: 'new/a', to_public_id: 'old/a', resource_type: 'video', type: 'upload', to_type: 'private', asset_folder: '', restore_asset_folder: '' });
+    });
+
+    it('should keep the asset folder of the asset not moved', () => {
+        expect(resolveReverseRenameRecord({
+            payload,
+            response : null,
+            summary  : { status: 'FOLDER_NOT_UPDATED', err: { name: 'AssetFolderNotUpdatedError', renamed } },
+        })).toEqual({ from_public_id: 'new/a', to_public_id: 'old/a', resource_type: 'video', type: 'upload', to_type: '', asset_folder: '', restore_asset_folder: '' });
+    });
+
+    it('should skip the asset not renamed', () => {
+        expect(resolveReverseRenameRecord({ payload, response: null, summary: { status: 'TARGET_EXISTS', err: { message: 'already exists' } } })).toBeNull();
+        expect(resolveReverseRenameRecord({ payload: null, response: null, summary: { status: 'DUPLICATE_IN_INPUT', err: 'Not processed' } })).toBeNull();
+    });
+});
+
+
+describe('writeReverseRenameInputFile_Async', () => {
+    let tmpFolder = null;
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-rename-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should write a record for each renamed asset', async () => {
+        const logFilePath = path.join(tmpFolder, 'log.jsonl');
+        fs.writeFileSync(logFilePath, [
+            { flow: 'payload', row: 1, payload: { fromPublicId: 'a', toPublicId: 'x/a' }, response: { public_id: 'x/a', resource_type: 'image', type: 'upload' }, summary: { status: 'RENAMED' } },
+            { flow: 'payload', row: 2, payload: { fromPublicId: 'b', toPublicId: 'x/b' }, response: null, summary: { status: 'NOT_FOUND', err: { http_code: 404 } } },
+            { flow: 'script', msg: 'Routine complete' },
+        ].map(logRec => JSON.stringify(logRec)).join('\n'));
+        const reverseInputFilePath = path.join(tmpFolder, 'reverse-rename-input.csv');
+
+        await expect(writeReverseRenameInputFile_Async(logFilePath, reverseInputFilePath)).resolves.toEqual(1);
+        expect(fs.readFileSync(reverseInputFilePath, 'utf8')).toEqual(
+            'from_public_id,to_public_id,resource_type,type,to_type,asset_folder,restore_asset_folder\n' +
+            'x/a,a,image,upload,,,\n'
+        );
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview This module implements consolidation of the reports produced by the initial run
+ * and the subsequent "recovery" runs into the final report with the latest outcome for each input row.
+ *
+ * Input rows are matched across the runs by the key column (row numbers differ between the initial and the recovery inputs).
+ * Reports are processed in two passes to avoid loading them into memory:
+ *  - first pass resolves where the latest outcome for each input row is reported
+ *  - second pass writes the latest outcomes to the final report
+ */
+
+const fs = require('node:fs');
+const {pipeline} = require('node:stream/promises');
+const {Readable} = require('node:stream');
+const {stringify} = require('csv-stringify');
+const logging = require('./logging');
+const reporting = require('./reporting');
+const csvReader = require('../input/csv-file-reader');
+
+/* ℹ️ 👇 Module intended to be customized */
+const logToReport = require('../../__log-to-report');
+
+// Column added to the final report to identify the run the outcome was reported by
+const RUN_COLUMN = 'Cld_Run';
+
+
+/**
+ * Custom error class representing the run that can not be consolidated
+ * (no report nor log file in the output folder, or no key column in the report).
+ *
+ * @class InvalidRunReportError
+ * @extends {Error}
+ */
+class InvalidRunReportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidRunReportError';
+    }
+}
+
+
+/**
+ * Resolves the report records source for the run output folder: the report file or the log file (if there is no report).
+ *
+ * @param {string} outputFolder - The run output folder.
+ * @returns {Object|null} - `type` ('report' or 'log') and `path` (null if neither file exists).
+ */
+function resolveRunSource(outputFolder) {
+    const reportFilePath = reporting.getReportFilePath(outputFolder);
+    if (fs.existsSync(reportFilePath)) {
+        return { type: 'report', path: reportFilePath };
+    }
+    const logFilePath = logging.getLogFilePath(outputFolder);
+    if (fs.existsSync(logFilePath)) {
+        return { type: 'log', path: logFilePath };
+    }
+    return null;
+}
+
+
+/**
+ * Asynchronously generates the report records of the run.
+ *
+ * @async
+ * @generator
+ * @param {Object} runSource - The run source (see `resolveRunSource`).
+ * @yields {Object} - The report record.
+ */
+async function* _getRunRecordGenerator_Async(runSource) {
+    if (runSource.type === 'report') {
+        yield* csvReader.getRecordGenerator_Async(runSource.path);
+    } else {
+        yield* logToReport.getReportRecordGenerator_Async(runSource.path);
+    }
+}
+
+
+/**
+ * Resolves the key identifying the input row across the runs.
+ * Records with no value in the key column can not be matched, so each of them is treated as a separate row.
+ *
+ * @param {Object} reportRec - The report record.
+ * @param {string} keyColumn - The input column uniquely identifying each row.
+ * @param {number} runIndex - Index of the run.
+ * @param {number} recIndex - Index of the record in the run report.
+ * @returns {string} - The row key.
+ */
+function _getRowKey(reportRec, keyColumn, runIndex, recIndex) {
+    const keyValue = reportRec[keyColumn];
+    if (keyValue === undefined || keyValue === null || keyValue === '') {
+        return `\u0000${runIndex}:${recIndex}`;
+    }
+    return String(keyValue);
+}
+
+
+/**
+ * Consolidates reports of the runs into the final report.
+ *
+ * @param {string[]} outputFolders - Output folders of the runs (the initial run first, then the recovery runs in order).
+ * @param {string} keyColumn - The input column uniquely identifying each row across the runs.
+ * @param {string} reportFilePath - Path to the final report file.
+ * @returns {Promise<Object[]>} - Summary for each run: `run`, `source`, `rows` (latest outcomes reported by the run),
+ *                                `succeeded`, `failed` and `fixed` (rows that did not succeed in the earlier runs).
+ * @throws {InvalidRunReportError} - If the run has neither report nor log file, or its report has no key column.
+ */
+async function consolidateReports_Async(outputFolders, keyColumn, reportFilePath) {
+    const runSources = outputFolders.map(outputFolder => {
+        const runSource = resolveRunSource(outputFolder);
+        if (!runSource) {
+            throw new InvalidRunReportError(`Neither report nor log file found in the folder '${outputFolder}'`);
+        }
+        return runSource;
+    });
+
+    // First pass: locating the latest outcome for each row
+    const rowKey2Outcome = new Map();
+    const columns = new Set();
+    for (const [runIndex, runSource] of runSources.entries()) {
+        let recIndex = -1;
+        const runColumns = new Set();
+        for await (const reportRec of _getRunRecordGenerator_Async(runSource)) {
+            recIndex += 1;
+            Object.keys(reportRec).forEach(column => runColumns.add(column));
+
+            const rowKey = _getRowKey(reportRec, keyColumn, runIndex, recIndex);
+            const earlierOutcome = rowKey2Outcome.get(rowKey);
+            rowKey2Outcome.set(rowKey, {
+                runIndex,
+                recIndex,
+                succeeded       : logToReport.SUCCEEDED_STATUSES.includes(reportRec.Cld_Status),
+                // Row did not succeed in one of the earlier runs (outcomes reported earlier by the same run do not count)
+                failedInEarlier : earlierOutcome !== undefined && (earlierOutcome.failedInEarlier ||
+                    (earlierOutcome.runIndex < runIndex && !earlierOutcome.succeeded)),
+            });
+        }
+        // Misspelled key column would otherwise treat each record as a separate row (and report all of them)
+        if (recIndex >= 0 && !runColumns.has(keyColumn)) {
+            throw new InvalidRunReportError(`Key column '${keyColumn}' not found in the report of the run '${outputFolders[runIndex]}' (columns: ${[...runColumns].join(', ')})`);
+        }
+        runColumns.forEach(column => columns.add(column));
+    }
+
+    const summary = outputFolders.map((outputFolder, runIndex) => ({
+        run       : outputFolder,
+        source    : runSources[runIndex].path,
+        rows      : 0,
+        succeeded : 0,
+        failed    : 0,
+        fixed     : 0,
+    }));
+    const latestRecIndexesPerRun = runSources.map(() => new Set());
+    for (const outcome of rowKey2Outcome.values()) {
+        const runSummary = summary[outcome.runIndex];
+        runSummary.rows += 1;
+        runSummary[outcome.succeeded ? 'succeeded' : 'failed'] += 1;
+        if (outcome.succeeded && outcome.failedInEarlier) {
+            runSummary.fixed += 1;
+        }
+        latestRecIndexesPerRun[outcome.runIndex].add(outcome.recIndex);
+    }
+    rowKey2Outcome.clear();
+
+    // Second pass: writing the latest outcomes to the final report
+    async function* yieldLatestRecords_Async() {
+        for (const [runIndex, runSource] of runSources.entries()) {
+            let recIndex = -1;
+            for await (const reportRec of _getRunRecordGenerator_Async(runSource)) {
+                recIndex += 1;
+                if (latestRecIndexesPerRun[runIndex].has(recIndex)) {
+                    yield {...reportRec, [RUN_COLUMN]: outputFolders[runIndex]};
+                }
+            }
+        }
+    }
+    await pipeline(
+        Readable.from(yieldLatestRecords_Async()),
+        stringify({ header: true, columns: [...columns].filter(column => column !== RUN_COLUMN).concat(RUN_COLUMN) }),
+        fs.createWriteStream(reportFilePath)
+    );
+
+    return summary;
+}
+
+
+/**
+ * Writes the consolidation summary to the CSV file.
+ *
+ * @param {Object[]} summary - The consolidation summary (see `consolidateReports_Async`).
+ * @param {string} summaryFilePath - Path to the summary file.
+ * @returns {Promise<void>} - Resolves once the file is completely written.
+ */
+async function writeSummaryFile_Async(summary, summaryFilePath) {
+    await pipeline(
+        Readable.from(summary),
+        stringify({ header: true }),
+        fs.createWriteStream(summaryFilePath)
+    );
+}
+
+
+module.exports = {
+    resolveRunSource,
+    consolidateReports_Async,
+    writeSummaryFile_Async,
+    InvalidRunReportError,
+    RUN_COLUMN
+};
@@ -0,0 +1,100 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { consolidateReports_Async, resolveRunSource, InvalidRunReportError } = require('./report-consolidation');
+
+
+let tmpFolder = null;
+
+// Creates run output folder with the provided report and log file contents
+function createRunFolder(name, { report, log } = {}) {
+    const folder = path.join(tmpFolder, name);
+    fs.mkdirSync(folder);
+    if (report) { fs.writeFileSync(path.join(folder, 'report.csv'), report); }
+    if (log)    { fs.writeFileSync(path.join(folder, 'log.jsonl'), log); }
+    return folder;
+}
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-consolidation-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('resolveRunSource', () => {
+    it('should prefer the report file over the log file', () => {
+        const folder = createRunFolder('run', { report: 'sku\n', log: '\n' });
+        expect(resolveRunSource(folder)).toEqual({ type: 'report', path: path.join(folder, 'report.csv') });
+    });
+
+    it('should use the log file if there is no report', () => {
+        const folder = createRunFolder('run', { log: '\n' });
+        expect(resolveRunSource(folder)).toEqual({ type: 'log', path: path.join(folder, 'log.jsonl') });
+    });
+
+    it('should return null if neither file exists', () => {
+        expect(resolveRunSource(createRunFolder('run'))).toBeNull();
+    });
+});
+
+
+describe('consolidateReports_Async', () => {
+    it('should report the latest outcome for each row and count rows fixed by each run', async () => {
+        const initialRun = createRunFolder('initial', { report: [
+            'sku,Cld_Status,Cld_Error',
+            'A,MIGRATED,',
+            'B,FAILED,boom',
+            'C,FAILED,boom',
+            'D,FAILED,boom',
+        ].join('\n') });
+        const firstRecovery = createRunFolder('first', { report: [
+            'sku,Cld_Status,Cld_Error',
+            'B,MIGRATED,',
+            'C,FAILED,boom again',
+        ].join('\n') });
+        const secondRecovery = createRunFolder('second', { log: [
+            JSON.stringify({ flow: 'script', msg: 'Starting' }),
+            JSON.stringify({ flow: 'payload', row: 1, input: { sku: 'C' }, summary: { status: 'MIGRATED', err: null }, response: { public_id: 'C' }, attempts: [{}] }),
+        ].join('\n') });
+
+        const reportFilePath = path.join(tmpFolder, 'final.csv');
+        const summary = await consolidateReports_Async([initialRun, firstRecovery, secondRecovery], 'sku', reportFilePath);
+
+        expect(summary.map(({ rows, succeeded, failed, fixed }) => ({ rows, succeeded, failed, fixed }))).toEqual([
+            { rows: 2, succeeded: 1, failed: 1, fixed: 0 },
+            { rows: 1, succeeded: 1, failed: 0, fixed: 1 },
+            { rows: 1, succeeded: 1, failed: 0, fixed: 1 },
+        ]);
+
+        const reportLines = fs.readFileSync(reportFilePath, 'utf8').trim().split('\n');
+        expect(reportLines[0]).toEqual('sku,Cld_Status,Cld_Error,Cld_Operation,Cld_PublicId,Cld_ResourceType,Cld_Type,Cld_Etag,Cld_Attempts,Cld_Run');
+        expect(reportLines.slice(1).map(line => line.split(',').slice(0, 2).join(','))).toEqual([
+            'A,MIGRATED', 'D,FAILED', 'B,MIGRATED', 'C,MIGRATED'
+        ]);
+    });
+
+    it('should not count rows succeeded on resuming the same run as fixed', async () => {
+        const resumedRun = createRunFolder('resumed', { log: [
+            JSON.stringify({ flow: 'payload', row: 1, input: { sku: 'A' }, summary: { status: 'FAILED', err: { message: 'boom' } }, attempts: [{}] }),
+            JSON.stringify({ flow: 'payload', row: 1, input: { sku: 'A' }, summary: { status: 'MIGRATED', err: null }, response: {}, attempts: [{}] }),
+        ].join('\n') });
+        const summary = await consolidateReports_Async([resumedRun], 'sku', path.join(tmpFolder, 'final.csv'));
+        expect(summary[0]).toEqual(expect.objectContaining({ rows: 1, succeeded: 1, fixed: 0 }));
+    });
+
+    it('should throw error if neither report nor log file exists', async () => {
+        await expect(consolidateReports_Async([createRunFolder('empty')], 'sku', path.join(tmpFolder, 'final.csv'))).rejects.toThrow(InvalidRunReportError);
+    });
+
+    it('should throw error if the key column is not found in the report', async () => {
+        const initialRun = createRunFolder('initial', { report: 'sku,Cld_Status\nA,MIGRATED\n' });
+        const finalReportFilePath = path.join(tmpFolder, 'final.csv');
+
+        await expect(consolidateReports_Async([initialRun], 'SKU', finalReportFilePath))
+            .rejects.toThrow(`Key column 'SKU' not found in the report of the run '${initialRun}' (columns: sku, Cld_Status)`);
+        expect(fs.existsSync(finalReportFilePath)).toBe(false);
+    });
+});
@@ -3,6 +3,7 @@
  */
 
 const path = require('node:path');
+const {once} = require('node:events');
 
 /**
  * Returns report file path within provided output folder.
@@ -14,6 +15,93 @@ function getReportFilePath(outputFolder) {
     return path.join(outputFolder, 'report.csv');
 }
 
+/**
+ * Returns validation report file path within provided output folder.
+ *
+ * @param {string} outputFolder - The output folder path.
+ * @returns {string} - The path to the 'validation.csv' file within the output folder.
+ */
+function getValidationReportFilePath(outputFolder) {
+    return path.join(outputFolder, 'validation.csv');
+}
+
+/**
+ * Returns duplicates report file path within provided output folder.
+ *
+ * @param {string} outputFolder - The output folder path.
+ * @returns {string} - The path to the 'duplicates.csv' file within the output folder.
+ */
+function getDuplicatesReportFilePath(outputFolder) {
+    return path.join(outputFolder, 'duplicates.csv');
+}
+
+/**
+ * Returns reverse rename input file path within provided output folder.
+ *
+ * @param {string} outputFolder - The output folder path.
+ * @returns {string} - The path to the 'reverse-rename-input.csv' file within the output folder.
+ */
+function getReverseRenameInputFilePath(outputFolder) {
+    return path.join(outputFolder, 'reverse-rename-input.csv');
+}
+
+/**
+ * Returns recovery input file path within provided output folder.
+ *
+ * @param {string} outputFolder - The output folder path.
+ * @param {string} [extension] - The file extension ('csv' by default, 'jsonl' for the nested input records).
+ * @returns {string} - The path to the 'recovery-input.csv' (or 'recovery-input.jsonl') file within the output folder.
+ */
+function getRecoveryInputFilePath(outputFolder, extension = 'csv') {
+    return path.join(outputFolder, `recovery-input.${extension}`);
+}
+
+/**
+ * Flattens nested values of the record so that it can be written to a CSV file:
+ *  - nested objects are flattened into columns named by the path to the value (for example, `metadata.color`)
+ *  - arrays are serialized as JSON
+ *
+ * @param {Object} record - The record (for example, input record read from JSON Lines file).
+ * @returns {Object} - The record with no nested values.
+ */
+function flattenRecord(record) {
+    const flatRecord = {};
+    const flattenInto = (value, column) => {
+        if (Array.isArray(value)) {
+            flatRecord[column] = JSON.stringify(value);
+        } else if (value !== null && typeof value === 'object') {
+            for (const [key, nestedValue] of Object.entries(value)) {
+                flattenInto(nestedValue, column ? `${column}.${key}` : key);
+            }
+        } else {
+            flatRecord[column] = value;
+        }
+    };
+    flattenInto(record || {}, '');
+    return flatRecord;
+}
+
+/**
+ * Writes the record to the report stream (for example, `csv-stringify` stringifier).
+ * Waits for the stream to drain when its buffer is full, so that records produced faster than they are written
+ * do not pile up in memory.
+ *
+ * @param {stream.Writable} reportStream - The report stream.
+ * @param {Object} record - The report record.
+ * @returns {Promise<void>} - Resolves once the stream can accept more records.
+ */
+async function writeRecord_Async(reportStream, record) {
+    if (!reportStream.write(record)) {
+        await once(reportStream, 'drain');
+    }
+}
+
 module.exports = {
-    getReportFilePath
+    getReportFilePath,
+    getValidationReportFilePath,
+    getDuplicatesReportFilePath,
+    getRecoveryInputFilePath,
+    getReverseRenameInputFilePath,
+    flattenRecord,
+    writeRecord_Async
 }
\ No newline at end of file
@@ -0,0 +1,47 @@
+const {Writable} = require('node:stream');
+const { flattenRecord, writeRecord_Async } = require('./reporting');
+
+
+describe('flattenRecord', () => {
+    it('should leave flat record as is', () => {
+        expect(flattenRecord({ sku: 'A', width: 100, missing: null })).toEqual({ sku: 'A', width: 100, missing: null });
+    });
+
+    it('should flatten nested objects into columns named by the path', () => {
+        expect(flattenRecord({ sku: 'A', metadata: { color: 'red', dimensions: { width: 100 } } })).toEqual({
+            'sku'                       : 'A',
+            'metadata.color'            : 'red',
+            'metadata.dimensions.width' : 100,
+        });
+    });
+
+    it('should serialize arrays as JSON', () => {
+        expect(flattenRecord({ tags: ['red', 'summer'], sizes: [] })).toEqual({ tags: '["red","summer"]', sizes: '[]' });
+    });
+});
+
+
+describe('writeRecord_Async', () => {
+    it('should wait for the report stream to drain when its buffer is full', async () => {
+        const writtenRecords = [];
+        let completeWrite = null;
+        const reportStream = new Writable({
+            objectMode: true,
+            highWaterMark: 1,
+            write(record, encoding, callback) {
+                writtenRecords.push(record);
+                completeWrite = callback;
+            },
+        });
+
+        let written = false;
+        const pending = writeRecord_Async(reportStream, { a: 1 }).then(() => { written = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(written).toBe(false);
+
+        completeWrite();
+        await pending;
+        expect(written).toBe(true);
+        expect(writtenRecords).toEqual([{ a: 1 }]);
+    });
+});
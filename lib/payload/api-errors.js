@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Encapsulates details on errors raised by Cloudinary SDK for API operations.
+ *
+ * Cloudinary SDK rejects either with the API error ({message, http_code})
+ * or with an object wrapping it ({error: {message, http_code, name}}), for example on request timeout.
+ */
+
+/**
+ * Unwraps the error details from the error raised by Cloudinary SDK.
+ *
+ * @param {Object} err - The error raised by the operation.
+ * @returns {Object} - The error details.
+ */
+function _unwrap(err) {
+    if (err && err.error && typeof err.error === 'object') {
+        return err.error;
+    }
+    return err || {};
+}
+
+/**
+ * Resolves the HTTP status code for the error raised by Cloudinary SDK.
+ *
+ * @param {Object} err - The error raised by the operation.
+ * @returns {number|undefined} - The HTTP status code (if reported).
+ */
+function getHttpCode(err) {
+    return _unwrap(err).http_code;
+}
+
+/**
+ * Resolves the message for the error raised by Cloudinary SDK.
+ *
+ * @param {Object} err - The error raised by the operation.
+ * @returns {string} - The error message (empty string if not reported).
+ */
+function getMessage(err) {
+    const message = _unwrap(err).message;
+    return message ? String(message) : '';
+}
+
+module.exports = {
+    getHttpCode,
+    getMessage
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Encapsulate implementation of deleting Cloudinary assets via Cloudinary Admin API.
+ *
+ * Admin API deletes up to 100 assets per call: assets of the rows processed concurrently are deleted in batches
+ * (assets with the same `resource_type`, `type` and `invalidate` options), while the outcome is still reported per row.
+ * The rate limit and the adaptive concurrency limit apply to each API call rather than to each row.
+ */
+const cloudinary = require('cloudinary').v2;
+const apiErrors = require('./api-errors');
+const adaptiveConcurrency = require('../adaptive-concurrency');
+const inputValidation = require('../input/input-validation');
+const rateLimiter = require('../rate-limiter');
+
+/* ℹ️ 👇 Module intended to be customized */
+// Logic to convert each CSV record into parameters for the Cloudinary Admin API
+const {input2ApiPayload_Async} = require('../../__input-to-delete-payload');
+
+/**
+ * Statuses reported for the delete operation (in the log and the report)
+ * @readonly
+ * @enum {string}
+ */
+const STATUS = {
+    SUCCEEDED : 'DELETED',
+    NOT_FOUND : 'NOT_FOUND',
+    FAILED    : 'FAILED'
+}
+
+// Max number of assets Admin API deletes per call
+// (the main loop processes as many rows concurrently for each of the concurrent API calls)
+const MAX_ROWS_PER_API_CALL = 100;
+// Time to wait for more rows to join the batch before deleting it
+const BATCH_LINGER_MS = 200;
+
+
+/**
+ * Checks whether the API call was rejected due to the request itself (4xx error, other than rate limiting or timeout),
+ * so the error may apply to some of the assets deleted together only.
+ *
+ * @param {Object} err - The error raised by the API call.
+ * @returns {boolean} - True if the request was rejected.
+ */
+function _isRejectedRequestError(err) {
+    const httpCode = apiErrors.getHttpCode(err);
+    return httpCode >= 400 && httpCode < 500 && !adaptiveConcurrency.isThrottlingError(err);
+}
+
+
+/**
+ * Creates batcher collecting assets to delete into batches.
+ * The batch is deleted once it is full or once the linger time elapses since the first asset was added.
+ *
+ * When the API call is rejected for the whole batch (4xx error, for example, due to a single malformed public ID),
+ * each asset of the batch is re-attempted in a separate API call so that the error is reported for the affected rows only.
+ * Other errors (server errors, rate limiting, timeouts) are reported for each asset of the batch as is
+ * and are left to the retry policy of the operation (re-attempting right away would only add load).
+ *
+ * @param {Object} options
+ * @param {function} options.deleteResources_Async - Deletes the assets: `(publicIds, options) => Promise<response>`.
+ * @param {number} [options.maxBatchSize] - Max number of assets in the batch.
+ * @param {number} [options.lingerMs] - Time to wait for more assets to join the batch.
+ * @returns {Object} - The batcher exposing `delete_Async(publicId, options)`.
+ */
+function createDeletionBatcher({ deleteResources_Async, maxBatchSize = MAX_ROWS_PER_API_CALL, lingerMs = BATCH_LINGER_MS }) {
+    // Pending batches by the API call options
+    const pendingBatches = new Map();
+
+    /**
+     * Deletes the assets in a single API call and settles the promise of each of them.
+     *
+     * @param {Object[]} entries - The assets to delete (`publicId`, `resolve` and `reject`).
+     * @param {Object} options - `resource_type`, `type` and `invalidate` options for the Admin API call.
+     */
+    async function _deleteEntries_Async(entries, options) {
+        const response = await deleteResources_Async(entries.map(entry => entry.publicId), options);
+        const deleted = response.deleted || {};
+        for (const {publicId, resolve, reject} of entries) {
+            const result = deleted[publicId];
+            if (result === 'deleted') {
+                resolve({ public_id: publicId, resource_type: options.resource_type, type: options.type, result });
+            } else if (result === 'not_found') {
+                reject({ message: `Resource not found - ${publicId}`, http_code: 404 });
+            } else {
+                reject({ message: `Not deleted: ${result || 'not reported by Admin API'}` });
+            }
+        }
+    }
+
+    /**
+     * Deletes the batch and settles the promise of each asset in it.
+     *
+     * @param {string} batchKey - The batch key.
+     */
+    async function _flush_Async(batchKey) {
+        const batch = pendingBatches.get(batchKey);
+        pendingBatches.delete(batchKey);
+        clearTimeout(batch.timer);
+        try {
+            await _deleteEntries_Async(batch.entries, batch.options);
+        } catch (batchErr) {
+            if (batch.entries.length === 1 || !_isRejectedRequestError(batchErr)) {
+                batch.entries.forEach(({reject}) => reject(batchErr));
+                return;
+            }
+            for (const entry of batch.entries) {
+                try {
+                    await _deleteEntries_Async([entry], batch.options);
+                } catch (err) {
+                    entry.reject(err);
+                }
+            }
+        }
+    }
+
+    /**
+     * Deletes the asset (along with the other assets of the batch).
+     *
+     * @param {string} publicId - The public ID of the asset.
+     * @param {Object} options - `resource_type`, `type` and `invalidate` options for the Admin API call.
+     * @returns {Promise<Object>} - Resolves to `public_id`, `resource_type`, `type` and `result` once deleted,
+     *                              rejects with the API error otherwise (404 if the asset does not exist).
+     */
+    function delete_Async(publicId, options) {
+        const batchKey = JSON.stringify([options.resource_type, options.type, options.invalidate]);
+        let batch = pendingBatches.get(batchKey);
+        if (!batch) {
+            batch = { options, entries: [], timer: null };
+            batch.timer = setTimeout(() => _flush_Async(batchKey), lingerMs);
+            pendingBatches.set(batchKey, batch);
+        }
+        const deleted_Async = new Promise((resolve, reject) => batch.entries.push({publicId, resolve, reject}));
+        if (batch.entries.length >= maxBatchSize) {
+            _flush_Async(batchKey);
+        }
+        return deleted_Async;
+    }
+
+    return { delete_Async };
+}
+
+
+// Adaptive concurrency limiter of the main loop (null unless concurrency is adaptive)
+let _concurrencyLimiter = null;
+
+// Singleton pattern: rows processed concurrently share the batcher
+const _batcher = createDeletionBatcher({
+    deleteResources_Async: async (publicIds, options) => {
+        // Each API call (rather than each row) counts towards the rate limit and the concurrency limit
+        return await adaptiveConcurrency.invokeWithinLimit_Async(_concurrencyLimiter, async () => {
+            await rateLimiter.acquire_Async();
+            return await cloudinary.api.delete_resources(publicIds, options);
+        });
+    },
+});
+
+
+/**
+ * Sets the adaptive concurrency limiter to apply to each API call (the main loop does not limit the rows individually).
+ *
+ * @param {Object|null} concurrencyLimiter - The limiter created with `createAdaptiveConcurrencyLimiter` (null for none).
+ */
+function setConcurrencyLimiter(concurrencyLimiter) {
+    _concurrencyLimiter = concurrencyLimiter;
+}
+
+
+/**
+ * Deletes the Cloudinary asset using the provided payload.
+ *
+ * @param {Object} payload - The payload for the delete operation.
+ * @param {string} payload.publicId - The public ID of the asset to be deleted.
+ * @param {Object} payload.options - The options for the Cloudinary Admin API call (`resource_type`, `type` and `invalidate`).
+ * @returns {Promise<Object>} A promise that resolves to the result of the delete operation for the asset.
+ */
+async function payloadFunc_Async(payload) {
+    const options = payload.options || {};
+    return await _batcher.delete_Async(inputValidation.resolvePayloadPublicId(payload), {
+        resource_type : options.resource_type || 'image',
+        type          : options.type || 'upload',
+        invalidate    : options.invalidate === true || options.invalidate === 'true',
+    });
+}
+
+/**
+ * Resolves the status to be reported for the delete operation.
+ *
+ * @param {Object|null} err - The error raised by the delete operation (null if the operation succeeded).
+ * @returns {string} - One of the STATUS values.
+ */
+function resolveStatus(err) {
+    if (!err) {
+        return STATUS.SUCCEEDED;
+    }
+    if (apiErrors.getHttpCode(err) === 404) {
+        return STATUS.NOT_FOUND;
+    }
+    return STATUS.FAILED;
+}
+
+module.exports = {
+    payloadFunc_Async,
+    input2ApiPayload_Async,
+    resolveStatus,
+    setConcurrencyLimiter,
+    createDeletionBatcher,
+    STATUS,
+    MAX_ROWS_PER_API_CALL
+}
@@ -0,0 +1,153 @@
+const cloudinary = require('cloudinary').v2;
+const adaptiveConcurrency = require('../adaptive-concurrency');
+const {
+    payloadFunc_Async,
+    resolveStatus,
+    setConcurrencyLimiter,
+    createDeletionBatcher,
+    STATUS
+} = require('./delete.js');
+
+
+// Stand-in for the Admin API reporting the listed public IDs as not found
+function createDeleteResourcesStandIn(notFoundPublicIds = []) {
+    return jest.fn(async (publicIds) => ({
+        deleted: Object.fromEntries(publicIds.map(publicId => [publicId, notFoundPublicIds.includes(publicId) ? 'not_found' : 'deleted'])),
+    }));
+}
+
+
+describe('createDeletionBatcher', () => {
+    const imageOptions = { resource_type: 'image', type: 'upload', invalidate: false };
+    const videoOptions = { resource_type: 'video', type: 'upload', invalidate: false };
+
+    it('should delete assets with the same options in a single call', async () => {
+        const deleteResources_Async = createDeleteResourcesStandIn(['c']);
+        const batcher = createDeletionBatcher({ deleteResources_Async, lingerMs: 10 });
+
+        const outcomes = await Promise.allSettled([
+            batcher.delete_Async('a', imageOptions),
+            batcher.delete_Async('v', videoOptions),
+            batcher.delete_Async('b', imageOptions),
+            batcher.delete_Async('c', imageOptions),
+        ]);
+
+        expect(deleteResources_Async.mock.calls).toEqual([
+            [['a', 'b', 'c'], imageOptions],
+            [['v'], videoOptions],
+        ]);
+        expect(outcomes).toEqual([
+            { status: 'fulfilled', value: { public_id: 'a', resource_type: 'image', type: 'upload', result: 'deleted' } },
+            { status: 'fulfilled', value: { public_id: 'v', resource_type: 'video', type: 'upload', result: 'deleted' } },
+            { status: 'fulfilled', value: { public_id: 'b', resource_type: 'image', type: 'upload', result: 'deleted' } },
+            { status: 'rejected', reason: { message: 'Resource not found - c', http_code: 404 } },
+        ]);
+    });
+
+    it('should delete the batch once it is full', async () => {
+        const deleteResources_Async = createDeleteResourcesStandIn();
+        const batcher = createDeletionBatcher({ deleteResources_Async, maxBatchSize: 2, lingerMs: 10000 });
+
+        await Promise.all([batcher.delete_Async('a', imageOptions), batcher.delete_Async('b', imageOptions)]);
+
+        expect(deleteResources_Async).toHaveBeenCalledWith(['a', 'b'], imageOptions);
+    });
+
+    it.each([
+        ['rate limiting', { message: 'Rate Limit Exceeded', http_code: 420 }],
+        ['server error', { message: 'Internal Server Error', http_code: 500 }],
+        ['network error', new Error('socket hang up')],
+    ])('should fail each asset of the batch the API call failed for (%s)', async (_, apiError) => {
+        const deleteResources_Async = jest.fn().mockRejectedValue(apiError);
+        const batcher = createDeletionBatcher({ deleteResources_Async, lingerMs: 10 });
+
+        const outcomes = await Promise.allSettled([batcher.delete_Async('a', imageOptions), batcher.delete_Async('b', imageOptions)]);
+
+        expect(deleteResources_Async).toHaveBeenCalledTimes(1);
+        expect(outcomes).toEqual([
+            { status: 'rejected', reason: apiError },
+            { status: 'rejected', reason: apiError },
+        ]);
+    });
+
+    it('should re-attempt each asset separately when the API call failed for the batch', async () => {
+        const apiError = { message: 'Invalid public_id', http_code: 400 };
+        const deleteResources_Async = jest.fn(async (publicIds) => {
+            if (publicIds.includes('bad?')) {
+                throw apiError;
+            }
+            return { deleted: { [publicIds[0]]: 'deleted' } };
+        });
+        const batcher = createDeletionBatcher({ deleteResources_Async, lingerMs: 10 });
+
+        const outcomes = await Promise.allSettled([
+            batcher.delete_Async('a', imageOptions),
+            batcher.delete_Async('bad?', imageOptions),
+            batcher.delete_Async('b', imageOptions),
+        ]);
+
+        expect(deleteResources_Async.mock.calls.map(([publicIds]) => publicIds)).toEqual([['a', 'bad?', 'b'], ['a'], ['bad?'], ['b']]);
+        expect(outcomes).toEqual([
+            { status: 'fulfilled', value: expect.objectContaining({ public_id: 'a', result: 'deleted' }) },
+            { status: 'rejected', reason: apiError },
+            { status: 'fulfilled', value: expect.objectContaining({ public_id: 'b', result: 'deleted' }) },
+        ]);
+    });
+});
+
+
+describe('payloadFunc_Async', () => {
+    let cldDeleteResourcesSpy = null;
+    beforeEach(() => {
+        // Using `spyOn` for mocked functions from other modules to prevent side effects
+        cldDeleteResourcesSpy = jest.spyOn(cloudinary.api, 'delete_resources');
+        cldDeleteResourcesSpy.mockImplementation(createDeleteResourcesStandIn());
+    });
+
+    afterEach(() => {
+        cldDeleteResourcesSpy.mockRestore();
+    });
+
+    it('should call delete_resources method with public_id and the applicable options', async () => {
+        const payload = {
+            publicId: 'path/to/asset',
+            options: { resource_type: 'raw', invalidate: 'true', tags: 'ignored' }
+        };
+
+        const result = await payloadFunc_Async(payload);
+
+        expect(cldDeleteResourcesSpy).toHaveBeenCalledWith(['path/to/asset'], { resource_type: 'raw', type: 'upload', invalidate: true });
+        expect(result).toEqual({ public_id: 'path/to/asset', resource_type: 'raw', type: 'upload', result: 'deleted' });
+    });
+
+    it('should apply the concurrency limit to each API call', async () => {
+        const limiter = adaptiveConcurrency.createAdaptiveConcurrencyLimiter({ maxConcurrency: 10 });
+        const acquireSpy = jest.spyOn(limiter, 'acquire_Async');
+        setConcurrencyLimiter(limiter);
+
+        try {
+            await Promise.all(['a', 'b', 'c'].map(publicId => payloadFunc_Async({ publicId })));
+        } finally {
+            setConcurrencyLimiter(null);
+        }
+
+        expect(cldDeleteResourcesSpy).toHaveBeenCalledTimes(1);
+        expect(acquireSpy).toHaveBeenCalledTimes(1);
+    });
+});
+
+
+describe('resolveStatus', () => {
+    it('should resolve DELETED status when no error', () => {
+        expect(resolveStatus(null)).toEqual(STATUS.SUCCEEDED);
+        expect(STATUS.SUCCEEDED).toEqual('DELETED');
+    });
+
+    it('should resolve NOT_FOUND status for the asset that does not exist', () => {
+        expect(resolveStatus({ message: 'Resource not found - path/to/asset', http_code: 404 })).toEqual(STATUS.NOT_FOUND);
+    });
+
+    it('should resolve FAILED status for other errors', () => {
+        expect(resolveStatus({ message: 'Not deleted: queued' })).toEqual(STATUS.FAILED);
+    });
+});
@@ -13,6 +13,16 @@ const {
 // the size threshold when `upload_large` API method should be used.
 const UPLOAD_LARGE_THRESHOLD_BYTES = 100*1024*1024; // 100MB
 
+/**
+ * Statuses reported for the migration operation (in the log and the report)
+ * @readonly
+ * @enum {string}
+ */
+const STATUS = {
+    SUCCEEDED : 'MIGRATED',
+    FAILED    : 'FAILED'
+}
+
 
 /**
  * Uploads a file to Cloudinary using the provided payload.
@@ -30,6 +40,17 @@ async function payloadFunc_Async(payload) {
 }
 
 
+/**
+ * Resolves the status to be reported for the migration operation.
+ *
+ * @param {Object|null} err - The error raised by the upload operation (null if the operation succeeded).
+ * @returns {string} - One of the STATUS values.
+ */
+function resolveStatus(err) {
+    return err ? STATUS.FAILED : STATUS.SUCCEEDED;
+}
+
+
 /**
  * Resolves the appropriate Cloudinary Upload API method to use for uploading the file.
  * 
@@ -79,5 +100,8 @@ async function _uploadLarge_Async(filePath, options) {
 
 
 module.exports = {
-    payloadFunc_Async
+    payloadFunc_Async,
+    resolveStatus,
+    STATUS,
+    UPLOAD_LARGE_THRESHOLD_BYTES
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Encapsulate implementation of renaming (and moving) Cloudinary assets:
+ *  - public_id is changed via Cloudinary Rename API
+ *  - asset folder (for the accounts using dynamic folders) is optionally changed via Cloudinary Explicit API
+ *    (Admin API for the root asset folder)
+ */
+const cloudinary = require('cloudinary').v2;
+const apiErrors = require('./api-errors');
+const duplicateDetection = require('../duplicate-detection');
+
+/* ℹ️ 👇 Module intended to be customized */
+// Logic to convert each CSV record into parameters for the Cloudinary Rename API
+const {input2ApiPayload_Async} = require('../../__input-to-rename-payload');
+
+/**
+ * Statuses reported for the rename operation (in the log and the report)
+ * @readonly
+ * @enum {string}
+ */
+const STATUS = {
+    SUCCEEDED          : 'RENAMED',
+    NOT_FOUND          : 'NOT_FOUND',           // asset with the current public_id does not exist
+    TARGET_EXISTS      : 'TARGET_EXISTS',       // asset with the new public_id already exists (and overwrite is not enabled)
+    TARGET_IS_SOURCE   : 'TARGET_IS_SOURCE',    // asset with the new public_id is renamed by another row (not sent to Cloudinary)
+    FOLDER_NOT_UPDATED : 'FOLDER_NOT_UPDATED',  // asset was renamed, but its asset folder was not changed
+    FAILED             : 'FAILED'
+}
+
+// Rename API options (the rest of the payload options are ignored)
+const RENAME_OPTIONS = ['resource_type', 'type', 'to_type', 'overwrite', 'invalidate', 'timeout'];
+
+// Error message reported by Rename API when the asset with the new public_id already exists
+const TARGET_EXISTS_REGEX = /already exists/i;
+
+
+/**
+ * Custom error class representing the asset renamed without changing its asset folder.
+ * Not re-attempted: the asset is already renamed.
+ *
+ * @class AssetFolderNotUpdatedError
+ * @extends {Error}
+ */
+class AssetFolderNotUpdatedError extends Error {
+    constructor(message, renamed, cause) {
+        super(message);
+        this.name = 'AssetFolderNotUpdatedError';
+        // Rename API response (the asset is renamed) and the error raised by Explicit API
+        this.renamed = renamed;
+        this.cause = cause;
+    }
+}
+
+
+/**
+ * Resolves the key identifying the asset the row renames (its current public_id).
+ *
+ * @param {Object} payload - The payload for the rename operation.
+ * @returns {string|null} - The key ('resource_type/type/public_id'), null if the payload does not set the current public_id.
+ */
+function resolveSourceAssetKey(payload) {
+    if (!payload || !payload.fromPublicId) {
+        return null;
+    }
+    const options = payload.options || {};
+    return `${options.resource_type || 'image'}/${options.type || 'upload'}/${payload.fromPublicId}`;
+}
+
+/**
+ * Resolves the key identifying the asset the row renames to (its new public_id and delivery type).
+ *
+ * @param {Object} payload - The payload for the rename operation.
+ * @returns {string|null} - The key ('resource_type/type/public_id'), null if the payload does not set the new public_id.
+ */
+function resolveTargetAssetKey(payload) {
+    if (!payload || !payload.toPublicId) {
+        return null;
+    }
+    const options = payload.options || {};
+    return `${options.resource_type || 'image'}/${options.to_type || options.type || 'upload'}/${payload.toPublicId}`;
+}
+
+
+/**
+ * Renames the Cloudinary asset (and moves it to another asset folder) using the provided payload.
+ *
+ * @param {Object} payload - The payload for the rename operation.
+ * @param {string} payload.fromPublicId - The current public ID of the asset.
+ * @param {string} payload.toPublicId - The new public ID of the asset.
+ * @param {Object} payload.options - The options for the Cloudinary Rename API call (and `asset_folder` to move the asset to, empty for the root folder).
+ * @returns {Promise<Object>} A promise that resolves to the result of the rename operation
+ *                            (with `previous_asset_folder` if the asset was moved to another asset folder).
+ * @throws {AssetFolderNotUpdatedError} - If the asset was renamed, but failed to move to another asset folder.
+ */
+async function payloadFunc_Async(payload) {
+    const options = payload.options || {};
+    const renameOptions = Object.fromEntries(Object.entries(options).filter(([name]) => RENAME_OPTIONS.includes(name)));
+    // Overwrite guard: the existing asset with the new public_id is only replaced when explicitly requested
+    renameOptions.overwrite = options.overwrite === true || options.overwrite === 'true';
+
+    const renamed = await cloudinary.uploader.rename(payload.fromPublicId, payload.toPublicId, renameOptions);
+    if (options.asset_folder === undefined || options.asset_folder === renamed.asset_folder) {
+        return renamed;
+    }
+
+    try {
+        const moveOptions = {
+            resource_type : renamed.resource_type,
+            type          : renamed.type,
+            asset_folder  : options.asset_folder,
+        };
+        // Upload API omits blank parameters: the asset is moved to the root asset folder via Admin API
+        const moved = options.asset_folder === ''
+            ? await cloudinary.api.update(renamed.public_id, moveOptions)
+            : await cloudinary.uploader.explicit(renamed.public_id, moveOptions);
+        return { ...renamed, asset_folder: moved.asset_folder, previous_asset_folder: renamed.asset_folder };
+    } catch (err) {
+        const httpCode = apiErrors.getHttpCode(err);
+        throw new AssetFolderNotUpdatedError(
+            `Renamed to '${renamed.public_id}', but not moved to the asset folder '${options.asset_folder}'${httpCode ? ` (HTTP ${httpCode})` : ''}`,
+            renamed,
+            err
+        );
+    }
+}
+
+/**
+ * Resolves the status to be reported for the rename operation.
+ *
+ * @param {Object|null} err - The error raised by the rename operation (null if the operation succeeded).
+ * @returns {string} - One of the STATUS values.
+ */
+function resolveStatus(err) {
+    if (!err) {
+        return STATUS.SUCCEEDED;
+    }
+    if (err instanceof AssetFolderNotUpdatedError) {
+        return STATUS.FOLDER_NOT_UPDATED;
+    }
+    if (err instanceof duplicateDetection.TargetIsSourceError) {
+        return STATUS.TARGET_IS_SOURCE;
+    }
+    if (apiErrors.getHttpCode(err) === 404) {
+        return STATUS.NOT_FOUND;
+    }
+    if (TARGET_EXISTS_REGEX.test(apiErrors.getMessage(err))) {
+        return STATUS.TARGET_EXISTS;
+    }
+    return STATUS.FAILED;
+}
+
+module.exports = {
+    payloadFunc_Async,
+    input2ApiPayload_Async,
+    resolveStatus,
+    resolveSourceAssetKey,
+    resolveTargetAssetKey,
+    AssetFolderNotUpdatedError,
+    STATUS
+}
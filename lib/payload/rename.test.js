@@ -0,0 +1,119 @@
+const cloudinary = require('cloudinary').v2;
+const {TargetIsSourceError} = require('../duplicate-detection');
+const {
+    payloadFunc_Async,
+    resolveStatus,
+    resolveSourceAssetKey,
+    resolveTargetAssetKey,
+    AssetFolderNotUpdatedError,
+    STATUS
+} = require('./rename.js');
+
+
+describe('payloadFunc_Async', () => {
+    const renamed = { public_id: 'new/a', resource_type: 'image', type: 'upload', asset_folder: 'old' };
+    let cldRenameSpy = null;
+    let cldExplicitSpy = null;
+    beforeEach(() => {
+        // Using `spyOn` for mocked functions from other modules to prevent side effects
+        cldRenameSpy = jest.spyOn(cloudinary.uploader, 'rename');
+        cldRenameSpy.mockResolvedValue(renamed);
+        cldExplicitSpy = jest.spyOn(cloudinary.uploader, 'explicit');
+        cldExplicitSpy.mockResolvedValue({ ...renamed, asset_folder: 'new' });
+    });
+
+    afterEach(() => {
+        cldRenameSpy.mockRestore();
+        cldExplicitSpy.mockRestore();
+    });
+
+    it('should call rename method with public_ids and the rename options, not overwriting by default', async () => {
+        const payload = {
+            fromPublicId: 'old/a',
+            toPublicId: 'new/a',
+            options: { resource_type: 'image', invalidate: true, tags: 'ignored' }
+        };
+
+        const result = await payloadFunc_Async(payload);
+
+        expect(cldRenameSpy).toHaveBeenCalledWith('old/a', 'new/a', { resource_type: 'image', invalidate: true, overwrite: false });
+        expect(cldExplicitSpy).not.toHaveBeenCalled();
+        expect(result).toEqual(renamed);
+    });
+
+    it('should overwrite only when explicitly requested', async () => {
+        await payloadFunc_Async({ fromPublicId: 'old/a', toPublicId: 'new/a', options: { overwrite: 'true' } });
+
+        expect(cldRenameSpy).toHaveBeenCalledWith('old/a', 'new/a', { overwrite: true });
+    });
+
+    it('should move the renamed asset to the asset folder', async () => {
+        const result = await payloadFunc_Async({ fromPublicId: 'old/a', toPublicId: 'new/a', options: { asset_folder: 'new' } });
+
+        expect(cldExplicitSpy).toHaveBeenCalledWith('new/a', { resource_type: 'image', type: 'upload', asset_folder: 'new' });
+        expect(result).toEqual({ ...renamed, asset_folder: 'new', previous_asset_folder: 'old' });
+    });
+
+    it('should move the renamed asset to the root asset folder', async () => {
+        const cldUpdateSpy = jest.spyOn(cloudinary.api, 'update').mockResolvedValue({ ...renamed, asset_folder: '' });
+        try {
+            const result = await payloadFunc_Async({ fromPublicId: 'old/a', toPublicId: 'new/a', options: { asset_folder: '' } });
+
+            expect(cldUpdateSpy).toHaveBeenCalledWith('new/a', { resource_type: 'image', type: 'upload', asset_folder: '' });
+            expect(cldExplicitSpy).not.toHaveBeenCalled();
+            expect(result).toEqual({ ...renamed, asset_folder: '', previous_asset_folder: 'old' });
+        } finally {
+            cldUpdateSpy.mockRestore();
+        }
+    });
+
+    it('should report the renamed asset not moved to the asset folder', async () => {
+        cldExplicitSpy.mockRejectedValue({ error: { message: 'Rate Limit Exceeded', http_code: 420 } });
+
+        const outcome = payloadFunc_Async({ fromPublicId: 'old/a', toPublicId: 'new/a', options: { asset_folder: 'new' } });
+
+        await expect(outcome).rejects.toThrow(AssetFolderNotUpdatedError);
+        await expect(outcome).rejects.toMatchObject({
+            message : "Renamed to 'new/a', but not moved to the asset folder 'new' (HTTP 420)",
+            renamed : renamed,
+        });
+    });
+});
+
+
+describe('resolveStatus', () => {
+    it('should resolve RENAMED status when no error', () => {
+        expect(resolveStatus(null)).toEqual(STATUS.SUCCEEDED);
+        expect(STATUS.SUCCEEDED).toEqual('RENAMED');
+    });
+
+    test.each([
+        [{ message: 'Resource not found - old/a', http_code: 404 }, STATUS.NOT_FOUND],
+        [{ error: { message: 'to_public_id (new/a) already exists', http_code: 400 } }, STATUS.TARGET_EXISTS],
+        [new AssetFolderNotUpdatedError('Renamed', {}, null), STATUS.FOLDER_NOT_UPDATED],
+        [new TargetIsSourceError('Target asset (image/upload/b) is the source asset of row 2'), STATUS.TARGET_IS_SOURCE],
+        [{ message: 'Server Error', http_code: 500 }, STATUS.FAILED],
+    ])('should resolve status for error %o', (err, expected) => {
+        expect(resolveStatus(err)).toEqual(expected);
+    });
+});
+
+
+describe('resolveSourceAssetKey and resolveTargetAssetKey', () => {
+    it('should resolve the current and the new asset, with the default resource type and delivery type', () => {
+        const payload = { fromPublicId: 'old/a', toPublicId: 'new/a', options: {} };
+        expect(resolveSourceAssetKey(payload)).toEqual('image/upload/old/a');
+        expect(resolveTargetAssetKey(payload)).toEqual('image/upload/new/a');
+    });
+
+    it('should resolve the new delivery type of the asset', () => {
+        const payload = { fromPublicId: 'a', toPublicId: 'a', options: { resource_type: 'video', type: 'private', to_type: 'upload' } };
+        expect(resolveSourceAssetKey(payload)).toEqual('video/private/a');
+        expect(resolveTargetAssetKey(payload)).toEqual('video/upload/a');
+    });
+
+    it('should not resolve the asset when the public_id is not set', () => {
+        expect(resolveSourceAssetKey({ toPublicId: 'a' })).toBeNull();
+        expect(resolveTargetAssetKey(null)).toBeNull();
+    });
+});
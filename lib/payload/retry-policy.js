@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Encapsulates the logic to re-attempt payload operations that failed due to transient issues
+ * (network "hiccups", rate limiting, temporary server errors).
+ *
+ * Delay between attempts grows exponentially with "full jitter" applied
+ * (random value between 0 and the exponential delay) to avoid "thundering herd" of concurrent re-attempts.
+ */
+
+const apiErrors = require('./api-errors');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30 * 1000;
+
+// HTTP status codes reported by Cloudinary SDK for transient failures
+//  - 420, 429 : rate limiting
+//  - 499      : request timeout (reported by Cloudinary SDK)
+//  - 5xx      : temporary server errors
+const DEFAULT_RETRYABLE_HTTP_CODES = [420, 429, 499, 500, 502, 503, 504];
+
+// Error messages (regular expressions, case-insensitive) for transient failures
+// See "Known error messages" in readme/identify-reattempt-failed.md
+const DEFAULT_RETRYABLE_ERROR_MESSAGES = [
+    'Timed out reading data from server',
+    'Server broke connection',
+    'partial download',
+    'Error in loading .* - (420|429|5\\d\\d)\\b',
+    'ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up',
+];
+
+
+/**
+ * Resolves the retry policy from the command line arguments (defaults are used for the values not provided).
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @returns {Object} - The retry policy.
+ */
+function resolveRetryPolicy(cliArgs) {
+    return {
+        max_attempts             : cliArgs.maxAttempts          || DEFAULT_MAX_ATTEMPTS,
+        base_delay_ms            : cliArgs.retryBaseDelayMs     || DEFAULT_BASE_DELAY_MS,
+        max_delay_ms             : cliArgs.retryMaxDelayMs      || DEFAULT_MAX_DELAY_MS,
+        retryable_http_codes     : cliArgs.retryOnHttpCodes     || DEFAULT_RETRYABLE_HTTP_CODES,
+        retryable_error_messages : cliArgs.retryOnErrorMessage  || DEFAULT_RETRYABLE_ERROR_MESSAGES,
+    };
+}
+
+
+/**
+ * Checks if the error is considered transient as per the retry policy.
+ *
+ * @param {Object} err - The error raised by the operation.
+ * @param {Object} retryPolicy - The retry policy.
+ * @returns {boolean} - True if the operation should be re-attempted.
+ */
+function isRetryableError(err, retryPolicy) {
+    const httpCode = apiErrors.getHttpCode(err);
+    if (retryPolicy.retryable_http_codes.includes(httpCode)) {
+        return true;
+    }
+    const message = apiErrors.getMessage(err);
+    return retryPolicy.retryable_error_messages.some(pattern => new RegExp(pattern, 'i').test(message));
+}
+
+
+/**
+ * Calculates the delay before the next attempt.
+ *
+ * @param {number} attempt - The number of the attempt that failed (starting from 1).
+ * @param {Object} retryPolicy - The retry policy.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getRetryDelayMs(attempt, retryPolicy) {
+    const exponentialDelayMs = Math.min(retryPolicy.max_delay_ms, retryPolicy.base_delay_ms * Math.pow(2, attempt - 1));
+    return Math.round(Math.random() * exponentialDelayMs);
+}
+
+
+/**
+ * Invokes the operation re-attempting it as per the retry policy.
+ * Each attempt is recorded to the provided array (intended to be included in the log).
+ *
+ * @async
+ * @param {function} operation_Async - The operation to invoke.
+ * @param {Object} retryPolicy - The retry policy.
+ * @param {Object[]} attempts - Array to record the attempts to (`attempt`, `err`, `retry_delay_ms`).
+ * @returns {Promise<Object>} - The result of the first successful attempt.
+ * @throws {Object} - The error raised by the last attempt.
+ */
+async function invokeWithRetry_Async(operation_Async, retryPolicy, attempts) {
+    for (let attempt = 1; ; attempt++) {
+        const attemptRec = { attempt, err: null, retry_delay_ms: null };
+        attempts.push(attemptRec);
+        try {
+            return await operation_Async();
+        } catch (err) {
+            attemptRec.err = err;
+            if (attempt >= retryPolicy.max_attempts || !isRetryableError(err, retryPolicy)) {
+                throw err;
+            }
+            attemptRec.retry_delay_ms = getRetryDelayMs(attempt, retryPolicy);
+            await new Promise(resolve => setTimeout(resolve, attemptRec.retry_delay_ms));
+        }
+    }
+}
+
+module.exports = {
+    resolveRetryPolicy,
+    isRetryableError,
+    getRetryDelayMs,
+    invokeWithRetry_Async,
+    DEFAULT_MAX_ATTEMPTS,
+    DEFAULT_BASE_DELAY_MS,
+    DEFAULT_MAX_DELAY_MS,
+    DEFAULT_RETRYABLE_HTTP_CODES,
+    DEFAULT_RETRYABLE_ERROR_MESSAGES
+}
@@ -0,0 +1,114 @@
+const {
+    resolveRetryPolicy,
+    isRetryableError,
+    getRetryDelayMs,
+    invokeWithRetry_Async,
+    DEFAULT_MAX_ATTEMPTS,
+} = require('./retry-policy');
+
+
+describe('resolveRetryPolicy', () => {
+    it('should use defaults when no CLI args provided', () => {
+        const retryPolicy = resolveRetryPolicy({});
+        expect(retryPolicy.max_attempts).toEqual(DEFAULT_MAX_ATTEMPTS);
+    });
+
+    it('should use values provided via CLI args', () => {
+        const retryPolicy = resolveRetryPolicy({ maxAttempts: 5, retryOnHttpCodes: [503], retryOnErrorMessage: ['boom'] });
+        expect(retryPolicy.max_attempts).toEqual(5);
+        expect(retryPolicy.retryable_http_codes).toEqual([503]);
+        expect(retryPolicy.retryable_error_messages).toEqual(['boom']);
+    });
+});
+
+
+describe('isRetryableError', () => {
+    const retryPolicy = resolveRetryPolicy({});
+
+    test.each([
+        { error: { message: 'Request Timeout', http_code: 499, name: 'TimeoutError' } },
+        { message: 'Server returned unexpected status code - 502', http_code: 502, name: 'UnexpectedResponse' },
+        { message: 'Rate Limit Exceeded', http_code: 420 },
+        { message: 'Error in loading https://test.img/url - Timed out reading data from server', http_code: 400 },
+        { message: 'Error in loading https://test.img/url - Server broke connection', http_code: 400 },
+        { message: 'Error in loading https://test.img/url - partial download', http_code: 400 },
+        { message: 'Error in loading https://test.img/url - 503 Service Unavailable', http_code: 400 },
+        new Error('socket hang up'),
+    ])('should treat error as retryable: %o', (err) => {
+        expect(isRetryableError(err, retryPolicy)).toBe(true);
+    });
+
+    test.each([
+        { message: 'Error in loading https://test.img/url - 404 Not Found', http_code: 400 },
+        { message: 'Invalid image file', http_code: 400 },
+        { message: 'Resource not found - sample', http_code: 404 },
+        new Error('Plugin failure'),
+    ])('should treat error as not retryable: %o', (err) => {
+        expect(isRetryableError(err, retryPolicy)).toBe(false);
+    });
+});
+
+
+describe('getRetryDelayMs', () => {
+    const retryPolicy = resolveRetryPolicy({ retryBaseDelayMs: 100, retryMaxDelayMs: 1000 });
+
+    it('should not exceed exponential delay', () => {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const delayMs = getRetryDelayMs(attempt, retryPolicy);
+            expect(delayMs).toBeGreaterThanOrEqual(0);
+            expect(delayMs).toBeLessThanOrEqual(100 * Math.pow(2, attempt - 1));
+        }
+    });
+
+    it('should not exceed max delay', () => {
+        expect(getRetryDelayMs(10, retryPolicy)).toBeLessThanOrEqual(1000);
+    });
+});
+
+
+describe('invokeWithRetry_Async', () => {
+    const retryPolicy = resolveRetryPolicy({ maxAttempts: 3, retryBaseDelayMs: 1, retryMaxDelayMs: 1 });
+    const transientErr = { message: 'Rate Limit Exceeded', http_code: 420 };
+
+    it('should record single attempt when operation succeeds', async () => {
+        const attempts = [];
+        const operation_Async = jest.fn().mockResolvedValue('Success');
+
+        await expect(invokeWithRetry_Async(operation_Async, retryPolicy, attempts)).resolves.toEqual('Success');
+        expect(operation_Async).toHaveBeenCalledTimes(1);
+        expect(attempts).toEqual([{ attempt: 1, err: null, retry_delay_ms: null }]);
+    });
+
+    it('should re-attempt operation failed due to transient issue', async () => {
+        const attempts = [];
+        const operation_Async = jest.fn()
+            .mockRejectedValueOnce(transientErr)
+            .mockResolvedValue('Success');
+
+        await expect(invokeWithRetry_Async(operation_Async, retryPolicy, attempts)).resolves.toEqual('Success');
+        expect(operation_Async).toHaveBeenCalledTimes(2);
+        expect(attempts.length).toEqual(2);
+        expect(attempts[0].err).toEqual(transientErr);
+        expect(attempts[1].err).toBeNull();
+    });
+
+    it('should not re-attempt operation failed due to non-transient issue', async () => {
+        const attempts = [];
+        const err = { message: 'Invalid image file', http_code: 400 };
+        const operation_Async = jest.fn().mockRejectedValue(err);
+
+        await expect(invokeWithRetry_Async(operation_Async, retryPolicy, attempts)).rejects.toEqual(err);
+        expect(operation_Async).toHaveBeenCalledTimes(1);
+        expect(attempts.length).toEqual(1);
+    });
+
+    it('should give up after max attempts', async () => {
+        const attempts = [];
+        const operation_Async = jest.fn().mockRejectedValue(transientErr);
+
+        await expect(invokeWithRetry_Async(operation_Async, retryPolicy, attempts)).rejects.toEqual(transientErr);
+        expect(operation_Async).toHaveBeenCalledTimes(3);
+        expect(attempts.map(a => a.attempt)).toEqual([1, 2, 3]);
+        expect(attempts[2].retry_delay_ms).toBeNull();
+    });
+});
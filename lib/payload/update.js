@@ -2,21 +2,56 @@
  * @fileoverview Encapsulate implementation of updating existing Cloudinary assets via Cloudinary Explicit API.
  */
 const cloudinary = require('cloudinary').v2;
+const apiErrors = require('./api-errors');
+
+/* ℹ️ 👇 Module intended to be customized */
+// Logic to convert each CSV record into parameters for the Cloudinary Explicit API
+const {input2ApiPayload_Async} = require('../../__input-to-update-payload');
+
+/**
+ * Statuses reported for the update operation (in the log and the report)
+ * @readonly
+ * @enum {string}
+ */
+const STATUS = {
+    SUCCEEDED : 'UPDATED',
+    NOT_FOUND : 'NOT_FOUND',
+    FAILED    : 'FAILED'
+}
 
 /**
- * A stub function to implement update operation payload to Cloudinary. 
- * Currently not implemented.
- * 
- * @param {Object} payloadOptions - The payload for the update operation.
- * @param {string} payloadOptions.publicId - The public ID of the asset to be updated.
- * @param {Object} payloadOptions.options - The options for the update operation.
+ * Applies changes to an existing Cloudinary asset using the provided payload.
+ *
+ * @param {Object} payload - The payload for the update operation.
+ * @param {string} payload.publicId - The public ID of the asset to be updated.
+ * @param {Object} payload.options - The options for the Cloudinary Explicit API call.
  * @returns {Promise<Object>} A promise that resolves to the result of the update operation.
  */
+async function payloadFunc_Async(payload) {
+    const publicId = payload.publicId;
+    const options = payload.options;
+    return await cloudinary.uploader.explicit(publicId, options);
+}
 
-async function payloadFunc_Async(payloadOptions) {
-    throw new Error('Payload for update operation had not been implemented');
+/**
+ * Resolves the status to be reported for the update operation.
+ *
+ * @param {Object|null} err - The error raised by the update operation (null if the operation succeeded).
+ * @returns {string} - One of the STATUS values.
+ */
+function resolveStatus(err) {
+    if (!err) {
+        return STATUS.SUCCEEDED;
+    }
+    if (apiErrors.getHttpCode(err) === 404) {
+        return STATUS.NOT_FOUND;
+    }
+    return STATUS.FAILED;
 }
 
 module.exports = {
-    payloadFunc_Async
-}
\ No newline at end of file
+    payloadFunc_Async,
+    input2ApiPayload_Async,
+    resolveStatus,
+    STATUS
+}
@@ -0,0 +1,59 @@
+const cloudinary = require('cloudinary').v2;
+const { payloadFunc_Async, resolveStatus, STATUS } = require('./update.js');
+
+
+describe('payloadFunc_Async', () => {
+    let cldExplicitSpy = null;
+    beforeEach(() => {
+        // Using `spyOn` for mocked functions from other modules to prevent side effects
+        cldExplicitSpy = jest.spyOn(cloudinary.uploader, 'explicit');
+        cldExplicitSpy.mockResolvedValue('Success');
+    });
+
+    afterEach(() => {
+        cldExplicitSpy.mockRestore();
+    });
+
+    it('should call explicit method with public_id and options', async () => {
+        const payload = {
+            publicId: 'path/to/asset',
+            options: { type: 'upload', tags: 'tag_a,tag_b' }
+        };
+
+        const result = await payloadFunc_Async(payload);
+
+        expect(cldExplicitSpy).toHaveBeenCalledWith(payload.publicId, payload.options);
+        expect(result).toEqual('Success');
+    });
+
+    it('should propagate errors raised by explicit method', async () => {
+        const apiError = { message: 'Resource not found - path/to/asset', http_code: 404 };
+        cldExplicitSpy.mockRejectedValue(apiError);
+
+        await expect(payloadFunc_Async({ publicId: 'path/to/asset', options: {} }))
+            .rejects.toEqual(apiError);
+    });
+});
+
+
+describe('resolveStatus', () => {
+    it('should resolve UPDATED status when no error', () => {
+        expect(resolveStatus(null)).toEqual(STATUS.SUCCEEDED);
+        expect(STATUS.SUCCEEDED).toEqual('UPDATED');
+    });
+
+    test.each([
+        { message: 'Resource not found - path/to/asset', http_code: 404 },
+        { error: { message: 'Resource not found - path/to/asset', http_code: 404 } },
+    ])('should resolve NOT_FOUND status for error %o', (err) => {
+        expect(resolveStatus(err)).toEqual(STATUS.NOT_FOUND);
+    });
+
+    test.each([
+        { message: 'Invalid parameter', http_code: 400 },
+        { error: { message: 'Request Timeout', http_code: 499, name: 'TimeoutError' } },
+        new Error('Plugin failure'),
+    ])('should resolve FAILED status for error %o', (err) => {
+        expect(resolveStatus(err)).toEqual(STATUS.FAILED);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Implements "token bucket" rate limiting of the API operations (independent of the concurrency):
+ *  - each operation takes a token from the bucket (waits for the token if the bucket is empty)
+ *  - the bucket is refilled evenly with the configured number of tokens per minute
+ *
+ * The bucket holds a single token, so that operations are evenly spread
+ * and the configured number of operations is never exceeded within a minute.
+ *
+ * The bulk operation configures the shared limiter (see `configure`).
+ * Plugins making API calls are expected to take a token before each call:
+ *
+ *      const rateLimiter = require('../lib/rate-limiter');
+ *      await rateLimiter.acquire_Async();
+ */
+
+// Singleton pattern: the limiter is shared by the bulk operation and the plugins
+let _sharedBucket = null;
+
+
+/**
+ * Creates token bucket.
+ *
+ * @param {number} maxOpsPerMinute - Number of tokens added to the bucket per minute.
+ * @param {function} [onThrottlingChange] - Invoked with `true` once operations start waiting for tokens
+ *                                          and with `false` once no operations are waiting.
+ * @returns {Object} - The bucket exposing `take_Async()` and `isThrottling()`.
+ */
+function createTokenBucket(maxOpsPerMinute, onThrottlingChange = () => {}) {
+    const msPerToken = 60000 / maxOpsPerMinute;
+    let tokens = 1;
+    let refilledAt = Date.now();
+    let waiting = 0;
+    let throttling = false;
+    // Operations take tokens in order of the calls
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(1, tokens + (now - refilledAt) / msPerToken);
+        refilledAt = now;
+    };
+
+    const setThrottling = (value) => {
+        if (throttling !== value) {
+            throttling = value;
+            onThrottlingChange(value);
+        }
+    };
+
+    /**
+     * Takes a token from the bucket (waits until the token is available).
+     *
+     * @returns {Promise<void>} - Resolves once the token is taken.
+     */
+    async function take_Async() {
+        waiting += 1;
+        const turn = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                setThrottling(true);
+                await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - tokens) * msPerToken)));
+                refill();
+            }
+            tokens -= 1;
+        });
+        queue = turn;
+        try {
+            await turn;
+        } finally {
+            waiting -= 1;
+            if (waiting === 0) {
+                setThrottling(false);
+            }
+        }
+    }
+
+    return {
+        take_Async,
+        isThrottling: () => throttling,
+    };
+}
+
+
+/**
+ * Configures the shared rate limiter.
+ *
+ * @param {number|null} maxOpsPerMinute - Max number of operations per minute (no limit if not set).
+ * @param {function} [onThrottlingChange] - See `createTokenBucket`.
+ */
+function configure(maxOpsPerMinute, onThrottlingChange) {
+    _sharedBucket = maxOpsPerMinute ? createTokenBucket(maxOpsPerMinute, onThrottlingChange) : null;
+}
+
+
+/**
+ * Takes a token from the shared rate limiter before making an API call.
+ * Resolves immediately if the rate limiter is not configured.
+ *
+ * @returns {Promise<void>} - Resolves once the API call can be made.
+ */
+async function acquire_Async() {
+    if (_sharedBucket) {
+        await _sharedBucket.take_Async();
+    }
+}
+
+
+/**
+ * Checks if the operations are currently waiting for the shared rate limiter.
+ *
+ * @returns {boolean} - True if throttling is active.
+ */
+function isThrottling() {
+    return _sharedBucket !== null && _sharedBucket.isThrottling();
+}
+
+module.exports = {
+    createTokenBucket,
+    configure,
+    acquire_Async,
+    isThrottling
+}
@@ -0,0 +1,83 @@
+const rateLimiter = require('./rate-limiter');
+const { createTokenBucket } = rateLimiter;
+
+
+describe('createTokenBucket', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(0);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should take the first token immediately', async () => {
+        const bucket = createTokenBucket(60);
+        await bucket.take_Async();
+        expect(bucket.isThrottling()).toBe(false);
+    });
+
+    it('should spread operations evenly and report throttling', async () => {
+        const changes = [];
+        const bucket = createTokenBucket(60, throttling => changes.push(throttling));
+        const takenAt = [];
+        const pending = [1, 2, 3].map(() => bucket.take_Async().then(() => takenAt.push(Date.now())));
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(takenAt).toEqual([0]);
+        expect(bucket.isThrottling()).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        await Promise.all(pending);
+        expect(takenAt).toEqual([0, 1000, 2000]);
+        expect(bucket.isThrottling()).toBe(false);
+        expect(changes).toEqual([true, false]);
+    });
+
+    it('should not accumulate more than one token', async () => {
+        const bucket = createTokenBucket(60);
+        await bucket.take_Async();
+        jest.setSystemTime(10000);
+
+        const takenAt = [];
+        const pending = [1, 2].map(() => bucket.take_Async().then(() => takenAt.push(Date.now())));
+        await jest.advanceTimersByTimeAsync(1000);
+        await Promise.all(pending);
+        expect(takenAt).toEqual([10000, 11000]);
+    });
+});
+
+
+describe('shared rate limiter', () => {
+    afterEach(() => {
+        rateLimiter.configure(null);
+    });
+
+    it('should not limit operations unless configured', async () => {
+        for (let i = 0; i < 100; i++) {
+            await rateLimiter.acquire_Async();
+        }
+        expect(rateLimiter.isThrottling()).toBe(false);
+    });
+
+    it('should limit operations once configured', async () => {
+        jest.useFakeTimers();
+        try {
+            rateLimiter.configure(60);
+            await rateLimiter.acquire_Async();
+
+            let acquired = false;
+            const pending = rateLimiter.acquire_Async().then(() => { acquired = true; });
+            await jest.advanceTimersByTimeAsync(500);
+            expect(acquired).toBe(false);
+            expect(rateLimiter.isThrottling()).toBe(true);
+
+            await jest.advanceTimersByTimeAsync(500);
+            await pending;
+            expect(acquired).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview This module implements "recovery" run re-attempting the rows that did not succeed in the previous (parent) run:
+ *  - input records of the rows to re-attempt are collected from the parent run log file
+ *    and written to the recovery input CSV file in the new output folder
+ *  - the recovery input is processed by the main loop with the same operation as the parent run
+ *
+ * The parent run output folder is recorded in the log file of the recovery run to trace the lineage.
+ */
+
+const path = require('node:path');
+const logging = require('./output/logging');
+const reporting = require('./output/reporting');
+const recoveryInput = require('./input/recovery-input');
+const inputReader = require('./input/input-file-reader');
+const mainLoop = require('./main-loop');
+
+
+/**
+ * Re-attempts the rows that did not succeed in the parent run.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {Object} payloadModules - The modules that perform the operations, by operation (command) name.
+ * @param {Object} confirmationRoutinesModule - The module that contains functions to obtain user confirmation.
+ */
+async function retryFailedRows_Async(cliArgs, payloadModules, confirmationRoutinesModule) {
+    const parentOutputFolder = cliArgs.fromOutputFolder;
+    const parentLogFilePath = logging.getLogFilePath(parentOutputFolder);
+
+    const parentRun = await recoveryInput.resolveParentRun_Async(parentLogFilePath);
+    if (!parentRun || !payloadModules[parentRun.operation]) {
+        console.error(`🛑 Could not resolve the operation performed by the run logged to '${parentLogFilePath}'`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`🔎 Collecting rows to re-attempt from the log file '${parentLogFilePath}'`);
+    const inputRecs = await recoveryInput.collectRecoveryInputRecords_Async(parentLogFilePath, {
+        statuses     : cliArgs.status,
+        errorPattern : cliArgs.errorMatching,
+        rowKeyColumn : parentRun.parameters.rowKeyColumn,
+    });
+    if (inputRecs.length === 0) {
+        console.log('🏁 No rows to re-attempt');
+        return;
+    }
+
+    // Nested values of JSON input records are retained by writing the recovery input as JSON Lines
+    const parentInputFormat = inputReader.resolveInputFormat(parentRun.parameters.fromCsvFile || '', parentRun.parameters.inputFormat);
+    const recoveryInputFormat = parentInputFormat === inputReader.INPUT_FORMAT.CSV ? inputReader.INPUT_FORMAT.CSV : inputReader.INPUT_FORMAT.JSONL;
+    const recoveryInputFilePath = reporting.getRecoveryInputFilePath(cliArgs.outputFolder, recoveryInputFormat);
+    if (recoveryInputFormat === inputReader.INPUT_FORMAT.CSV) {
+        await recoveryInput.writeInputCsvFile_Async(inputRecs, recoveryInputFilePath);
+    } else {
+        await recoveryInput.writeInputJsonlFile_Async(inputRecs, recoveryInputFilePath);
+    }
+    console.log(`📝 ${inputRecs.length} row(s) to re-attempt persisted to the file: '${recoveryInputFilePath}'`);
+
+    const recoveryCliArgs = {
+        ...cliArgs,
+        fromCsvFile        : recoveryInputFilePath,
+        inputFormat        : recoveryInputFormat,
+        fromOutputFolder   : path.resolve(parentOutputFolder),
+        // Mapping file used for the parent run applies unless a different one is specified
+        mappingFile        : cliArgs.mappingFile || parentRun.parameters.mappingFile,
+    };
+    // Recovery run performs the same operation as the parent run
+    const recoveryCommand = { name: () => parentRun.operation };
+
+    await mainLoop.loopOverCsvInput_Async(
+        recoveryCliArgs,
+        recoveryCommand,
+        payloadModules[parentRun.operation],
+        confirmationRoutinesModule
+    );
+}
+
+module.exports = {
+    retryFailedRows_Async
+}
@@ -0,0 +1,123 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const mainLoop = require('./main-loop');
+const { retryFailedRows_Async } = require('./retry-failed-loop');
+
+
+let tmpFolder = null;
+let parentOutputFolder = null;
+let outputFolder = null;
+let loopSpy = null;
+
+// Writes the log file of the parent run with the provided `payload` records
+function createParentLogFile(scriptRec, payloadRecs) {
+    const logLines = [JSON.stringify({ flow: 'script', ...scriptRec })];
+    logLines.push(...payloadRecs.map(payloadRec => JSON.stringify({ flow: 'payload', ...payloadRec })));
+    fs.writeFileSync(path.join(parentOutputFolder, 'log.jsonl'), logLines.join('\n') + '\n');
+}
+
+// Produces `payload` record of the parent run
+function payloadRec(row, input, status, err = null) {
+    return { row, input, payload: null, response: null, summary: { status, err } };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-retry-'));
+    parentOutputFolder = path.join(tmpFolder, 'parent');
+    outputFolder = path.join(tmpFolder, 'recovery');
+    fs.mkdirSync(parentOutputFolder);
+    fs.mkdirSync(outputFolder);
+    loopSpy = jest.spyOn(mainLoop, 'loopOverCsvInput_Async').mockResolvedValue();
+});
+
+afterEach(() => {
+    loopSpy.mockRestore();
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+    process.exitCode = undefined;
+});
+
+
+describe('retryFailedRows_Async', () => {
+    const payloadModules = { migrate: { name: 'migrate' }, update: { name: 'update' } };
+    const confirmationRoutines = {};
+
+    it('should re-attempt the rows that did not succeed with the operation of the parent run, linked to the parent run', async () => {
+        createParentLogFile(
+            { operation: 'update', parameters: { fromCsvFile: 'input.csv', mappingFile: 'mapping.yaml' } },
+            [
+                payloadRec(1, { id: 'a', tags: 'x' }, 'UPDATED'),
+                payloadRec(2, { id: 'b', tags: 'y' }, 'FAILED', { message: 'Request Timeout', http_code: 499 }),
+                payloadRec(3, { id: 'c', tags: 'z' }, 'NOT_ATTEMPTED', 'Not attempted: circuit breaker tripped'),
+            ]
+        );
+
+        await retryFailedRows_Async({ fromOutputFolder: parentOutputFolder, outputFolder }, payloadModules, confirmationRoutines);
+
+        const recoveryInputFilePath = path.join(outputFolder, 'recovery-input.csv');
+        expect(fs.readFileSync(recoveryInputFilePath, 'utf8')).toEqual('id,tags\nb,y\nc,z\n');
+        expect(loopSpy).toHaveBeenCalledTimes(1);
+        const [recoveryCliArgs, recoveryCommand, payloadModule, confirmationRoutinesModule] = loopSpy.mock.calls[0];
+        expect(recoveryCliArgs).toEqual({
+            fromCsvFile      : recoveryInputFilePath,
+            inputFormat      : 'csv',
+            fromOutputFolder : path.resolve(parentOutputFolder),
+            outputFolder,
+            mappingFile      : 'mapping.yaml',
+        });
+        expect(recoveryCommand.name()).toEqual('update');
+        expect(payloadModule).toBe(payloadModules.update);
+        expect(confirmationRoutinesModule).toBe(confirmationRoutines);
+    });
+
+    it('should retain nested values of JSON input records and only re-attempt rows matching the filters', async () => {
+        createParentLogFile(
+            { operation: 'migrate', parameters: { fromCsvFile: 'input.jsonl' } },
+            [
+                payloadRec(1, { id: 'a', meta: { sku: 1 } }, 'FAILED', { message: 'Request Timeout', http_code: 499 }),
+                payloadRec(2, { id: 'b', meta: { sku: 2 } }, 'FAILED', { message: 'Invalid image file', http_code: 400 }),
+            ]
+        );
+
+        await retryFailedRows_Async(
+            { fromOutputFolder: parentOutputFolder, outputFolder, errorMatching: 'timeout', mappingFile: 'other.yaml' },
+            payloadModules,
+            confirmationRoutines
+        );
+
+        const recoveryInputFilePath = path.join(outputFolder, 'recovery-input.jsonl');
+        expect(fs.readFileSync(recoveryInputFilePath, 'utf8').trim().split('\n').map(line => JSON.parse(line))).toEqual([
+            { id: 'a', meta: { sku: 1 } },
+        ]);
+        expect(loopSpy.mock.calls[0][0]).toMatchObject({
+            fromCsvFile      : recoveryInputFilePath,
+            inputFormat      : 'jsonl',
+            fromOutputFolder : path.resolve(parentOutputFolder),
+            mappingFile      : 'other.yaml',
+        });
+    });
+
+    it('should not start the recovery run when there are no rows to re-attempt', async () => {
+        createParentLogFile({ operation: 'migrate', parameters: {} }, [payloadRec(1, { id: 'a' }, 'MIGRATED')]);
+
+        await retryFailedRows_Async({ fromOutputFolder: parentOutputFolder, outputFolder }, payloadModules, confirmationRoutines);
+
+        expect(loopSpy).not.toHaveBeenCalled();
+        expect(fs.readdirSync(outputFolder)).toEqual([]);
+        expect(process.exitCode).toBeUndefined();
+    });
+
+    it('should fail when the operation of the parent run can not be resolved', async () => {
+        createParentLogFile({ msg: 'Cloudinary config is not initialized' }, []);
+
+        await retryFailedRows_Async({ fromOutputFolder: parentOutputFolder, outputFolder }, payloadModules, confirmationRoutines);
+
+        expect(loopSpy).not.toHaveBeenCalled();
+        expect(process.exitCode).toEqual(1);
+    });
+});
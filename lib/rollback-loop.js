@@ -0,0 +1,400 @@
+/**
+ * @fileoverview This module implements rolling back the migration run: the assets created by the run
+ * (as per the log file in the output folder of the run) are deleted via Cloudinary Admin API.
+ *
+ *  - only the assets uploaded as new ones (`Uploaded` operation) are deleted
+ *  - the assets that already existed (`SkippedAlreadyExists` operation) are never deleted
+ *  - the assets overwritten by the run (`Overwritten` operation) are not deleted either:
+ *    their previous versions can not be restored, these are reported with NOT_RESTORABLE status
+ *
+ * Several rows may resolve to the same asset (for example, with the `allow` duplicate policy the asset uploaded
+ * by one row is overwritten by a later row). The earliest operation logged for the asset tells whether the run created it,
+ * and each asset is acted upon once: all of its rows are reported with the same status.
+ *
+ * Assets are deleted in batches (Admin API deletes up to 100 assets of the same `resource_type` and `type` per call).
+ * The rollback run has its own log file and report (in its own output folder).
+ */
+
+const async = require('async');
+const cloudinary = require('cloudinary').v2;
+const progress = require('./output/progress');
+const logging = require('./output/logging');
+const logFileReader = require('./input/log-file-reader');
+const recoveryInput = require('./input/recovery-input');
+const retryPolicyHelpers = require('./payload/retry-policy');
+const migrateAssetPayload = require('./payload/migrate');
+const rateLimiter = require('./rate-limiter');
+const mainLoop = require('./main-loop');
+
+/* ℹ️ 👇 Module intended to be customized */
+const {log2Report} = require('../__log-to-report');
+
+/**
+ * Statuses reported for the rollback (in the log and the report)
+ * @readonly
+ * @enum {string}
+ */
+const ROLLBACK_STATUS = {
+    DELETED        : 'DELETED',         // the asset created by the run was deleted
+    NOT_FOUND      : 'NOT_FOUND',       // the asset created by the run no longer exists
+    NOT_RESTORABLE : 'NOT_RESTORABLE',  // the asset existed before the run and was overwritten (not deleted)
+    FAILED         : 'FAILED',
+};
+
+/**
+ * Operations performed by the migration run for the asset (as reported in the `Cld_Operation` column)
+ * @readonly
+ * @enum {string}
+ */
+const MIGRATION_OPERATION = {
+    UPLOADED               : 'Uploaded',
+    OVERWRITTEN            : 'Overwritten',
+    SKIPPED_ALREADY_EXISTS : 'SkippedAlreadyExists',
+};
+
+// Max number of assets Admin API deletes per call
+const MAX_BATCH_SIZE = 100;
+const DEFAULT_MAX_CONCURRENT_BATCHES = 2;
+
+/**
+ * Admin API methods used for the rollback (Cloudinary SDK by default, replaceable by a local stand-in)
+ */
+const CLOUDINARY_ADMIN_API = {
+    deleteResources_Async: (publicIds, options) => cloudinary.api.delete_resources(publicIds, options),
+};
+
+
+/**
+ * Resolves the operation the migration run performed for the asset.
+ *
+ * @param {Object} logRec - The `payload` log record of the migration run.
+ * @returns {string|null} - One of the MIGRATION_OPERATION values (null if the migration did not succeed).
+ */
+function resolveMigrationOperation(logRec) {
+    if (!logRec.summary || logRec.summary.status !== migrateAssetPayload.STATUS.SUCCEEDED || !logRec.response) {
+        return null;
+    }
+    if (logRec.response.existing === true)    { return MIGRATION_OPERATION.SKIPPED_ALREADY_EXISTS; }
+    if (logRec.response.overwritten === true) { return MIGRATION_OPERATION.OVERWRITTEN; }
+    return MIGRATION_OPERATION.UPLOADED;
+}
+
+
+/**
+ * Resolves the asset produced by the migration operation.
+ *
+ * @param {Object} logRec - The `payload` log record of the migration run.
+ * @returns {Object} - `public_id`, `resource_type` and `type` of the asset.
+ */
+function _resolveAsset(logRec) {
+    const options = (logRec.payload && logRec.payload.options) || {};
+    return {
+        public_id     : logRec.response.public_id,
+        resource_type : logRec.response.resource_type || options.resource_type || 'image',
+        type          : logRec.response.type || options.type || 'upload',
+    };
+}
+
+
+/**
+ * Resolves the key identifying the asset (rows of the migration run may resolve to the same asset).
+ *
+ * @param {Object} asset - The asset (see `_resolveAsset`).
+ * @returns {string} - The asset key.
+ */
+function _getAssetKey(asset) {
+    return `${asset.resource_type}/${asset.type}/${asset.public_id}`;
+}
+
+
+/**
+ * Collects the assets of the migration run (from the rows that succeeded).
+ *
+ * @param {string} logFilePath - Path to the log file of the migration run.
+ * @returns {Promise<Map<string, Object>>} - By the asset key: `createdByRun` (the earliest operation for the asset uploaded it as a new one),
+ *                                           `overwritten` (any of the rows overwrote it) and `rowCount` (number of the rows resolving to it).
+ */
+async function collectMigratedAssets_Async(logFilePath) {
+    const assets = new Map();
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath)) {
+        const operation = resolveMigrationOperation(logRec);
+        if (!operation) {
+            continue;
+        }
+        const assetKey = _getAssetKey(_resolveAsset(logRec));
+        let assetRec = assets.get(assetKey);
+        if (!assetRec) {
+            assetRec = { createdByRun: operation === MIGRATION_OPERATION.UPLOADED, overwritten: false, rowCount: 0 };
+            assets.set(assetKey, assetRec);
+        }
+        assetRec.overwritten = assetRec.overwritten || operation === MIGRATION_OPERATION.OVERWRITTEN;
+        assetRec.rowCount += 1;
+    }
+    return assets;
+}
+
+
+/**
+ * Counts the assets of the migration run by the rollback action.
+ *
+ * @param {Map<string, Object>} assets - The assets of the migration run (see `collectMigratedAssets_Async`).
+ * @returns {Object} - `toDelete` (created by the run), `notRestorable` (existed before the run and were overwritten)
+ *                     and `notTouchedExisting` (existed before the run and were not changed).
+ */
+function _countAssetsByAction(assets) {
+    const counts = { toDelete: 0, notRestorable: 0, notTouchedExisting: 0 };
+    for (const assetRec of assets.values()) {
+        if (assetRec.createdByRun) {
+            counts.toDelete += 1;
+        } else if (assetRec.overwritten) {
+            counts.notRestorable += 1;
+        } else {
+            counts.notTouchedExisting += 1;
+        }
+    }
+    return counts;
+}
+
+
+/**
+ * Asynchronously generates batches of the assets to delete (same `resource_type` and `type` within a batch).
+ * Each asset joins the batch once all the rows resolving to it are read (so that all of them are reported with the same outcome).
+ * Assets overwritten by the migration run (but not created by it) are logged as NOT_RESTORABLE instead.
+ *
+ * @async
+ * @generator
+ * @param {string} logFilePath - Path to the log file of the migration run.
+ * @param {Map<string, Object>} assets - The assets of the migration run (see `collectMigratedAssets_Async`).
+ * @param {number} batchSize - Max number of assets in the batch.
+ * @param {Object} stats - Rollback stats (`not_restorable` counter is updated).
+ * @yields {Object[]} - The batch: `logRecs` (the `payload` log records of the migration run) and `asset` for each asset.
+ */
+async function* _getDeletionBatchGenerator_Async(logFilePath, assets, batchSize, stats) {
+    // Pending batches by 'resource_type/type'
+    const batches = new Map();
+    // Rows read so far for the assets with more rows to come
+    const assetKey2LogRecs = new Map();
+    for await (const logRec of logFileReader.getPayloadRecordGenerator_Async(logFilePath)) {
+        if (!resolveMigrationOperation(logRec)) {
+            continue;
+        }
+        const asset = _resolveAsset(logRec);
+        const assetKey = _getAssetKey(asset);
+        const assetRec = assets.get(assetKey);
+        if (!assetRec.createdByRun && !assetRec.overwritten) {
+            continue;
+        }
+        const logRecs = assetKey2LogRecs.get(assetKey) || [];
+        logRecs.push(logRec);
+        if (logRecs.length < assetRec.rowCount) {
+            assetKey2LogRecs.set(assetKey, logRecs);
+            continue;
+        }
+        assetKey2LogRecs.delete(assetKey);
+
+        if (!assetRec.createdByRun) {
+            stats.not_restorable += 1;
+            for (const assetLogRec of logRecs) {
+                _logRollbackOutcome(assetLogRec, asset, null, {
+                    status : ROLLBACK_STATUS.NOT_RESTORABLE,
+                    err    : 'Not deleted: the asset existed before the migration and was overwritten, its previous version can not be restored',
+                }, []);
+            }
+            continue;
+        }
+        const batchKey = `${asset.resource_type}/${asset.type}`;
+        const batch = batches.get(batchKey) || [];
+        batch.push({logRecs, asset});
+        batches.set(batchKey, batch);
+        if (batch.length >= batchSize) {
+            batches.delete(batchKey);
+            yield batch;
+        }
+    }
+    yield* batches.values();
+}
+
+
+/**
+ * Logs the rollback outcome for the asset (used to produce the rollback report).
+ * Input record of the migration run is retained, so that the report can be used as input for another migration.
+ *
+ * @param {Object} logRec - The `payload` log record of the migration run.
+ * @param {Object} asset - The asset.
+ * @param {Object|null} response - The rollback outcome for the asset (null if not deleted).
+ * @param {Object} summary - The status (one of the ROLLBACK_STATUS values) and error.
+ * @param {Object[]} attempts - Attempts made for the batch the asset was deleted with.
+ */
+function _logRollbackOutcome(logRec, asset, response, summary, attempts) {
+    logging.payload.info({row: logRec.row, input: logRec.input, payload: asset, response, summary, attempts});
+}
+
+
+/**
+ * Deletes the batch of the assets and logs the outcome of each asset for each of its rows.
+ *
+ * @param {Object[]} batch - The batch (see `_getDeletionBatchGenerator_Async`).
+ * @param {Object} adminApi - Admin API methods (see CLOUDINARY_ADMIN_API).
+ * @param {Object} retryPolicy - Policy to re-attempt Admin API calls failed due to transient issues.
+ * @param {Object} stats - Rollback stats.
+ */
+async function _deleteBatch_Async(batch, adminApi, retryPolicy, stats) {
+    const { resource_type, type } = batch[0].asset;
+    const attempts = [];
+    let deleted = null;
+    let batchErr = null;
+    try {
+        const response = await retryPolicyHelpers.invokeWithRetry_Async(
+            async () => {
+                await rateLimiter.acquire_Async();
+                return await adminApi.deleteResources_Async(batch.map(({asset}) => asset.public_id), { resource_type, type });
+            },
+            retryPolicy,
+            attempts
+        );
+        deleted = response.deleted || {};
+    } catch (err) {
+        batchErr = err;
+    }
+
+    for (const {logRecs, asset} of batch) {
+        const result = deleted ? deleted[asset.public_id] : null;
+        const summary = { status: ROLLBACK_STATUS.FAILED, err: batchErr };
+        if (result === 'deleted') {
+            summary.status = ROLLBACK_STATUS.DELETED;
+        } else if (result === 'not_found') {
+            summary.status = ROLLBACK_STATUS.NOT_FOUND;
+            summary.err = 'Not deleted: the asset no longer exists';
+        } else if (!batchErr) {
+            summary.err = `Not deleted: ${result || 'not reported by Admin API'}`;
+        }
+        stats[summary.status.toLowerCase()] += 1;
+        for (const logRec of logRecs) {
+            _logRollbackOutcome(logRec, asset, deleted ? {...asset, result} : null, summary, attempts);
+        }
+    }
+}
+
+
+/**
+ * Rolls back the migration run: deletes the assets created by the run.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {Object} confirmationRoutinesModule - The module that contains functions to obtain user confirmation.
+ * @param {Object} [adminApi] - Admin API methods (see CLOUDINARY_ADMIN_API).
+ * @returns {Promise<Object|null>} - Rollback stats (null if there was nothing to roll back).
+ */
+async function rollbackOutputFolder_Async(cliArgs, confirmationRoutinesModule, adminApi = CLOUDINARY_ADMIN_API) {
+    const parentOutputFolder = cliArgs.fromOutputFolder;
+    const parentLogFilePath = logging.getLogFilePath(parentOutputFolder);
+    const outputFolder = cliArgs.outputFolder;
+    const maxConcurrentBatches = cliArgs.maxConcurrentBatches || DEFAULT_MAX_CONCURRENT_BATCHES;
+    const maxOpsPerMinute = cliArgs.maxOpsPerMinute || null;
+    const retryPolicy = retryPolicyHelpers.resolveRetryPolicy({});
+
+    const log = logging.setupLogInFolder(outputFolder);
+
+    await mainLoop.ensureCloudinaryConfigOrExit_Async();
+
+    const parentRun = await recoveryInput.resolveParentRun_Async(parentLogFilePath);
+    if (!parentRun || parentRun.operation !== 'migrate') {
+        console.error(`🛑 Only migration runs can be rolled back. Could not resolve the migration logged to '${parentLogFilePath}'`);
+        process.exitCode = 1;
+        return null;
+    }
+    // Assets with the same public IDs in a different cloud are not the ones created by the run
+    const destCloud = cloudinary.config().cloud_name;
+    if (parentRun.dest_cloud && parentRun.dest_cloud !== destCloud) {
+        console.error(`🛑 The run migrated assets to the cloud '${parentRun.dest_cloud}', but Cloudinary config is set for the cloud '${destCloud}'`);
+        process.exitCode = 1;
+        return null;
+    }
+
+    console.log(`🔎 Collecting assets created by the run from the log file '${parentLogFilePath}'`);
+    const assets = await collectMigratedAssets_Async(parentLogFilePath);
+    const assetCounts = _countAssetsByAction(assets);
+    const toDeleteCount = assetCounts.toDelete;
+    const overwrittenCount = assetCounts.notRestorable;
+    if (overwrittenCount > 0) {
+        console.log(`⚠️  ${overwrittenCount} asset(s) existed before the migration and were overwritten: previous versions can not be restored, these are not deleted (reported with ${ROLLBACK_STATUS.NOT_RESTORABLE} status)`);
+    }
+    if (toDeleteCount === 0 && overwrittenCount === 0) {
+        console.log('🏁 No assets to roll back');
+        return null;
+    }
+
+    const operationOptions = {
+        operation            : 'rollback',
+        dest_cloud           : destCloud,
+        parameters           : cliArgs,
+        parent_output_folder : parentOutputFolder,
+        assets_to_delete     : toDeleteCount,
+        not_restorable       : overwrittenCount,
+        not_touched_existing : assetCounts.notTouchedExisting,
+    };
+    if (maxOpsPerMinute) {
+        operationOptions.max_ops_per_minute = maxOpsPerMinute;
+    }
+
+    try {
+        await confirmationRoutinesModule.confirmOperationOptionsOrExit_Async(operationOptions, {
+            assumeYes     : cliArgs.yes === true,
+            expectedCloud : cliArgs.expectCloud,
+        });
+    } catch (err) {
+        const msg = 'Rollback parameters not confirmed. Terminating';
+        console.error(`🛑 ${err.message || msg}`);
+        logging.script.fatal({...operationOptions, err}, msg);
+        // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
+        await new Promise(resolve => setTimeout(resolve, 500));
+        process.exit(1);
+    }
+
+    logging.script.info(operationOptions, 'Rollback parameters confirmed. Starting rollback routine');
+    const stats = {
+        concurrent: 0,
+        deleted: 0,
+        not_found: 0,
+        not_restorable: 0,
+        failed: 0
+    }
+
+    console.log(`\n\n ~~~~~~~ ⏪ Rolling back the run '${parentOutputFolder}' ... ~~~~~~~`);
+    progress.start(toDeleteCount);
+    rateLimiter.configure(maxOpsPerMinute, throttling => progress.setThrottling(throttling ? maxOpsPerMinute : null));
+
+    await async.mapLimit(_getDeletionBatchGenerator_Async(parentLogFilePath, assets, MAX_BATCH_SIZE, stats), maxConcurrentBatches, async (batch) => {
+        stats.concurrent += batch.length;
+        await _deleteBatch_Async(batch, adminApi, retryPolicy, stats);
+        stats.concurrent -= batch.length;
+        progress.update(stats.concurrent, stats.deleted + stats.not_found + stats.failed, stats.deleted + stats.not_found, stats.failed);
+    });
+    progress.stop();
+    delete stats.concurrent;
+
+    logging.script.info({stats}, 'Routine complete');
+    console.log(`🏁 Rollback complete. Summary: ${JSON.stringify(stats)}`);
+    console.log(`🪵  Log persisted to the file: '${log.logFile}'`);
+    if (stats.failed > 0) {
+        process.exitCode = 1;
+    }
+
+    console.log(`\n\n ~~~~~~~ 📋 Producing rollback report ... ~~~~~~~`);
+    // Allowing bunyan to "catch up" on writing the log file: https://github.com/trentm/node-bunyan/issues/37
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    const reportFile = await log2Report(outputFolder);
+    console.log(`🏁 Rollback report persisted to the file: '${reportFile}'`);
+
+    return stats;
+}
+
+module.exports = {
+    rollbackOutputFolder_Async,
+    resolveMigrationOperation,
+    collectMigratedAssets_Async,
+    ROLLBACK_STATUS,
+    MIGRATION_OPERATION,
+    MAX_BATCH_SIZE,
+    DEFAULT_MAX_CONCURRENT_BATCHES,
+    CLOUDINARY_ADMIN_API
+};
@@ -0,0 +1,165 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    resolveMigrationOperation
+} = require('./rollback-loop');
+
+jest.mock('./output/progress', () => ({
+    start       : jest.fn(),
+    update      : jest.fn(),
+    setThrottling: jest.fn(),
+    stop        : jest.fn(),
+}));
+
+
+// Writes the migration log file with the provided `payload` records
+function createMigrationLogFile(folder, payloadRecs) {
+    const logLines = [JSON.stringify({ flow: 'script', operation: 'migrate', dest_cloud: 'rollback-test', parameters: {} })];
+    logLines.push(...payloadRecs.map(payloadRec => JSON.stringify({ flow: 'payload', ...payloadRec })));
+    fs.writeFileSync(path.join(folder, 'log.jsonl'), logLines.join('\n') + '\n');
+}
+
+// Produces `payload` record of the succeeded migration
+function migratedRec(row, publicId, response = {}) {
+    return {
+        row,
+        input    : { Id: `id-${row}` },
+        payload  : { file: `https://example.com/${publicId}`, options: { public_id: publicId } },
+        response : { public_id: publicId, resource_type: 'image', type: 'upload', ...response },
+        summary  : { status: 'MIGRATED', err: null },
+    };
+}
+
+
+describe('resolveMigrationOperation', () => {
+    it.each([
+        [migratedRec(1, 'a'), 'Uploaded'],
+        [migratedRec(1, 'a', { overwritten: true }), 'Overwritten'],
+        [migratedRec(1, 'a', { existing: true }), 'SkippedAlreadyExists'],
+        [{ row: 1, response: null, summary: { status: 'FAILED', err: 'Timeout' } }, null],
+        [{ row: 1, response: {}, summary: { status: 'UPDATED', err: null } }, null],
+    ])('should resolve operation for %j', (logRec, expected) => {
+        expect(resolveMigrationOperation(logRec)).toEqual(expected);
+    });
+});
+
+
+describe('rollbackOutputFolder_Async', () => {
+    let tmpFolder = null;
+    let rollbackOutputFolder_Async = null;
+    let logToReport = null;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-rollback-'));
+        // Log is set up once per process: each rollback run gets fresh modules
+        jest.resetModules();
+        require('cloudinary').v2.config({ cloud_name: 'rollback-test' });
+        ({ rollbackOutputFolder_Async } = require('./rollback-loop'));
+        logToReport = require('../__log-to-report');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should delete only the assets uploaded by the run and report the outcome', async () => {
+        const migrationFolder = path.join(tmpFolder, 'migration');
+        const rollbackFolder = path.join(tmpFolder, 'rollback');
+        fs.mkdirSync(migrationFolder);
+        fs.mkdirSync(rollbackFolder);
+        createMigrationLogFile(migrationFolder, [
+            migratedRec(1, 'a'),
+            migratedRec(2, 'b', { overwritten: true }),
+            migratedRec(3, 'c', { existing: true }),
+            { row: 4, input: { Id: 'id-4' }, payload: null, response: null, summary: { status: 'FAILED', err: 'Timeout' } },
+            migratedRec(5, 'e', { resource_type: 'video' }),
+            migratedRec(6, 'f'),
+        ]);
+        const deleteCalls = [];
+        const adminApi = {
+            deleteResources_Async: async (publicIds, options) => {
+                deleteCalls.push({ publicIds, options });
+                return { deleted: Object.fromEntries(publicIds.map(publicId => [publicId, publicId === 'f' ? 'not_found' : 'deleted'])) };
+            },
+        };
+        const confirmationRoutines = { confirmOperationOptionsOrExit_Async: jest.fn() };
+
+        const stats = await rollbackOutputFolder_Async(
+            { fromOutputFolder: migrationFolder, outputFolder: rollbackFolder },
+            confirmationRoutines,
+            adminApi
+        );
+
+        expect(confirmationRoutines.confirmOperationOptionsOrExit_Async).toHaveBeenCalledWith(
+            expect.objectContaining({ operation: 'rollback', dest_cloud: 'rollback-test', assets_to_delete: 3, not_restorable: 1, not_touched_existing: 1 }),
+            expect.anything()
+        );
+        expect(deleteCalls).toEqual([
+            { publicIds: ['a', 'f'], options: { resource_type: 'image', type: 'upload' } },
+            { publicIds: ['e'], options: { resource_type: 'video', type: 'upload' } },
+        ]);
+        expect(stats).toEqual({ deleted: 2, not_found: 1, not_restorable: 1, failed: 0 });
+
+        const reportRecs = [];
+        for await (const reportRec of logToReport.getReportRecordGenerator_Async(path.join(rollbackFolder, 'log.jsonl'))) {
+            reportRecs.push(reportRec);
+        }
+        expect(reportRecs.map(reportRec => [reportRec.Id, reportRec.Cld_Status, reportRec.Cld_Operation])).toEqual([
+            ['id-2', 'NOT_RESTORABLE', null],
+            ['id-1', 'DELETED', 'Deleted'],
+            ['id-6', 'NOT_FOUND', null],
+            ['id-5', 'DELETED', 'Deleted'],
+        ]);
+        expect(fs.existsSync(path.join(rollbackFolder, 'report.csv'))).toBe(true);
+    });
+
+    it('should act once per asset and report the same status for all of its rows', async () => {
+        const migrationFolder = path.join(tmpFolder, 'migration');
+        const rollbackFolder = path.join(tmpFolder, 'rollback');
+        fs.mkdirSync(migrationFolder);
+        fs.mkdirSync(rollbackFolder);
+        // Duplicates allowed: later rows overwrite (or find) the asset of an earlier row
+        createMigrationLogFile(migrationFolder, [
+            migratedRec(1, 'a'),
+            migratedRec(2, 'b', { existing: true }),
+            migratedRec(3, 'a', { overwritten: true }),
+            migratedRec(4, 'b', { overwritten: true }),
+            migratedRec(5, 'a', { existing: true }),
+            migratedRec(6, 'c', { existing: true }),
+        ]);
+        const adminApi = {
+            deleteResources_Async: jest.fn(async (publicIds) => ({ deleted: Object.fromEntries(publicIds.map(publicId => [publicId, 'deleted'])) })),
+        };
+        const confirmationRoutines = { confirmOperationOptionsOrExit_Async: jest.fn() };
+
+        const stats = await rollbackOutputFolder_Async(
+            { fromOutputFolder: migrationFolder, outputFolder: rollbackFolder },
+            confirmationRoutines,
+            adminApi
+        );
+
+        expect(confirmationRoutines.confirmOperationOptionsOrExit_Async).toHaveBeenCalledWith(
+            expect.objectContaining({ assets_to_delete: 1, not_restorable: 1, not_touched_existing: 1 }),
+            expect.anything()
+        );
+        expect(adminApi.deleteResources_Async.mock.calls).toEqual([[['a'], { resource_type: 'image', type: 'upload' }]]);
+        expect(stats).toEqual({ deleted: 1, not_found: 0, not_restorable: 1, failed: 0 });
+
+        const reportRecs = [];
+        for await (const reportRec of logToReport.getReportRecordGenerator_Async(path.join(rollbackFolder, 'log.jsonl'))) {
+            reportRecs.push(reportRec);
+        }
+        expect(reportRecs.map(reportRec => [reportRec.Id, reportRec.Cld_Status]).sort()).toEqual([
+            ['id-1', 'DELETED'],
+            ['id-2', 'NOT_RESTORABLE'],
+            ['id-3', 'DELETED'],
+            ['id-4', 'NOT_RESTORABLE'],
+            ['id-5', 'DELETED'],
+        ]);
+    });
+});
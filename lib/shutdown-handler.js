@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Handles SIGINT/SIGTERM to shut the bulk operation down gracefully:
+ *  - on the first signal the shutdown is requested (the main loop stops taking new rows
+ *    and waits for the in-flight operations to complete)
+ *  - on the second signal the process exits immediately
+ */
+
+const os = require('node:os');
+
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+const DEFAULT_DRAIN_TIMEOUT_MS = 60 * 1000;
+
+// Signal that requested the shutdown (null until requested)
+let _requestedBySignal = null;
+// Callbacks to invoke when the shutdown is requested
+let _listeners = [];
+
+
+/**
+ * Starts listening for the shutdown signals.
+ *
+ * @param {function} [onShutdownRequested] - Invoked with the signal name when the shutdown is requested.
+ */
+function install(onShutdownRequested) {
+    _requestedBySignal = null;
+    _listeners = onShutdownRequested ? [onShutdownRequested] : [];
+    SHUTDOWN_SIGNALS.forEach(signal => process.on(signal, _handleSignal));
+}
+
+
+/**
+ * Stops listening for the shutdown signals (default signal handling is restored).
+ */
+function uninstall() {
+    SHUTDOWN_SIGNALS.forEach(signal => process.off(signal, _handleSignal));
+    _listeners = [];
+}
+
+
+/**
+ * Checks if the shutdown has been requested.
+ *
+ * @returns {boolean} - True if a shutdown signal has been received.
+ */
+function isShutdownRequested() {
+    return _requestedBySignal !== null;
+}
+
+
+/**
+ * Returns the signal that requested the shutdown.
+ *
+ * @returns {string|null} - The signal name (null if the shutdown has not been requested).
+ */
+function getShutdownSignal() {
+    return _requestedBySignal;
+}
+
+
+/**
+ * Waits for the pending operations to complete.
+ * Once the shutdown is requested, waits no longer than the drain timeout.
+ *
+ * @async
+ * @param {Promise} pending_Async - Promise settled when the pending operations complete.
+ * @param {number} drainTimeoutMs - Max time to wait for the pending operations once the shutdown is requested.
+ * @returns {Promise<boolean>} - True if the pending operations completed, false if the drain timeout elapsed.
+ */
+async function waitForPendingOrDrainTimeout_Async(pending_Async, drainTimeoutMs) {
+    let drainTimer = null;
+    const drainTimedOut_Async = new Promise(resolve => {
+        const startDrainTimer = () => {
+            drainTimer = setTimeout(() => resolve(false), drainTimeoutMs);
+        };
+        isShutdownRequested() ? startDrainTimer() : _listeners.push(startDrainTimer);
+    });
+    try {
+        return await Promise.race([pending_Async.then(() => true), drainTimedOut_Async]);
+    } finally {
+        clearTimeout(drainTimer);
+    }
+}
+
+
+/**
+ * Resolves the conventional exit code for the process terminated by the signal (128 + signal number).
+ *
+ * @param {string} signal - The signal name.
+ * @returns {number} - The exit code.
+ */
+function getExitCode(signal) {
+    return 128 + (os.constants.signals[signal] || 0);
+}
+
+
+/**
+ * Requests the shutdown on the first signal, exits the process on the second one.
+ *
+ * @param {string} signal - The signal received.
+ */
+function _handleSignal(signal) {
+    if (isShutdownRequested()) {
+        console.error(`\n🛑 Received ${signal} again. Forcing exit`);
+        process.exit(getExitCode(signal));
+    }
+    _requestedBySignal = signal;
+    _listeners.forEach(listener => listener(signal));
+}
+
+
+module.exports = {
+    install,
+    uninstall,
+    isShutdownRequested,
+    getShutdownSignal,
+    waitForPendingOrDrainTimeout_Async,
+    getExitCode,
+    DEFAULT_DRAIN_TIMEOUT_MS
+}
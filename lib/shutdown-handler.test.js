@@ -0,0 +1,79 @@
+const shutdownHandler = require('./shutdown-handler');
+
+
+describe('shutdownHandler', () => {
+    let exitSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        shutdownHandler.uninstall();
+        exitSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    it('should request shutdown on the first signal', () => {
+        const onShutdownRequested = jest.fn();
+        shutdownHandler.install(onShutdownRequested);
+        expect(shutdownHandler.isShutdownRequested()).toBe(false);
+
+        process.emit('SIGTERM', 'SIGTERM');
+
+        expect(shutdownHandler.isShutdownRequested()).toBe(true);
+        expect(shutdownHandler.getShutdownSignal()).toEqual('SIGTERM');
+        expect(onShutdownRequested).toHaveBeenCalledWith('SIGTERM');
+        expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    it('should force exit on the second signal', () => {
+        shutdownHandler.install();
+        process.emit('SIGINT', 'SIGINT');
+        process.emit('SIGINT', 'SIGINT');
+        expect(exitSpy).toHaveBeenCalledWith(130);
+    });
+
+    it('should reset the state when installed again', () => {
+        shutdownHandler.install();
+        process.emit('SIGINT', 'SIGINT');
+        shutdownHandler.uninstall();
+        shutdownHandler.install();
+        expect(shutdownHandler.isShutdownRequested()).toBe(false);
+    });
+});
+
+
+describe('waitForPendingOrDrainTimeout_Async', () => {
+    afterEach(() => {
+        shutdownHandler.uninstall();
+    });
+
+    it('should resolve to true when pending operations complete', async () => {
+        shutdownHandler.install();
+        await expect(shutdownHandler.waitForPendingOrDrainTimeout_Async(Promise.resolve(), 10)).resolves.toBe(true);
+    });
+
+    it('should resolve to false when drain timeout elapses after shutdown is requested', async () => {
+        shutdownHandler.install();
+        const never = new Promise(() => {});
+        const drained_Async = shutdownHandler.waitForPendingOrDrainTimeout_Async(never, 10);
+        process.emit('SIGINT', 'SIGINT');
+        await expect(drained_Async).resolves.toBe(false);
+    });
+
+    it('should not time out unless shutdown is requested', async () => {
+        shutdownHandler.install();
+        const pending = new Promise(resolve => setTimeout(resolve, 50));
+        await expect(shutdownHandler.waitForPendingOrDrainTimeout_Async(pending, 10)).resolves.toBe(true);
+    });
+});
+
+
+describe('getExitCode', () => {
+    test.each([['SIGINT', 130], ['SIGTERM', 143]])('should resolve exit code for %s', (signal, expected) => {
+        expect(shutdownHandler.getExitCode(signal)).toEqual(expected);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview This module implements pre-flight validation of the input CSV file:
+ * each record is translated into parameters for the Cloudinary API operation (same as for the bulk operation)
+ * and checked for problems. Nothing is sent to Cloudinary.
+ *
+ * Produces validation report (CSV) with a record for each problem detected.
+ */
+
+const fs = require('node:fs');
+const {stringify} = require('csv-stringify');
+const progress = require('./output/progress');
+const logging = require('./output/logging');
+const reporting = require('./output/reporting');
+const inputReader = require('./input/input-file-reader');
+const mappingConfigHelpers = require('./input/mapping-config');
+const inputValidation = require('./input/input-validation');
+const mainLoop = require('./main-loop');
+
+const { PROBLEM } = inputValidation;
+
+
+/**
+ * Validates the input CSV file for the operation.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {string} operation - The name of the operation (command) to validate the input for.
+ * @param {Object} payloadModule - The module that performs the operation (see `loopOverCsvInput_Async`).
+ * @returns {Promise<Object>} - Validation stats.
+ */
+async function validateCsvInput_Async(cliArgs, operation, payloadModule) {
+    const inputCsvFilePath = cliArgs.fromCsvFile;
+    const inputOptions = inputReader.resolveInputOptions(cliArgs);
+    const outputFolder = cliArgs.outputFolder;
+
+    // Set up logging for the validation
+    const log = logging.setupLogInFolder(outputFolder);
+
+    await mainLoop.ensureCloudinaryConfigOrExit_Async();
+
+    const input2Payload_Async = await mainLoop.loadPluginsAndResolveInput2Payload_Async(cliArgs, operation, payloadModule);
+
+    // Columns referenced in the mapping file are required in addition to those explicitly listed
+    const requiredColumns = [...(cliArgs.requiredColumns || [])];
+    if (cliArgs.mappingFile) {
+        const mappingConfig = mappingConfigHelpers.loadMappingConfig(cliArgs.mappingFile);
+        requiredColumns.push(...mappingConfigHelpers.listReferencedColumns(mappingConfig));
+    }
+
+    logging.script.info({operation, parameters: cliArgs, required_columns: requiredColumns}, 'Starting input validation');
+
+    const stats = {
+        validated: 0,
+        valid: 0,
+        invalid: 0,
+        problems: 0
+    }
+
+    const validationReportFilePath = reporting.getValidationReportFilePath(outputFolder);
+    const validationReport = stringify({
+        header: true,
+        columns: ['Row', 'Problem', 'Field', 'Value', 'Details']
+    });
+    const validationReportWritten = new Promise((resolve, reject) => {
+        validationReport
+            .pipe(fs.createWriteStream(validationReportFilePath))
+            .on('finish', resolve)
+            .on('error', reject);
+    });
+    const reportProblem_Async = async (row, problem) => {
+        stats.problems += 1;
+        await reporting.writeRecord_Async(validationReport, {
+            Row     : row,
+            Problem : problem.problem,
+            Field   : problem.field,
+            Value   : problem.value,
+            Details : problem.details,
+        });
+    };
+
+    console.log('\n\n ~~~~~~~ 🔍 Validating the CSV input ... ~~~~~~~');
+    await progress.init_Async(inputCsvFilePath, inputOptions);
+
+    // Rows each public_id was first seen at (to report duplicates)
+    const publicId2Row = new Map();
+
+    let row = 0;
+    for await (const input of inputReader.getRecordGenerator_Async(inputCsvFilePath, inputOptions)) {
+        row += 1;
+
+        // CSV (or Excel worksheet) header is checked once (row 0 is reported for problems with the header)
+        // JSON records do not share a header, so each of them is checked
+        if (inputReader.HEADERLESS_FORMATS.includes(inputOptions.format)) {
+            const missingColumns = inputValidation.findMissingColumns(Object.keys(input), requiredColumns);
+            for (const column of missingColumns) {
+                await reportProblem_Async(row, { problem: PROBLEM.MISSING_COLUMN, field: column, value: null, details: 'Required field is missing in the input record' });
+            }
+        } else if (row === 1) {
+            const missingColumns = inputValidation.findMissingColumns(Object.keys(input), requiredColumns);
+            for (const column of missingColumns) {
+                await reportProblem_Async(0, { problem: PROBLEM.MISSING_COLUMN, field: column, value: null, details: 'Required column is missing in the input file' });
+            }
+        }
+
+        let rowProblems = [];
+        try {
+            const { payload } = await input2Payload_Async(input);
+            rowProblems = inputValidation.checkPayload(payload, operation);
+
+            const publicId = inputValidation.resolvePayloadPublicId(payload);
+            if (publicId) {
+                if (publicId2Row.has(publicId)) {
+                    rowProblems.push({ problem: PROBLEM.DUPLICATE_PUBLIC_ID, field: 'public_id', value: publicId, details: `Same public_id is used by row ${publicId2Row.get(publicId)}` });
+                } else {
+                    publicId2Row.set(publicId, row);
+                }
+            }
+        } catch (err) {
+            rowProblems.push(inputValidation.describePayloadError(err));
+        }
+
+        for (const problem of rowProblems) {
+            await reportProblem_Async(row, problem);
+        }
+        stats.validated += 1;
+        rowProblems.length > 0 ? stats.invalid += 1 : stats.valid += 1;
+        progress.update(0, stats.validated, stats.valid, stats.invalid);
+    }
+
+    validationReport.end();
+    await validationReportWritten;
+    progress.stop();
+
+    logging.script.info({stats}, 'Input validation complete');
+    console.log(`🏁 Input validation complete. Summary: ${JSON.stringify(stats)}`);
+    console.log(`🪵  Log persisted to the file: '${log.logFile}'`);
+    console.log(`📋 Validation report persisted to the file: '${validationReportFilePath}'`);
+
+    return stats;
+}
+
+module.exports = {
+    validateCsvInput_Async
+}
@@ -0,0 +1,97 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {parse} = require('csv-parse/sync');
+
+jest.mock('./output/progress', () => ({
+    init_Async  : jest.fn(),
+    update      : jest.fn(),
+    stop        : jest.fn(),
+}));
+
+
+// Stand-in for the input conversion of the operation
+async function input2PayloadStandIn_Async(input) {
+    if (input.url === undefined || input.url === '') {
+        throw new Error('No URL in the input');
+    }
+    return { payload: { file: input.url, options: { public_id: input.id } }, plugins_trace: [] };
+}
+
+function readValidationReport(outputFolder) {
+    return parse(fs.readFileSync(path.join(outputFolder, 'validation.csv')), { columns: true });
+}
+
+
+describe('validateCsvInput_Async', () => {
+    let tmpFolder = null;
+    let outputFolder = null;
+    let validateCsvInput_Async = null;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    beforeEach(() => {
+        tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-validate-'));
+        outputFolder = path.join(tmpFolder, 'output');
+        fs.mkdirSync(outputFolder);
+        // Log is set up once per process: each validation run gets fresh modules
+        jest.resetModules();
+        require('cloudinary').v2.config({ cloud_name: 'validation-test' });
+        jest.spyOn(require('./main-loop'), 'loadPluginsAndResolveInput2Payload_Async').mockResolvedValue(input2PayloadStandIn_Async);
+        ({ validateCsvInput_Async } = require('./validation-loop'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpFolder, { recursive: true, force: true });
+    });
+
+    it('should report each problem detected with the row it was detected at', async () => {
+        const localFilePath = path.join(tmpFolder, 'a.jpg');
+        fs.writeFileSync(localFilePath, 'a');
+        const inputFilePath = path.join(tmpFolder, 'input.csv');
+        fs.writeFileSync(inputFilePath, [
+            'url,id',
+            `${localFilePath},a`,
+            'https://example.com/b.jpg,a',
+            ',c',
+            `${path.join(tmpFolder, 'missing.jpg')},d`,
+        ].join('\n') + '\n');
+
+        const stats = await validateCsvInput_Async(
+            { fromCsvFile: inputFilePath, outputFolder, requiredColumns: ['url', 'sku'] },
+            'migrate',
+            {}
+        );
+
+        expect(stats).toEqual({ validated: 4, valid: 1, invalid: 3, problems: 4 });
+        expect(readValidationReport(outputFolder)).toEqual([
+            { Row: '0', Problem: 'MISSING_COLUMN', Field: 'sku', Value: '', Details: 'Required column is missing in the input file' },
+            { Row: '2', Problem: 'DUPLICATE_PUBLIC_ID', Field: 'public_id', Value: 'a', Details: 'Same public_id is used by row 1' },
+            { Row: '3', Problem: 'PAYLOAD_ERROR', Field: '', Value: '', Details: 'No URL in the input' },
+            expect.objectContaining({ Row: '4', Problem: 'FILE_NOT_FOUND', Field: 'file' }),
+        ]);
+    });
+
+    it('should check each JSON Lines record for the required fields and report all the problems', async () => {
+        const inputFilePath = path.join(tmpFolder, 'input.jsonl');
+        const recordCount = 100;
+        const inputRecs = Array.from({ length: recordCount }, (_, index) => ({ id: `id-${index}` }));
+        fs.writeFileSync(inputFilePath, inputRecs.map(inputRec => JSON.stringify(inputRec)).join('\n') + '\n');
+
+        const stats = await validateCsvInput_Async(
+            { fromCsvFile: inputFilePath, outputFolder, requiredColumns: ['url'] },
+            'migrate',
+            {}
+        );
+
+        expect(stats).toEqual({ validated: recordCount, valid: 0, invalid: recordCount, problems: 2 * recordCount });
+        const reportRecs = readValidationReport(outputFolder);
+        expect(reportRecs).toHaveLength(2 * recordCount);
+        expect(reportRecs.slice(-2)).toEqual([
+            { Row: `${recordCount}`, Problem: 'MISSING_COLUMN', Field: 'url', Value: '', Details: 'Required field is missing in the input record' },
+            { Row: `${recordCount}`, Problem: 'PAYLOAD_ERROR', Field: '', Value: '', Details: 'No URL in the input' },
+        ]);
+    });
+});
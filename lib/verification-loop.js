@@ -0,0 +1,224 @@
+/**
+ * @fileoverview This module implements post-operation verification of the assets produced by the bulk operation:
+ * each operation that succeeded (as per the report file) is checked against the asset stored in Cloudinary
+ * (see `asset-verification.js`). Nothing is changed in Cloudinary.
+ *
+ * The report file may be edited or consolidated from several runs: the expected `public_id` and `etag` of each asset
+ * are taken from its `Cld_PublicId` and `Cld_Etag` columns, while the expected tags, metadata and folder are taken from
+ * the payload produced from its input columns (the same way as for the operation).
+ *
+ * Produces verification report (CSV) with a record (VERIFIED, MISMATCH, MISSING or ERROR) for each succeeded operation.
+ */
+
+const fs = require('node:fs');
+const async = require('async');
+const {stringify} = require('csv-stringify');
+const cloudinary = require('cloudinary').v2;
+const progress = require('./output/progress');
+const reporting = require('./output/reporting');
+const csvReader = require('./input/csv-file-reader');
+const inputValidation = require('./input/input-validation');
+const assetVerification = require('./output/asset-verification');
+const retryPolicyHelpers = require('./payload/retry-policy');
+const apiErrors = require('./payload/api-errors');
+const deleteAssetPayload = require('./payload/delete');
+const rateLimiter = require('./rate-limiter');
+const mainLoop = require('./main-loop');
+
+/* ℹ️ 👇 Module intended to be customized */
+const {SUCCEEDED_STATUSES} = require('../__log-to-report');
+
+const { VERIFICATION_STATUS } = assetVerification;
+
+const DEFAULT_MAX_CONCURRENT_CHECKS = 5;
+
+// Columns added to the input columns in the report (see `__log-to-report.js`, `report-consolidation.js`)
+const REPORT_COLUMN_PREFIX = 'Cld_';
+
+/**
+ * Admin API methods used for the verification (Cloudinary SDK by default, replaceable by a local stand-in)
+ */
+const CLOUDINARY_ADMIN_API = {
+    resource_Async: (publicId, options) => cloudinary.api.resource(publicId, options),
+};
+
+
+/**
+ * Asynchronously generates report records of the operations that succeeded (along with their row in the report).
+ * Assets deleted by the run (`delete` and `rollback` commands) are not expected to exist and are not verified.
+ *
+ * @async
+ * @generator
+ * @param {string} reportFilePath - Path to the report file.
+ * @yields {Object} - `row` (number of the record in the report) and `reportRec` (the report record).
+ */
+async function* _getSucceededRecordGenerator_Async(reportFilePath) {
+    let row = 0;
+    for await (const reportRec of csvReader.getRecordGenerator_Async(reportFilePath)) {
+        row += 1;
+        const status = reportRec.Cld_Status;
+        if (SUCCEEDED_STATUSES.includes(status) && status !== deleteAssetPayload.STATUS.SUCCEEDED && reportRec.Cld_PublicId) {
+            yield { row, reportRec };
+        }
+    }
+}
+
+
+/**
+ * Resolves the input record from the report record (columns added to the report are left out).
+ *
+ * @param {Object} reportRec - The report record.
+ * @returns {Object} - The input record.
+ */
+function _resolveInputRecord(reportRec) {
+    return Object.fromEntries(Object.entries(reportRec).filter(([column]) => !column.startsWith(REPORT_COLUMN_PREFIX)));
+}
+
+
+/**
+ * Verifies the asset produced by the succeeded operation.
+ *
+ * @param {number} row - Number of the record in the report.
+ * @param {Object} reportRec - The report record of the operation.
+ * @param {function} input2Payload_Async - Function to convert input record to payload (same as for the operation).
+ * @param {Object} adminApi - Admin API methods (see CLOUDINARY_ADMIN_API).
+ * @param {Object} retryPolicy - Policy to re-attempt Admin API calls failed due to transient issues.
+ * @returns {Promise<Object>} - The verification record (row of the verification report).
+ */
+async function _verifyAsset_Async(row, reportRec, input2Payload_Async, adminApi, retryPolicy) {
+    const verificationRec = {
+        Row                     : row,
+        Cld_PublicId            : reportRec.Cld_PublicId,
+        Cld_ResourceType        : reportRec.Cld_ResourceType || null,
+        Cld_Type                : reportRec.Cld_Type || null,
+        Cld_Verification        : VERIFICATION_STATUS.VERIFIED,
+        Cld_VerificationDetails : null,
+    };
+
+    let expected = null;
+    try {
+        const { payload } = await input2Payload_Async(_resolveInputRecord(reportRec));
+        expected = assetVerification.resolveExpectedAsset(reportRec, payload);
+    } catch (err) {
+        verificationRec.Cld_Verification = VERIFICATION_STATUS.ERROR;
+        verificationRec.Cld_VerificationDetails = `Payload could not be produced from the input columns: ${inputValidation.describePayloadError(err).details}`;
+        return verificationRec;
+    }
+    verificationRec.Cld_ResourceType = expected.resource_type;
+    verificationRec.Cld_Type = expected.type;
+
+    let resource = null;
+    try {
+        resource = await retryPolicyHelpers.invokeWithRetry_Async(
+            async () => {
+                // Admin API calls count towards the hourly rate limit
+                await rateLimiter.acquire_Async();
+                return await adminApi.resource_Async(expected.public_id, { resource_type: expected.resource_type, type: expected.type });
+            },
+            retryPolicy,
+            []
+        );
+    } catch (err) {
+        const isNotFound = apiErrors.getHttpCode(err) === 404;
+        verificationRec.Cld_Verification = isNotFound ? VERIFICATION_STATUS.MISSING : VERIFICATION_STATUS.ERROR;
+        verificationRec.Cld_VerificationDetails = apiErrors.getMessage(err) || String(err);
+        return verificationRec;
+    }
+
+    const mismatches = assetVerification.compareAsset(expected, resource);
+    if (expected.source_file) {
+        try {
+            mismatches.push(...await assetVerification.compareSourceFile_Async(expected.source_file, resource));
+        } catch (err) {
+            verificationRec.Cld_Verification = VERIFICATION_STATUS.ERROR;
+            verificationRec.Cld_VerificationDetails = err.code === 'ENOENT' ?
+                `Source file not found: '${expected.source_file}'` :
+                `Source file could not be read: ${err.message}`;
+            return verificationRec;
+        }
+    }
+    if (mismatches.length > 0) {
+        verificationRec.Cld_Verification = VERIFICATION_STATUS.MISMATCH;
+        verificationRec.Cld_VerificationDetails = mismatches.join('; ');
+    }
+    return verificationRec;
+}
+
+
+/**
+ * Verifies the assets produced by the operations that succeeded as per the report file.
+ *
+ * @param {Object} cliArgs - The arguments provided via command line interface.
+ * @param {string} [cliArgs.fromReport] - The report file to verify the assets for.
+ * @param {string} [cliArgs.fromOutputFolder] - The output folder of the run to verify the assets for (if no report file provided).
+ * @param {string} cliArgs.to - The verification report file to produce.
+ * @param {string} operation - The name of the operation (command) the report was produced by.
+ * @param {Object} payloadModule - The module that performs the operation (see `loopOverCsvInput_Async`).
+ * @param {Object} [adminApi] - Admin API methods (see CLOUDINARY_ADMIN_API).
+ * @returns {Promise<Object>} - Verification stats.
+ */
+async function verifyReport_Async(cliArgs, operation, payloadModule, adminApi = CLOUDINARY_ADMIN_API) {
+    const reportFilePath = cliArgs.fromReport || reporting.getReportFilePath(cliArgs.fromOutputFolder);
+    const verificationReportFilePath = cliArgs.to;
+    const maxConcurrentChecks = cliArgs.maxConcurrentChecks || DEFAULT_MAX_CONCURRENT_CHECKS;
+    const maxOpsPerMinute = cliArgs.maxOpsPerMinute || null;
+    const retryPolicy = retryPolicyHelpers.resolveRetryPolicy({});
+
+    await mainLoop.ensureCloudinaryConfigOrExit_Async();
+
+    const input2Payload_Async = await mainLoop.loadPluginsAndResolveInput2Payload_Async(cliArgs, operation, payloadModule);
+
+    const stats = {
+        checked: 0,
+        verified: 0,
+        mismatch: 0,
+        missing: 0,
+        error: 0
+    }
+
+    const verificationReport = stringify({
+        header: true,
+        columns: ['Row', 'Cld_PublicId', 'Cld_ResourceType', 'Cld_Type', 'Cld_Verification', 'Cld_VerificationDetails']
+    });
+    const verificationReportWritten = new Promise((resolve, reject) => {
+        verificationReport
+            .pipe(fs.createWriteStream(verificationReportFilePath))
+            .on('finish', resolve)
+            .on('error', reject);
+    });
+
+    console.log(`\n\n ~~~~~~~ 🔎 Verifying assets of the report '${reportFilePath}' ... ~~~~~~~`);
+    let totalCount = 0;
+    for await (const _ of _getSucceededRecordGenerator_Async(reportFilePath)) {
+        totalCount += 1;
+    }
+    progress.start(totalCount);
+    rateLimiter.configure(maxOpsPerMinute, throttling => progress.setThrottling(throttling ? maxOpsPerMinute : null));
+
+    let concurrent = 0;
+    await async.mapLimit(_getSucceededRecordGenerator_Async(reportFilePath), maxConcurrentChecks, async ({row, reportRec}) => {
+        concurrent += 1;
+        const verificationRec = await _verifyAsset_Async(row, reportRec, input2Payload_Async, adminApi, retryPolicy);
+        concurrent -= 1;
+
+        stats.checked += 1;
+        stats[verificationRec.Cld_Verification.toLowerCase()] += 1;
+        await reporting.writeRecord_Async(verificationReport, verificationRec);
+        progress.update(concurrent, stats.checked, stats.verified, stats.checked - stats.verified);
+    });
+
+    verificationReport.end();
+    await verificationReportWritten;
+    progress.stop();
+
+    console.log(`🏁 Verification complete. Summary: ${JSON.stringify(stats)}`);
+    console.log(`📋 Verification report persisted to the file: '${verificationReportFilePath}'`);
+
+    return stats;
+}
+
+module.exports = {
+    verifyReport_Async,
+    DEFAULT_MAX_CONCURRENT_CHECKS,
+    CLOUDINARY_ADMIN_API
+};
@@ -0,0 +1,135 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const cloudinary = require('cloudinary').v2;
+const {stringify} = require('csv-stringify/sync');
+const mainLoop = require('./main-loop');
+const { verifyReport_Async } = require('./verification-loop');
+
+jest.mock('./output/progress', () => ({
+    start       : jest.fn(),
+    update      : jest.fn(),
+    setThrottling: jest.fn(),
+    stop        : jest.fn(),
+}));
+
+
+let tmpFolder = null;
+
+// Writes the report file with the provided records
+function createReportFile(reportRecs) {
+    const reportFilePath = path.join(tmpFolder, 'report.csv');
+    fs.writeFileSync(reportFilePath, stringify(reportRecs, { header: true }));
+    return reportFilePath;
+}
+
+// Stand-in for the input conversion the operation was run with
+async function input2PayloadStandIn_Async(input) {
+    if (!input.url) {
+        throw new Error('No URL in the input');
+    }
+    const options = { public_id: input.id, resource_type: 'auto' };
+    if (input.tags) { options.tags = input.tags; }
+    if (input.folder) { options.asset_folder = input.folder; }
+    return { payload: { file: input.url, options }, plugins_trace: [] };
+}
+
+// Local stand-in for the Admin API serving the provided resources (by public_id)
+function createAdminApiStandIn(resources) {
+    return {
+        resource_Async: async (publicId, options) => {
+            const resource = resources[`${options.resource_type}/${options.type}/${publicId}`];
+            if (!resource) {
+                throw { error: { message: `Resource not found - ${publicId}`, http_code: 404 } };
+            }
+            return resource;
+        },
+    };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mainLoop, 'loadPluginsAndResolveInput2Payload_Async').mockResolvedValue(input2PayloadStandIn_Async);
+    cloudinary.config({ cloud_name: 'verification-test' });
+});
+
+beforeEach(() => {
+    tmpFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'cld-bulk-verify-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpFolder, { recursive: true, force: true });
+});
+
+
+describe('verifyReport_Async', () => {
+    it('should report verification outcome for each succeeded operation of the report', async () => {
+        const sourceFilePath = path.join(tmpFolder, 'c.txt');
+        fs.writeFileSync(sourceFilePath, 'hello');
+        const reportFilePath = createReportFile([
+            { id: 'a', url: 'https://example.com/a.jpg', tags: 'sale', folder: '', Cld_Status: 'MIGRATED', Cld_PublicId: 'a', Cld_ResourceType: 'image', Cld_Type: 'upload', Cld_Etag: 'e1' },
+            { id: 'b', url: 'https://example.com/b.jpg', tags: '', folder: '', Cld_Status: 'MIGRATED', Cld_PublicId: 'b', Cld_ResourceType: 'image', Cld_Type: 'upload', Cld_Etag: 'e2' },
+            { id: 'c', url: sourceFilePath, tags: '', folder: '', Cld_Status: 'MIGRATED', Cld_PublicId: 'c', Cld_ResourceType: 'raw', Cld_Type: 'upload', Cld_Etag: '5d41402abc4b2a76b9719d911017c592' },
+            { id: 'd', url: 'https://example.com/d.jpg', tags: '', folder: '', Cld_Status: 'FAILED', Cld_PublicId: '', Cld_ResourceType: '', Cld_Type: '', Cld_Etag: '' },
+            // Edited by hand: the etag is not reported
+            { id: 'e', url: 'https://example.com/e.jpg', tags: '', folder: 'products', Cld_Status: 'MIGRATED', Cld_PublicId: 'e', Cld_ResourceType: 'image', Cld_Type: 'upload', Cld_Etag: '' },
+        ]);
+        const adminApi = createAdminApiStandIn({
+            'image/upload/a' : { etag: 'e1', tags: ['sale'] },
+            'raw/upload/c'   : { etag: '5d41402abc4b2a76b9719d911017c592', bytes: 5 },
+            'image/upload/e' : { etag: 'e5', asset_folder: 'archive' },
+        });
+        const verificationReportFilePath = path.join(tmpFolder, 'verification', 'verification.csv');
+        fs.mkdirSync(path.dirname(verificationReportFilePath));
+
+        const stats = await verifyReport_Async({ fromReport: reportFilePath, to: verificationReportFilePath }, 'migrate', {}, adminApi);
+
+        expect(stats).toEqual({ checked: 4, verified: 2, mismatch: 1, missing: 1, error: 0 });
+        const reportLines = fs.readFileSync(verificationReportFilePath, 'utf8').trim().split('\n').sort();
+        expect(reportLines).toEqual([
+            '1,a,image,upload,VERIFIED,',
+            '2,b,image,upload,MISSING,Resource not found - b',
+            '3,c,raw,upload,VERIFIED,',
+            `5,e,image,upload,MISMATCH,"folder: expected 'products', found 'archive'"`,
+            'Row,Cld_PublicId,Cld_ResourceType,Cld_Type,Cld_Verification,Cld_VerificationDetails',
+        ]);
+    });
+
+    it('should report the rows the source file can not be read for as errors and verify the other rows', async () => {
+        const reportFilePath = createReportFile([
+            { id: 'a', url: path.join(tmpFolder, 'gone.txt'), Cld_Status: 'MIGRATED', Cld_PublicId: 'a', Cld_ResourceType: 'raw', Cld_Type: 'upload', Cld_Etag: 'e1' },
+            // A folder in place of the source file
+            { id: 'b', url: tmpFolder, Cld_Status: 'MIGRATED', Cld_PublicId: 'b', Cld_ResourceType: 'raw', Cld_Type: 'upload', Cld_Etag: 'e2' },
+            { id: 'c', url: 'https://example.com/c.jpg', Cld_Status: 'MIGRATED', Cld_PublicId: 'c', Cld_ResourceType: 'image', Cld_Type: 'upload', Cld_Etag: 'e3' },
+        ]);
+        const adminApi = createAdminApiStandIn({
+            'raw/upload/a'   : { etag: 'e1', bytes: 5 },
+            'raw/upload/b'   : { etag: 'e2', bytes: 5 },
+            'image/upload/c' : { etag: 'e3' },
+        });
+        const verificationReportFilePath = path.join(tmpFolder, 'verification.csv');
+
+        const stats = await verifyReport_Async({ fromReport: reportFilePath, to: verificationReportFilePath }, 'migrate', {}, adminApi);
+
+        expect(stats).toEqual({ checked: 3, verified: 1, mismatch: 0, missing: 0, error: 2 });
+        const reportLines = fs.readFileSync(verificationReportFilePath, 'utf8').trim().split('\n').sort();
+        expect(reportLines).toEqual([
+            `1,a,raw,upload,ERROR,Source file not found: '${path.join(tmpFolder, 'gone.txt')}'`,
+            '2,b,raw,upload,ERROR,"Source file could not be read: EISDIR: illegal operation on a directory, read"',
+            '3,c,image,upload,VERIFIED,',
+            'Row,Cld_PublicId,Cld_ResourceType,Cld_Type,Cld_Verification,Cld_VerificationDetails',
+        ]);
+    });
+
+    it('should read the report of the output folder and report the rows the payload can not be produced for', async () => {
+        createReportFile([
+            { id: 'a', url: '', Cld_Status: 'UPDATED', Cld_PublicId: 'a', Cld_Etag: '', Cld_Run: 'first' },
+        ]);
+        const verificationReportFilePath = path.join(tmpFolder, 'verification.csv');
+
+        const stats = await verifyReport_Async({ fromOutputFolder: tmpFolder, to: verificationReportFilePath }, 'update', {}, createAdminApiStandIn({}));
+
+        expect(stats).toEqual({ checked: 1, verified: 0, mismatch: 0, missing: 0, error: 1 });
+        expect(fs.readFileSync(verificationReportFilePath, 'utf8')).toContain('1,a,,,ERROR,Payload could not be produced from the input columns: No URL in the input');
+    });
+});